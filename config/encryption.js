@@ -0,0 +1,64 @@
+require('dotenv').config();
+
+/**
+ * Master keys used to wrap per-user data keys, from ENCRYPTION_MASTER_KEYS:
+ * a comma-separated list of `<id>:<base64 32-byte key>`. The first entry
+ * wraps new keys; the others are only kept so keys wrapped before a master
+ * key rotation can still be unwrapped until `npm run rotate-keys` rewraps them.
+ *
+ *   ENCRYPTION_MASTER_KEYS=2:<new key>,1:<old key>
+ *
+ * Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+const parseMasterKeys = (value) => {
+    const keys = new Map();
+
+    for (const entry of String(value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const id = separator > 0 ? entry.slice(0, separator) : '';
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+        if (!/^[A-Za-z0-9_-]{1,32}$/.test(id) || key.length !== 32) {
+            throw new Error('ENCRYPTION_MASTER_KEYS entries must look like <id>:<base64 32-byte key>');
+        }
+        if (keys.has(id)) {
+            throw new Error(`ENCRYPTION_MASTER_KEYS lists master key "${id}" twice`);
+        }
+        keys.set(id, key);
+    }
+
+    return keys;
+};
+
+let masterKeys = null;
+
+const loadMasterKeys = () => {
+    if (!masterKeys) {
+        const parsed = parseMasterKeys(process.env.ENCRYPTION_MASTER_KEYS);
+        if (parsed.size === 0) {
+            throw new Error('ENCRYPTION_MASTER_KEYS is not configured');
+        }
+        masterKeys = parsed;
+    }
+    return masterKeys;
+};
+
+// The key new data keys are wrapped with
+const getCurrentMasterKey = () => {
+    const [id, key] = loadMasterKeys().entries().next().value;
+    return { id, key };
+};
+
+const getMasterKey = (id) => {
+    const key = loadMasterKeys().get(String(id));
+    if (!key) {
+        throw new Error(`Master key "${id}" is not in ENCRYPTION_MASTER_KEYS`);
+    }
+    return key;
+};
+
+module.exports = {
+    loadMasterKeys,
+    getCurrentMasterKey,
+    getMasterKey
+};
\ No newline at end of file
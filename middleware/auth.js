@@ -1,10 +1,52 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 
-const authenticateToken = async (req, res, next) => {
+const sessionError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_SESSION';
+    return error;
+};
+
+/**
+ * Verify an access token and check that the user exists and its session is
+ * still active.
+ *
+ * @param {string} token
+ * @returns {Promise<{user: object, sessionId: number, deviceId: number|null}>}
+ * @throws {Error} JsonWebTokenError / TokenExpiredError from jsonwebtoken, or code INVALID_SESSION
+ */
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens are bound to a session so logout can revoke them before they expire
+    if (!decoded.sessionId) {
+        throw sessionError('Token is no longer valid - please log in again');
+    }
+
+    const [users] = await pool.execute(`
+        SELECT u.id, u.email, u.full_name, s.device_id
+        FROM users u
+        JOIN user_sessions s ON s.user_id = u.id
+        WHERE u.id = ? AND s.id = ? AND s.revoked_at IS NULL
+            AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
+    `, [decoded.userId, decoded.sessionId]);
+
+    if (users.length === 0) {
+        throw sessionError('Invalid token - session revoked or user not found');
+    }
+
+    const { device_id: deviceId, ...user } = users[0];
+    return { user, sessionId: decoded.sessionId, deviceId };
+};
+
+const bearerToken = (req) => {
+    const authHeader = req.headers['authorization'];
+    return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+const createAuthenticator = (getToken) => async (req, res, next) => {
     try {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+        const token = getToken(req);
 
         if (!token) {
             return res.status(401).json({
@@ -13,27 +55,22 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Check if user exists
-        const [users] = await pool.execute(
-            'SELECT id, email, full_name FROM users WHERE id = ?',
-            [decoded.userId]
-        );
+        // Add user, session and device info to request
+        const { user, sessionId, deviceId } = await verifyAccessToken(token);
+        req.user = user;
+        req.sessionId = sessionId;
+        req.deviceId = deviceId;
+        req.accessToken = token;
+        next();
 
-        if (users.length === 0) {
+    } catch (error) {
+        if (error.code === 'INVALID_SESSION') {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid token - user not found'
+                message: error.message
             });
         }
 
-        // Add user info to request
-        req.user = users[0];
-        next();
-
-    } catch (error) {
         if (error.name === 'JsonWebTokenError') {
             return res.status(401).json({
                 success: false,
@@ -56,4 +93,11 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+const authenticateToken = createAuthenticator(bearerToken);
+
+// Browsers' EventSource can't send headers, so event streams also accept ?access_token=
+const authenticateEventStream = createAuthenticator((req) =>
+    bearerToken(req) || (typeof req.query.access_token === 'string' ? req.query.access_token : undefined)
+);
+
+module.exports = { authenticateToken, authenticateEventStream, verifyAccessToken };
\ No newline at end of file
@@ -0,0 +1,45 @@
+const rateLimit = require('express-rate-limit');
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+const limitFromEnv = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const createLimiter = (prefix, max, message, options = {}) => rateLimit({
+    windowMs: WINDOW_MS,
+    max,
+    store: createRateLimitStore(prefix),
+    message: {
+        success: false,
+        message
+    },
+    ...options
+});
+
+// Login, registration and password flows: small budget per IP
+const authLimiter = createLimiter(
+    'auth:',
+    limitFromEnv('AUTH_RATE_LIMIT_MAX', 20),
+    'Too many authentication attempts from this IP, please try again later.'
+);
+
+// SMS uploads and reads (and webhook and contact management): phones sync in many requests, so allow far more
+const smsLimiter = createLimiter(
+    'sms:',
+    limitFromEnv('SMS_RATE_LIMIT_MAX', 1000),
+    'Too many SMS requests from this IP, please try again later.'
+);
+
+// Everything else (health check, unknown routes)
+const defaultLimiter = createLimiter(
+    'default:',
+    limitFromEnv('RATE_LIMIT_MAX', 100),
+    'Too many requests from this IP, please try again later.',
+    { skip: (req) => ['/api/auth', '/api/sms', '/api/webhooks', '/api/contacts'].some(prefix => req.path.startsWith(prefix)) }
+);
+
+module.exports = {
+    authLimiter,
+    smsLimiter,
+    defaultLimiter
+};
\ No newline at end of file
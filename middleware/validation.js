@@ -1,4 +1,6 @@
 const { body, validationResult } = require('express-validator');
+const { parseType } = require('../utils/messageFilters');
+const { isNormalizedCategory } = require('../utils/categorizer');
 
 // Validation rules
 const registerValidation = [
@@ -25,6 +27,212 @@ const loginValidation = [
         .withMessage('Password is required')
 ];
 
+// Optional device details sent with register/login
+const deviceValidation = [
+    body('device')
+        .optional()
+        .isObject()
+        .withMessage('Device must be an object'),
+    body('device.id')
+        .if(body('device').exists())
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Device ID is required (max 100 characters)'),
+    body(['device.name', 'device.model', 'device.os', 'device.appVersion'])
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Device fields must be at most 100 characters')
+];
+
+const refreshTokenValidation = [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+];
+
+const verifyEmailValidation = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification token is required')
+];
+
+const changePasswordValidation = [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('New password must be at least 6 characters long')
+];
+
+// Six-digit authenticator code
+const totpCodeValidation = [
+    body('code')
+        .isString()
+        .trim()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits')
+];
+
+// Second login step: an authenticator code or a recovery code
+const twoFactorLoginValidation = [
+    body('challengeToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+    body('code')
+        .optional()
+        .isString()
+        .trim()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 20 })
+        .withMessage('Recovery code must be at most 20 characters'),
+    body()
+        .custom(value => Boolean(value && (value.code || value.recoveryCode)))
+        .withMessage('Either code or recoveryCode is required')
+];
+
+const disableTwoFactorValidation = [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+    ...totpCodeValidation
+];
+
+// Closing an account: password, plus a second factor when 2FA is enabled
+const deleteAccountValidation = [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+    body('code')
+        .optional()
+        .isString()
+        .trim()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 20 })
+        .withMessage('Recovery code must be at most 20 characters')
+];
+
+// Creating or replacing a webhook subscription
+const webhookValidation = [
+    body('url')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 2048 })
+        .withMessage('URL is required and must be at most 2048 characters')
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('URL must be an http(s) URL'),
+    body('filters')
+        .optional({ values: 'null' })
+        .isObject()
+        .withMessage('Filters must be an object'),
+    body('filters.address')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Address filter must be 1-255 characters'),
+    body('filters.type')
+        .optional({ values: 'null' })
+        .custom(value => parseType(value) !== null)
+        .withMessage('Type filter must be inbox, sent, draft or a numeric type')
+        .customSanitizer(parseType),
+    body('filters.keyword')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Keyword filter must be 1-255 characters'),
+    body('filters.category')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .toLowerCase()
+        .custom(isNormalizedCategory)
+        .withMessage('Category filter must be a category name such as otp or banking'),
+    body('active')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Active must be true or false')
+];
+
+// A contact's numbers; each must normalize to E.164, which the contacts service checks
+const contactNumberRules = [
+    body('numbers.*')
+        .isObject()
+        .withMessage('Each number must be an object with a number and an optional label'),
+    body('numbers.*.number')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Each number must be 1-50 characters'),
+    body('numbers.*.label')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max: 32 })
+        .withMessage('Number labels must be at most 32 characters')
+];
+
+const contactValidation = [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Name is required and must be at most 255 characters'),
+    body('numbers')
+        .isArray({ min: 1 })
+        .withMessage('Numbers must be an array with at least one number'),
+    ...contactNumberRules
+];
+
+// Partial update: only the fields sent are changed, and numbers replaces the whole list
+const contactUpdateValidation = [
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Name must be 1-255 characters'),
+    body('numbers')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Numbers must be an array with at least one number'),
+    ...contactNumberRules
+];
+
 const smsValidation = [
     body('sms_id')
         .notEmpty()
@@ -83,6 +291,19 @@ const handleValidationErrors = (req, res, next) => {
 module.exports = {
     registerValidation,
     loginValidation,
+    deviceValidation,
+    refreshTokenValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    verifyEmailValidation,
+    changePasswordValidation,
+    totpCodeValidation,
+    twoFactorLoginValidation,
+    disableTwoFactorValidation,
+    deleteAccountValidation,
+    webhookValidation,
+    contactValidation,
+    contactUpdateValidation,
     smsValidation,
     bulkSmsValidation,
     handleValidationErrors
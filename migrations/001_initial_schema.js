@@ -0,0 +1,215 @@
+/**
+ * The full schema as of the switch to versioned migrations. On an empty
+ * database this creates everything; on a database set up by the old
+ * scripts/migrate.js or the former sql/*.sql files, existing tables are left
+ * alone and 002_reconcile_legacy_schema brings them in line.
+ */
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci';
+
+// In creation order; `down` drops them in reverse so foreign keys never dangle
+const TABLES = {
+  users: `
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    full_name VARCHAR(255) NOT NULL,
+    phone_number VARCHAR(20) NULL,
+    message_retention_days INT NULL,
+    email_verified_at TIMESTAMP NULL DEFAULT NULL,
+    failed_login_count INT NOT NULL DEFAULT 0,
+    last_failed_login_at TIMESTAMP NULL DEFAULT NULL,
+    locked_until TIMESTAMP NULL DEFAULT NULL,
+    totp_secret VARCHAR(64) NULL DEFAULT NULL,
+    totp_enabled_at TIMESTAMP NULL DEFAULT NULL,
+    totp_last_used_step BIGINT NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_email (email)
+  `,
+
+  devices: `
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    device_uid VARCHAR(100) NOT NULL,
+    name VARCHAR(100) NULL,
+    model VARCHAR(100) NULL,
+    os VARCHAR(100) NULL,
+    app_version VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_device_uid (user_id, device_uid)
+  `,
+
+  sms_messages: `
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    device_id INT NULL,
+    address VARCHAR(255) NOT NULL,
+    body MEDIUMTEXT NOT NULL,
+    body_hash CHAR(64) NULL,
+    date BIGINT NOT NULL,
+    type INT NOT NULL,
+    contact_name TEXT NULL,
+    contact_name_hash CHAR(64) NULL,
+    date_formatted VARCHAR(50) NULL,
+    thread_key VARCHAR(50) NULL,
+    is_read TINYINT(1) NOT NULL DEFAULT 1,
+    key_version INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_sms_messages_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_sms_hash_per_user (user_id, address(20), body_hash, date, type),
+    INDEX idx_user_date (user_id, date),
+    INDEX idx_user_address (user_id, address),
+    INDEX idx_user_type (user_id, type),
+    INDEX idx_user_thread (user_id, thread_key, date),
+    INDEX idx_user_device (user_id, device_id, date),
+    INDEX idx_user_contact_hash (user_id, contact_name_hash)
+  `,
+
+  user_sessions: `
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    device_id INT NULL,
+    token_hash VARCHAR(255) NOT NULL,
+    previous_token_hash VARCHAR(255) NULL,
+    device_info TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL DEFAULT NULL,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    revoked_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_user_sessions_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE SET NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_token_hash (token_hash),
+    INDEX idx_previous_token_hash (previous_token_hash),
+    INDEX idx_expires_at (expires_at)
+  `,
+
+  user_tokens: `
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    purpose VARCHAR(32) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_token_hash (token_hash),
+    INDEX idx_user_purpose (user_id, purpose)
+  `,
+
+  account_lockouts: `
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    failed_attempts INT NOT NULL,
+    locked_until TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at)
+  `,
+
+  rate_limits: `
+    rate_key VARCHAR(255) PRIMARY KEY,
+    hits INT NOT NULL DEFAULT 0,
+    reset_at TIMESTAMP(3) NOT NULL,
+    INDEX idx_reset_at (reset_at)
+  `,
+
+  user_recovery_codes: `
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_code (user_id, code_hash)
+  `,
+
+  user_keys: `
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    purpose VARCHAR(16) NOT NULL,
+    version INT NOT NULL,
+    master_key_id VARCHAR(32) NOT NULL,
+    wrapped_key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_key_version (user_id, purpose, version),
+    INDEX idx_master_key_id (master_key_id)
+  `,
+
+  data_takeouts: `
+    id CHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    status VARCHAR(16) NOT NULL,
+    message_count INT NULL,
+    file_size BIGINT NULL,
+    error VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL DEFAULT NULL,
+    completed_at TIMESTAMP NULL DEFAULT NULL,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_status_expires (status, expires_at)
+  `,
+
+  sync_state: `
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    device_id VARCHAR(100) NOT NULL,
+    sync_token VARCHAR(64) NOT NULL,
+    last_message_date BIGINT NOT NULL DEFAULT 0,
+    last_synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_device (user_id, device_id)
+  `,
+
+  import_jobs: `
+    id CHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    total_chunks INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at)
+  `,
+
+  import_job_chunks: `
+    job_id CHAR(36) NOT NULL,
+    sequence INT NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    message_count INT NOT NULL DEFAULT 0,
+    inserted_count INT NOT NULL DEFAULT 0,
+    updated_count INT NOT NULL DEFAULT 0,
+    duplicate_count INT NOT NULL DEFAULT 0,
+    errored_count INT NOT NULL DEFAULT 0,
+    errors JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (job_id, sequence),
+    FOREIGN KEY (job_id) REFERENCES import_jobs(id) ON DELETE CASCADE
+  `
+};
+
+module.exports = {
+  up: async (connection) => {
+    for (const [table, columns] of Object.entries(TABLES)) {
+      await connection.execute(`CREATE TABLE IF NOT EXISTS ${table} (${columns}) ${TABLE_OPTIONS}`);
+    }
+  },
+
+  down: async (connection) => {
+    for (const table of Object.keys(TABLES).reverse()) {
+      await connection.execute(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
\ No newline at end of file
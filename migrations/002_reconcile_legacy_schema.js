@@ -0,0 +1,213 @@
+const { getThreadKey } = require('../utils/phone');
+const {
+  describeColumn,
+  columnExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+  addForeignKeyIfMissing
+} = require('./helpers');
+
+/**
+ * Bring tables created before versioned migrations in line with
+ * 001_initial_schema. Two layouts existed:
+ *  - the old scripts/migrate.js: sms_messages keyed by a client `sms_id`
+ *    with a VARCHAR `date`, later extended by ALTER TABLE steps
+ *  - the sql/*.sql files: closer to what the code uses, but users.phone_number
+ *    was NOT NULL (registration never sets it) and email wasn't unique
+ * Every step checks the current state first, so this is a no-op on a
+ * database created by 001.
+ */
+
+const hasUniqueIndexOn = async (connection, table, column) => {
+  const [rows] = await connection.execute(
+    `SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND NON_UNIQUE = 0
+     GROUP BY INDEX_NAME
+     HAVING COUNT(*) = 1 AND MAX(COLUMN_NAME) = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+const reconcileUsers = async (connection) => {
+  const phoneNumber = await describeColumn(connection, 'users', 'phone_number');
+  if (phoneNumber && phoneNumber.IS_NULLABLE === 'NO') {
+    await connection.execute('ALTER TABLE users MODIFY phone_number VARCHAR(20) NULL');
+    console.log('✅ users.phone_number is now optional');
+  }
+
+  await addColumnIfMissing(connection, 'users', 'message_retention_days', 'INT NULL');
+  await addColumnIfMissing(connection, 'users', 'email_verified_at', 'TIMESTAMP NULL DEFAULT NULL');
+  await addColumnIfMissing(connection, 'users', 'failed_login_count', 'INT NOT NULL DEFAULT 0');
+  await addColumnIfMissing(connection, 'users', 'last_failed_login_at', 'TIMESTAMP NULL DEFAULT NULL');
+  await addColumnIfMissing(connection, 'users', 'locked_until', 'TIMESTAMP NULL DEFAULT NULL');
+  await addColumnIfMissing(connection, 'users', 'totp_secret', 'VARCHAR(64) NULL DEFAULT NULL');
+  await addColumnIfMissing(connection, 'users', 'totp_enabled_at', 'TIMESTAMP NULL DEFAULT NULL');
+  await addColumnIfMissing(connection, 'users', 'totp_last_used_step', 'BIGINT NULL DEFAULT NULL');
+
+  if (!(await hasUniqueIndexOn(connection, 'users', 'email'))) {
+    const [duplicates] = await connection.execute(
+      'SELECT email FROM users GROUP BY email HAVING COUNT(*) > 1 LIMIT 5'
+    );
+    if (duplicates.length > 0) {
+      throw new Error(`users.email has duplicates (e.g. ${duplicates.map(row => row.email).join(', ')}); merge them before migrating`);
+    }
+    await addIndexIfMissing(connection, 'users', 'unique_email', 'UNIQUE KEY unique_email (email)');
+  }
+
+  const updatedAt = await describeColumn(connection, 'users', 'updated_at');
+  if (updatedAt && updatedAt.DATA_TYPE.toLowerCase() !== 'timestamp') {
+    await connection.execute('UPDATE users SET updated_at = created_at WHERE updated_at IS NULL');
+    await connection.execute(
+      'ALTER TABLE users MODIFY updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    );
+    console.log('✅ users.updated_at now tracks updates');
+  }
+};
+
+// Fill thread_key for rows stored before conversations existed
+const backfillThreadKeys = async (connection) => {
+  const batchSize = 1000;
+  let updated = 0;
+
+  for (;;) {
+    const [rows] = await connection.query(
+      `SELECT id, address FROM sms_messages WHERE thread_key IS NULL LIMIT ${batchSize}`
+    );
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      await connection.execute(
+        'UPDATE sms_messages SET thread_key = ? WHERE id = ?',
+        [getThreadKey(row.address), row.id]
+      );
+    }
+    updated += rows.length;
+  }
+
+  if (updated > 0) {
+    console.log(`✅ Backfilled thread_key for ${updated} messages`);
+  }
+};
+
+const reconcileSmsMessages = async (connection) => {
+  // Old migrate.js layout: messages were keyed by the client's sms_id
+  if (await columnExists(connection, 'sms_messages', 'sms_id')) {
+    await dropIndexIfExists(connection, 'sms_messages', 'unique_user_sms');
+    await dropIndexIfExists(connection, 'sms_messages', 'idx_sms_id');
+    await dropColumnIfExists(connection, 'sms_messages', 'sms_id');
+  }
+
+  const date = await describeColumn(connection, 'sms_messages', 'date');
+  if (date.DATA_TYPE.toLowerCase() !== 'bigint') {
+    const [invalid] = await connection.execute(
+      "SELECT COUNT(*) AS count FROM sms_messages WHERE date NOT REGEXP '^[0-9]+$'"
+    );
+    if (invalid[0].count > 0) {
+      throw new Error(`${invalid[0].count} sms_messages rows have a non-numeric date; fix or delete them before migrating`);
+    }
+    await connection.execute('ALTER TABLE sms_messages MODIFY date BIGINT NOT NULL');
+    console.log('✅ sms_messages.date is now a BIGINT timestamp');
+  }
+
+  const id = await describeColumn(connection, 'sms_messages', 'id');
+  if (id.DATA_TYPE.toLowerCase() !== 'bigint') {
+    await connection.execute('ALTER TABLE sms_messages MODIFY id BIGINT NOT NULL AUTO_INCREMENT');
+    console.log('✅ sms_messages.id is now a BIGINT');
+  }
+
+  const address = await describeColumn(connection, 'sms_messages', 'address');
+  if (address.COLUMN_TYPE.toLowerCase() !== 'varchar(255)') {
+    await connection.execute('ALTER TABLE sms_messages MODIFY address VARCHAR(255) NOT NULL');
+  }
+
+  const type = await describeColumn(connection, 'sms_messages', 'type');
+  if (type.IS_NULLABLE === 'YES') {
+    await connection.execute('UPDATE sms_messages SET type = 1 WHERE type IS NULL');
+    await connection.execute('ALTER TABLE sms_messages MODIFY type INT NOT NULL');
+  }
+
+  // The code sets updated_at itself; NULL means the message was never updated
+  const updatedAt = await describeColumn(connection, 'sms_messages', 'updated_at');
+  if (updatedAt && updatedAt.DATA_TYPE.toLowerCase() !== 'datetime') {
+    await connection.execute('ALTER TABLE sms_messages MODIFY updated_at DATETIME DEFAULT NULL');
+  }
+
+  await addColumnIfMissing(connection, 'sms_messages', 'device_id', 'INT NULL');
+  await addColumnIfMissing(connection, 'sms_messages', 'body_hash', 'CHAR(64) NULL');
+  await addColumnIfMissing(connection, 'sms_messages', 'contact_name', 'TEXT NULL');
+  await addColumnIfMissing(connection, 'sms_messages', 'contact_name_hash', 'CHAR(64) NULL');
+  await addColumnIfMissing(connection, 'sms_messages', 'date_formatted', 'VARCHAR(50) NULL');
+  await addColumnIfMissing(connection, 'sms_messages', 'thread_key', 'VARCHAR(50) NULL');
+  await addColumnIfMissing(connection, 'sms_messages', 'is_read', 'TINYINT(1) NOT NULL DEFAULT 1');
+  await addColumnIfMissing(connection, 'sms_messages', 'key_version', 'INT NULL');
+
+  // Ciphertext can't be full-text indexed, and its prefix is useless as a dedup key
+  await dropIndexIfExists(connection, 'sms_messages', 'ft_body_contact');
+  await dropIndexIfExists(connection, 'sms_messages', 'unique_sms_per_user');
+
+  const body = await describeColumn(connection, 'sms_messages', 'body');
+  if (body.DATA_TYPE.toLowerCase() !== 'mediumtext') {
+    await connection.execute('ALTER TABLE sms_messages MODIFY body MEDIUMTEXT NOT NULL');
+  }
+  const contactName = await describeColumn(connection, 'sms_messages', 'contact_name');
+  if (contactName.DATA_TYPE.toLowerCase() !== 'text') {
+    await connection.execute('ALTER TABLE sms_messages MODIFY contact_name TEXT NULL');
+  }
+
+  await addIndexIfMissing(connection, 'sms_messages', 'unique_sms_hash_per_user',
+    'UNIQUE KEY unique_sms_hash_per_user (user_id, address(20), body_hash, date, type)');
+  await addIndexIfMissing(connection, 'sms_messages', 'idx_user_date', 'INDEX idx_user_date (user_id, date)');
+  await addIndexIfMissing(connection, 'sms_messages', 'idx_user_address', 'INDEX idx_user_address (user_id, address)');
+  await addIndexIfMissing(connection, 'sms_messages', 'idx_user_type', 'INDEX idx_user_type (user_id, type)');
+  await addIndexIfMissing(connection, 'sms_messages', 'idx_user_thread',
+    'INDEX idx_user_thread (user_id, thread_key, date)');
+  await addIndexIfMissing(connection, 'sms_messages', 'idx_user_device',
+    'INDEX idx_user_device (user_id, device_id, date)');
+  await addIndexIfMissing(connection, 'sms_messages', 'idx_user_contact_hash',
+    'INDEX idx_user_contact_hash (user_id, contact_name_hash)');
+
+  // Old single-column indexes, superseded by the per-user ones above
+  await dropIndexIfExists(connection, 'sms_messages', 'idx_user_id');
+  await dropIndexIfExists(connection, 'sms_messages', 'idx_address');
+  await dropIndexIfExists(connection, 'sms_messages', 'idx_date');
+
+  await addForeignKeyIfMissing(connection, 'sms_messages', 'fk_sms_messages_device',
+    'FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE SET NULL');
+
+  await backfillThreadKeys(connection);
+
+  const [plaintextRows] = await connection.execute(
+    'SELECT COUNT(*) AS count FROM sms_messages WHERE key_version IS NULL'
+  );
+  if (plaintextRows[0].count > 0) {
+    console.log(`💡 ${plaintextRows[0].count} messages are still stored in plaintext; run \`npm run rotate-keys\` to encrypt them`);
+  }
+};
+
+const reconcileUserSessions = async (connection) => {
+  await addColumnIfMissing(connection, 'user_sessions', 'device_id', 'INT NULL');
+  await addColumnIfMissing(connection, 'user_sessions', 'previous_token_hash', 'VARCHAR(255) NULL');
+  await addColumnIfMissing(connection, 'user_sessions', 'last_used_at', 'TIMESTAMP NULL DEFAULT NULL');
+  await addColumnIfMissing(connection, 'user_sessions', 'revoked_at', 'TIMESTAMP NULL DEFAULT NULL');
+  await addIndexIfMissing(connection, 'user_sessions', 'idx_previous_token_hash',
+    'INDEX idx_previous_token_hash (previous_token_hash)');
+  await addForeignKeyIfMissing(connection, 'user_sessions', 'fk_user_sessions_device',
+    'FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE SET NULL');
+};
+
+module.exports = {
+  up: async (connection) => {
+    await reconcileUsers(connection);
+    await reconcileSmsMessages(connection);
+    await reconcileUserSessions(connection);
+  },
+
+  // Nothing to undo: this only converges older layouts on 001's schema, and
+  // recreating sms_id or the VARCHAR date would lose data rather than restore it
+  down: async () => {}
+};
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Per-day rollups behind GET /api/sms/stats. Days and hours are local to the
+ * time zone the stats were requested in, so each (user, time zone) pair has
+ * its own rows; sms_stats_rollups records how far each one is built.
+ */
+
+const { addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci';
+
+module.exports = {
+  up: async (connection) => {
+    // Rollups are brought up to date by scanning sms_messages rows past the last rolled-up id
+    await addIndexIfMissing(connection, 'sms_messages', 'idx_user_message_id',
+      'INDEX idx_user_message_id (user_id, id)');
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sms_stats_rollups (
+        user_id INT NOT NULL,
+        time_zone VARCHAR(64) NOT NULL,
+        last_message_id BIGINT NOT NULL DEFAULT 0,
+        message_count INT NOT NULL DEFAULT 0,
+        built_at TIMESTAMP NULL DEFAULT NULL,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, time_zone),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_last_used_at (last_used_at)
+      ) ${TABLE_OPTIONS}
+    `);
+
+    // Messages per local day, counterpart (thread_key, '' when unknown) and type
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sms_stats_daily (
+        user_id INT NOT NULL,
+        time_zone VARCHAR(64) NOT NULL,
+        day DATE NOT NULL,
+        thread_key VARCHAR(50) NOT NULL,
+        type INT NOT NULL,
+        message_count INT NOT NULL,
+        PRIMARY KEY (user_id, time_zone, day, thread_key, type),
+        FOREIGN KEY (user_id, time_zone) REFERENCES sms_stats_rollups(user_id, time_zone) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+
+    // Messages per local day, hour of day and type
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sms_stats_hourly (
+        user_id INT NOT NULL,
+        time_zone VARCHAR(64) NOT NULL,
+        day DATE NOT NULL,
+        hour TINYINT NOT NULL,
+        type INT NOT NULL,
+        message_count INT NOT NULL,
+        PRIMARY KEY (user_id, time_zone, day, hour, type),
+        FOREIGN KEY (user_id, time_zone) REFERENCES sms_stats_rollups(user_id, time_zone) ON DELETE CASCADE
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS sms_stats_hourly');
+    await connection.execute('DROP TABLE IF EXISTS sms_stats_daily');
+    await connection.execute('DROP TABLE IF EXISTS sms_stats_rollups');
+    await dropIndexIfExists(connection, 'sms_messages', 'idx_user_message_id');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+/**
+ * Message categories (otp, banking, promo, personal, ...) assigned on ingest,
+ * and per-user rules that override the built-in categorizer. Existing rows
+ * stay uncategorized until `npm run categorize` fills them in.
+ */
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci';
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, 'sms_messages', 'category', 'VARCHAR(32) NULL');
+    await addIndexIfMissing(connection, 'sms_messages', 'idx_user_category',
+      'INDEX idx_user_category (user_id, category, date)');
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS message_category_rules (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        category VARCHAR(32) NOT NULL,
+        sender_pattern VARCHAR(255) NULL,
+        body_contains VARCHAR(255) NULL,
+        priority INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_priority (user_id, priority)
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS message_category_rules');
+    await dropIndexIfExists(connection, 'sms_messages', 'idx_user_category');
+    await dropColumnIfExists(connection, 'sms_messages', 'category');
+  }
+};
\ No newline at end of file
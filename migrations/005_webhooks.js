@@ -0,0 +1,73 @@
+/**
+ * Per-user webhook subscriptions for new messages, and the delivery queue /
+ * log the webhook worker works through. Payloads contain message content, so
+ * they and the signing secrets are encrypted with the user's data key.
+ */
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci';
+
+module.exports = {
+  up: async (connection) => {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        secret VARCHAR(255) NOT NULL,
+        filter_address VARCHAR(50) NULL,
+        filter_type INT NULL,
+        filter_keyword VARCHAR(255) NULL,
+        filter_category VARCHAR(32) NULL,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_active (user_id, is_active)
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        webhook_id INT NOT NULL,
+        user_id INT NOT NULL,
+        event VARCHAR(64) NOT NULL,
+        message_id BIGINT NULL,
+        payload MEDIUMTEXT NOT NULL,
+        status VARCHAR(16) NOT NULL,
+        attempt_count INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP(3) NULL DEFAULT CURRENT_TIMESTAMP(3),
+        claim_token CHAR(36) NULL,
+        last_status_code INT NULL,
+        last_error VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL DEFAULT NULL,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_status_next_attempt (status, next_attempt_at),
+        INDEX idx_webhook_created (webhook_id, created_at),
+        INDEX idx_claim_token (claim_token)
+      ) ${TABLE_OPTIONS}
+    `);
+
+    // One row per HTTP attempt, so users can see why a delivery failed
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        delivery_id BIGINT NOT NULL,
+        status_code INT NULL,
+        error VARCHAR(255) NULL,
+        duration_ms INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+        INDEX idx_delivery (delivery_id)
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS webhook_delivery_attempts');
+    await connection.execute('DROP TABLE IF EXISTS webhook_deliveries');
+    await connection.execute('DROP TABLE IF EXISTS webhooks');
+  }
+};
\ No newline at end of file
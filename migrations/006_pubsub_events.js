@@ -0,0 +1,25 @@
+/**
+ * Short-lived event log for the mysql pub/sub backend (PUBSUB_BACKEND=mysql),
+ * which fans real-time events out across server processes. Payloads carry ids
+ * only, never message content.
+ */
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci';
+
+module.exports = {
+  up: async (connection) => {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS pubsub_events (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        channel VARCHAR(128) NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_created_at (created_at)
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS pubsub_events');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+const { toE164 } = require('../utils/phone');
+
+/**
+ * Contacts owning one or more phone numbers. Messages are matched to a
+ * contact through sms_messages.address_e164, the E.164 form of `address`
+ * (NULL for sender IDs and numbers that can't be normalized), so renaming a
+ * contact never touches message rows. Names are encrypted like contact_name.
+ */
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci';
+
+// Existing rows are normalized with DEFAULT_COUNTRY_CODE as configured when the migration runs
+const backfillE164 = async (connection) => {
+  const batchSize = 1000;
+  let lastId = 0;
+  let updated = 0;
+
+  for (;;) {
+    const [rows] = await connection.query(
+      `SELECT id, address FROM sms_messages WHERE id > ? AND address_e164 IS NULL ORDER BY id LIMIT ${batchSize}`,
+      [lastId]
+    );
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      const e164 = toE164(row.address);
+      if (e164) {
+        await connection.execute('UPDATE sms_messages SET address_e164 = ? WHERE id = ?', [e164, row.id]);
+        updated++;
+      }
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  if (updated > 0) {
+    console.log(`✅ Normalized the address of ${updated} messages to E.164`);
+  }
+};
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, 'sms_messages', 'address_e164', 'VARCHAR(16) NULL');
+    await addIndexIfMissing(connection, 'sms_messages', 'idx_user_e164',
+      'INDEX idx_user_e164 (user_id, address_e164)');
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        name TEXT NOT NULL,
+        name_hash CHAR(64) NOT NULL,
+        key_version INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_name_hash (user_id, name_hash)
+      ) ${TABLE_OPTIONS}
+    `);
+
+    // A number belongs to at most one of the user's contacts
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS contact_numbers (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        contact_id INT NOT NULL,
+        user_id INT NOT NULL,
+        e164 VARCHAR(16) NOT NULL,
+        label VARCHAR(32) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_user_number (user_id, e164),
+        INDEX idx_contact (contact_id)
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await backfillE164(connection);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS contact_numbers');
+    await connection.execute('DROP TABLE IF EXISTS contacts');
+    await dropIndexIfExists(connection, 'sms_messages', 'idx_user_e164');
+    await dropColumnIfExists(connection, 'sms_messages', 'address_e164');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+/**
+ * MMS support: sms_messages.kind tells SMS and MMS apart, message_addresses
+ * lists every participant of a (group) MMS, and message_attachments holds
+ * the metadata of each stored part. Attachment content lives in the storage
+ * backend, encrypted with the user's data key; rows are not tied to
+ * sms_messages by a foreign key so deleting messages leaves them for
+ * `npm run purge` to remove together with their stored content.
+ */
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci';
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, 'sms_messages', 'kind', "VARCHAR(8) NOT NULL DEFAULT 'sms'");
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS message_addresses (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        message_id BIGINT NOT NULL,
+        user_id INT NOT NULL,
+        address VARCHAR(255) NOT NULL,
+        address_e164 VARCHAR(16) NULL,
+        position INT NOT NULL,
+        FOREIGN KEY (message_id) REFERENCES sms_messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_message_position (message_id, position),
+        INDEX idx_user_e164 (user_id, address_e164)
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS message_attachments (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        message_id BIGINT NOT NULL,
+        position INT NOT NULL,
+        file_name TEXT NULL,
+        mime_type VARCHAR(127) NOT NULL,
+        size_bytes BIGINT NOT NULL,
+        checksum_sha256 CHAR(64) NOT NULL,
+        storage_backend VARCHAR(32) NOT NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        key_version INT NOT NULL,
+        iv VARCHAR(24) NOT NULL,
+        auth_tag VARCHAR(24) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_message (message_id, position),
+        INDEX idx_user (user_id)
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS message_attachments');
+    await connection.execute('DROP TABLE IF EXISTS message_addresses');
+    await dropColumnIfExists(connection, 'sms_messages', 'kind');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+/**
+ * Triage state the user sets on stored messages: starred and archived flags
+ * next to the existing is_read, and user-defined labels. Unlike the rest of
+ * the row this state is mutable and never overwritten by re-uploads.
+ */
+
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci';
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, 'sms_messages', 'is_starred', 'TINYINT(1) NOT NULL DEFAULT 0');
+    await addColumnIfMissing(connection, 'sms_messages', 'is_archived', 'TINYINT(1) NOT NULL DEFAULT 0');
+    await addIndexIfMissing(connection, 'sms_messages', 'idx_user_read', 'INDEX idx_user_read (user_id, is_read, date)');
+    await addIndexIfMissing(connection, 'sms_messages', 'idx_user_starred', 'INDEX idx_user_starred (user_id, is_starred, date)');
+    await addIndexIfMissing(connection, 'sms_messages', 'idx_user_archived', 'INDEX idx_user_archived (user_id, is_archived, date)');
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS message_labels (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        color CHAR(7) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_user_label_name (user_id, name)
+      ) ${TABLE_OPTIONS}
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS message_label_assignments (
+        message_id BIGINT NOT NULL,
+        label_id INT NOT NULL,
+        user_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (message_id, label_id),
+        FOREIGN KEY (message_id) REFERENCES sms_messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (label_id) REFERENCES message_labels(id) ON DELETE CASCADE,
+        INDEX idx_label_message (label_id, message_id),
+        INDEX idx_user (user_id)
+      ) ${TABLE_OPTIONS}
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.execute('DROP TABLE IF EXISTS message_label_assignments');
+    await connection.execute('DROP TABLE IF EXISTS message_labels');
+    await dropIndexIfExists(connection, 'sms_messages', 'idx_user_archived');
+    await dropIndexIfExists(connection, 'sms_messages', 'idx_user_starred');
+    await dropIndexIfExists(connection, 'sms_messages', 'idx_user_read');
+    await dropColumnIfExists(connection, 'sms_messages', 'is_archived');
+    await dropColumnIfExists(connection, 'sms_messages', 'is_starred');
+  }
+};
\ No newline at end of file
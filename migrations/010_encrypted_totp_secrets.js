@@ -0,0 +1,21 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+/**
+ * TOTP secrets are encrypted with the user's data key (see services/twoFactor).
+ * totp_key_version is NULL for secrets stored in plaintext before this, which
+ * `npm run rotate-keys` encrypts.
+ *
+ * Down keeps the wider column: secrets encrypted meanwhile can't be read by
+ * the older code, and their users need a recovery code to sign in.
+ */
+
+module.exports = {
+  up: async (connection) => {
+    await connection.execute('ALTER TABLE users MODIFY totp_secret VARCHAR(255) NULL DEFAULT NULL');
+    await addColumnIfMissing(connection, 'users', 'totp_key_version', 'INT NULL DEFAULT NULL AFTER totp_secret');
+  },
+
+  down: async (connection) => {
+    await dropColumnIfExists(connection, 'users', 'totp_key_version');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Schema introspection helpers shared by the numbered migrations
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.execute(
+    'SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+// DATA_TYPE, IS_NULLABLE, COLUMN_DEFAULT, EXTRA and COLUMN_TYPE of a column, or null
+const describeColumn = async (connection, table, column) => {
+  const [rows] = await connection.execute(
+    `SELECT DATA_TYPE, COLUMN_TYPE, IS_NULLABLE, COLUMN_DEFAULT, EXTRA
+     FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows[0] || null;
+};
+
+const columnType = async (connection, table, column) => {
+  const description = await describeColumn(connection, table, column);
+  return description ? description.DATA_TYPE.toLowerCase() : null;
+};
+
+const indexExists = async (connection, table, index) => {
+  const [rows] = await connection.execute(
+    'SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return rows.length > 0;
+};
+
+const addColumnIfMissing = async (connection, table, column, definition) => {
+  if (!(await columnExists(connection, table, column))) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Added ${table}.${column}`);
+  }
+};
+
+const dropColumnIfExists = async (connection, table, column) => {
+  if (await columnExists(connection, table, column)) {
+    await connection.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    console.log(`✅ Dropped ${table}.${column}`);
+  }
+};
+
+const addIndexIfMissing = async (connection, table, index, definition) => {
+  if (!(await indexExists(connection, table, index))) {
+    await connection.execute(`ALTER TABLE ${table} ADD ${definition}`);
+    console.log(`✅ Added index ${table}.${index}`);
+  }
+};
+
+const dropIndexIfExists = async (connection, table, index) => {
+  if (await indexExists(connection, table, index)) {
+    await connection.execute(`ALTER TABLE ${table} DROP INDEX ${index}`);
+    console.log(`✅ Dropped index ${table}.${index}`);
+  }
+};
+
+const foreignKeyExists = async (connection, table, constraint) => {
+  const [rows] = await connection.execute(
+    `SELECT 1 FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'`,
+    [table, constraint]
+  );
+  return rows.length > 0;
+};
+
+const addForeignKeyIfMissing = async (connection, table, constraint, definition) => {
+  if (!(await foreignKeyExists(connection, table, constraint))) {
+    await connection.execute(`ALTER TABLE ${table} ADD CONSTRAINT ${constraint} ${definition}`);
+    console.log(`✅ Added foreign key ${table}.${constraint}`);
+  }
+};
+
+const dropForeignKeyIfExists = async (connection, table, constraint) => {
+  if (await foreignKeyExists(connection, table, constraint)) {
+    await connection.execute(`ALTER TABLE ${table} DROP FOREIGN KEY ${constraint}`);
+    console.log(`✅ Dropped foreign key ${table}.${constraint}`);
+  }
+};
+
+module.exports = {
+  columnExists,
+  describeColumn,
+  columnType,
+  indexExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+  foreignKeyExists,
+  addForeignKeyIfMissing,
+  dropForeignKeyIfExists
+};
\ No newline at end of file
@@ -1,17 +1,138 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
 const {
     registerValidation,
     loginValidation,
+    deviceValidation,
+    refreshTokenValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    verifyEmailValidation,
+    changePasswordValidation,
+    totpCodeValidation,
+    twoFactorLoginValidation,
+    disableTwoFactorValidation,
+    deleteAccountValidation,
     handleValidationErrors
 } = require('../middleware/validation');
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeOtherSessions
+} = require('../services/sessions');
+const { registerDevice, listDevices, removeDevice } = require('../services/devices');
+const {
+    checkLoginAllowed,
+    checkUserAllowed,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    verifyPassword
+} = require('../services/loginProtection');
+const {
+    TOKEN_PURPOSES,
+    consumeAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+} = require('../services/accountTokens');
+const {
+    getTwoFactorState,
+    beginEnrollment,
+    enableTwoFactor,
+    disableTwoFactor,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    countRemainingRecoveryCodes,
+    signChallengeToken,
+    verifyChallengeToken
+} = require('../services/twoFactor');
+const {
+    requestTakeout,
+    getTakeoutJob,
+    listTakeoutJobs,
+    getTakeoutArchive
+} = require('../services/dataTakeout');
+const { deleteAccount } = require('../services/accountDeletion');
+
+const SALT_ROUNDS = 12;
+
+// Register the client's device (if it sent one) and open a session bound to it
+const startSession = async (req, user) => {
+    const deviceId = req.body.device ? await registerDevice(user.id, req.body.device) : null;
+    return createSession(user, { deviceInfo: req.get('User-Agent'), deviceId });
+};
+
+// Response for a login attempt refused by the lockout/delay check
+const sendLoginRefused = (res, attempt) => {
+    res.set('Retry-After', String(attempt.retryAfterSeconds));
+    return res.status(attempt.reason === 'locked' ? 423 : 429).json({
+        success: false,
+        message: attempt.reason === 'locked'
+            ? 'Account temporarily locked due to too many failed login attempts'
+            : 'Too many failed login attempts, please wait before trying again',
+        retryAfter: attempt.retryAfterSeconds
+    });
+};
+
+const sendLockedAfterFailure = (res, failure) => res.status(423).json({
+    success: false,
+    message: 'Account temporarily locked due to too many failed login attempts',
+    retryAfter: Math.ceil((failure.lockedUntil.getTime() - Date.now()) / 1000)
+});
+
+// Re-authenticate the signed-in user for a sensitive action. Sends the refusal
+// and resolves to false unless the password is right.
+const checkPassword = async (req, res, password, message) => {
+    const check = await verifyPassword(req.user.id, password, req);
+
+    if (!check.allowed) {
+        sendLoginRefused(res, check);
+        return false;
+    }
+    if (!check.valid) {
+        if (check.locked) {
+            sendLockedAfterFailure(res, check);
+        } else {
+            res.status(401).json({
+                success: false,
+                message
+            });
+        }
+        return false;
+    }
+    return true;
+};
+
+// Refuse a 2FA code from a signed-in user while the account is locked or delayed.
+// Sends the refusal and resolves to false in that case.
+const checkSecondFactorAllowed = async (req, res) => {
+    const attempt = await checkUserAllowed(req.user.id);
+    if (!attempt.allowed) {
+        sendLoginRefused(res, attempt);
+        return false;
+    }
+    return true;
+};
+
+// A wrong second factor counts as a failed login attempt too
+const rejectSecondFactor = async (req, res, message) => {
+    const failure = await recordFailedLogin(req.user.id, req);
+    if (failure.locked) {
+        return sendLockedAfterFailure(res, failure);
+    }
+    return res.status(401).json({
+        success: false,
+        message
+    });
+};
 
 const router = express.Router();
 
 // Register endpoint
-router.post('/register', registerValidation, handleValidationErrors, async (req, res) => {
+router.post('/register', registerValidation, deviceValidation, handleValidationErrors, async (req, res) => {
     try {
         const { email, password, full_name } = req.body;
 
@@ -29,8 +150,7 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
         }
 
         // Hash password
-        const saltRounds = 12;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
         // Create user
         const [result] = await pool.execute(
@@ -38,25 +158,28 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
             [email, hashedPassword, full_name]
         );
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: result.insertId, email },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
-        );
+        // Start a session: short-lived access token plus rotating refresh token
+        const tokens = await startSession(req, { id: result.insertId, email });
 
         // Get created user (without password)
         const [users] = await pool.execute(
-            'SELECT id, email, full_name, created_at FROM users WHERE id = ?',
+            'SELECT id, email, full_name, email_verified_at, created_at FROM users WHERE id = ?',
             [result.insertId]
         );
 
+        // A mail failure shouldn't fail the registration; the user can ask for a new link
+        try {
+            await sendVerificationEmail(users[0]);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
+
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             data: {
                 user: users[0],
-                token
+                ...tokens
             }
         });
 
@@ -70,13 +193,13 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
 });
 
 // Login endpoint
-router.post('/login', loginValidation, handleValidationErrors, async (req, res) => {
+router.post('/login', loginValidation, deviceValidation, handleValidationErrors, async (req, res) => {
     try {
         const { email, password } = req.body;
 
         // Find user
         const [users] = await pool.execute(
-            'SELECT id, email, password, full_name FROM users WHERE email = ?',
+            'SELECT id, email, password, full_name, failed_login_count, last_failed_login_at, locked_until, totp_enabled_at FROM users WHERE email = ?',
             [email]
         );
 
@@ -87,34 +210,66 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
             });
         }
 
-        const user = users[0];
+        const {
+            password: passwordHash,
+            failed_login_count: failedLoginCount,
+            last_failed_login_at: lastFailedLoginAt,
+            locked_until: lockedUntil,
+            totp_enabled_at: totpEnabledAt,
+            ...user
+        } = users[0];
+
+        // Per-account brute-force protection: lockout and progressive delays
+        const attempt = checkLoginAllowed({
+            failed_login_count: failedLoginCount,
+            last_failed_login_at: lastFailedLoginAt,
+            locked_until: lockedUntil
+        });
+
+        if (!attempt.allowed) {
+            return sendLoginRefused(res, attempt);
+        }
 
         // Verify password
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        const isPasswordValid = await bcrypt.compare(password, passwordHash);
 
         if (!isPasswordValid) {
+            const failure = await recordFailedLogin(user.id, req);
+
+            if (failure.locked) {
+                return sendLockedAfterFailure(res, failure);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password'
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
-        );
+        // With 2FA on, the password only earns a challenge for POST /login/2fa.
+        // Failed counters are left alone until the second factor succeeds.
+        if (totpEnabledAt) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: signChallengeToken(user.id)
+                }
+            });
+        }
+
+        await recordSuccessfulLogin(user.id);
 
-        // Remove password from response
-        delete user.password;
+        // Start a session: short-lived access token plus rotating refresh token
+        const tokens = await startSession(req, user);
 
         res.json({
             success: true,
             message: 'Login successful',
             data: {
                 user,
-                token
+                ...tokens
             }
         });
 
@@ -127,11 +282,700 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
     }
 });
 
+// Second login step for accounts with 2FA enabled
+router.post('/login/2fa', twoFactorLoginValidation, deviceValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const userId = verifyChallengeToken(challengeToken);
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge token'
+            });
+        }
+
+        const [users] = await pool.execute(
+            'SELECT id, email, full_name, failed_login_count, last_failed_login_at, locked_until, totp_enabled_at FROM users WHERE id = ?',
+            [userId]
+        );
+
+        if (users.length === 0 || !users[0].totp_enabled_at) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge token'
+            });
+        }
+
+        const {
+            failed_login_count: failedLoginCount,
+            last_failed_login_at: lastFailedLoginAt,
+            locked_until: lockedUntil,
+            totp_enabled_at: totpEnabledAt,
+            ...user
+        } = users[0];
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const attempt = checkLoginAllowed({
+            failed_login_count: failedLoginCount,
+            last_failed_login_at: lastFailedLoginAt,
+            locked_until: lockedUntil
+        });
+
+        if (!attempt.allowed) {
+            return sendLoginRefused(res, attempt);
+        }
+
+        const isCodeValid = await verifySecondFactor(user.id, { code, recoveryCode });
+
+        if (!isCodeValid) {
+            const failure = await recordFailedLogin(user.id, req);
+
+            if (failure.locked) {
+                return sendLockedAfterFailure(res, failure);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        await recordSuccessfulLogin(user.id);
+
+        const tokens = await startSession(req, user);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user,
+                ...tokens,
+                ...(recoveryCode && { remainingRecoveryCodes: await countRemainingRecoveryCodes(user.id) })
+            }
+        });
+
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during login'
+        });
+    }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', refreshTokenValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const tokens = await rotateSession(req.body.refreshToken);
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: tokens
+        });
+
+    } catch (error) {
+        if (['INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_REUSED', 'SESSION_EXPIRED'].includes(error.code)) {
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during token refresh'
+        });
+    }
+});
+
+// Log out the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        await revokeSession(req.user.id, req.sessionId);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during logout'
+        });
+    }
+});
+
+// Log out every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const revokedSessions = await revokeAllSessions(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Logged out of all sessions successfully',
+            data: {
+                revokedSessions
+            }
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during logout'
+        });
+    }
+});
+
+// Send a password reset link. The response doesn't reveal whether the email is registered.
+router.post('/forgot-password', forgotPasswordValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const [users] = await pool.execute(
+            'SELECT id, email, full_name FROM users WHERE email = ?',
+            [req.body.email]
+        );
+
+        if (users.length > 0) {
+            await sendPasswordResetEmail(users[0]);
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Set a new password with a reset token; signs out every session and lifts any lockout
+router.post('/reset-password', resetPasswordValidation, handleValidationErrors, async (req, res) => {
+    let connection;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const userId = await consumeAccountToken(req.body.token, TOKEN_PURPOSES.passwordReset, connection);
+        if (!userId) {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(req.body.password, SALT_ROUNDS);
+        await connection.execute(
+            'UPDATE users SET password = ?, failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+            [hashedPassword, userId]
+        );
+        await connection.execute(
+            'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+            [userId]
+        );
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', verifyEmailValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = await consumeAccountToken(req.body.token, TOKEN_PURPOSES.emailVerification);
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+
+        await pool.execute(
+            'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [userId]
+        );
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Send a fresh verification email to the current user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const [users] = await pool.execute(
+            'SELECT id, email, full_name, email_verified_at FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (users[0].email_verified_at) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        await sendVerificationEmail(users[0]);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Change password for the logged-in user; other sessions are signed out
+router.post('/change-password', authenticateToken, changePasswordValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!(await checkPassword(req, res, currentPassword, 'Current password is incorrect'))) {
+            return;
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        await pool.execute(
+            'UPDATE users SET password = ?, failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+            [hashedPassword, req.user.id]
+        );
+        const revokedSessions = await revokeOtherSessions(req.user.id, req.sessionId);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            data: {
+                revokedSessions
+            }
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Start 2FA enrollment: returns a new secret to add to an authenticator app
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const state = await getTwoFactorState(req.user.id);
+        if (state.totp_enabled_at) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const enrollment = await beginEnrollment(req.user);
+
+        res.json({
+            success: true,
+            message: 'Scan the code with an authenticator app, then confirm with POST /api/auth/2fa/enable',
+            data: enrollment
+        });
+
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Finish enrollment by proving the authenticator works; returns recovery codes once
+router.post('/2fa/enable', authenticateToken, totpCodeValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const state = await getTwoFactorState(req.user.id);
+        if (state.totp_enabled_at) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+        if (!state.totp_secret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start setup with POST /api/auth/2fa/setup first'
+            });
+        }
+
+        if (!(await checkSecondFactorAllowed(req, res))) {
+            return;
+        }
+        const recoveryCodes = await enableTwoFactor(req.user.id, req.body.code);
+        if (!recoveryCodes) {
+            return rejectSecondFactor(req, res, 'Invalid authentication code');
+        }
+        await recordSuccessfulLogin(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they will not be shown again.',
+            data: {
+                recoveryCodes
+            }
+        });
+
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Turn 2FA off; needs both the password and a current code
+router.post('/2fa/disable', authenticateToken, disableTwoFactorValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        const [users] = await pool.execute(
+            'SELECT totp_enabled_at FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (!users[0].totp_enabled_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await checkPassword(req, res, password, 'Invalid password or authentication code'))) {
+            return;
+        }
+        if (!(await verifySecondFactor(req.user.id, { code }))) {
+            return rejectSecondFactor(req, res, 'Invalid password or authentication code');
+        }
+
+        await recordSuccessfulLogin(req.user.id);
+        await disableTwoFactor(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Replace all recovery codes; the old ones stop working
+router.post('/2fa/recovery-codes', authenticateToken, totpCodeValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const state = await getTwoFactorState(req.user.id);
+        if (!state.totp_enabled_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await checkSecondFactorAllowed(req, res))) {
+            return;
+        }
+        if (!(await verifySecondFactor(req.user.id, { code: req.body.code }))) {
+            return rejectSecondFactor(req, res, 'Invalid authentication code');
+        }
+
+        await recordSuccessfulLogin(req.user.id);
+        const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Recovery codes regenerated',
+            data: {
+                recoveryCodes
+            }
+        });
+
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// List devices that have signed in to this account
+router.get('/devices', authenticateToken, async (req, res) => {
+    try {
+        const devices = await listDevices(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                devices: devices.map(device => ({
+                    ...device,
+                    is_current: device.id === req.deviceId
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('List devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Remove a device and sign it out
+router.delete('/devices/:id', authenticateToken, async (req, res) => {
+    try {
+        const deviceId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(deviceId) || deviceId < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid device ID'
+            });
+        }
+
+        const { removed, revokedSessions } = await removeDevice(req.user.id, deviceId);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Device removed successfully',
+            data: {
+                revokedSessions
+            }
+        });
+
+    } catch (error) {
+        console.error('Remove device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Permanently close the account: the user, their messages, sessions and devices
+router.delete('/account', authenticateToken, deleteAccountValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const [users] = await pool.execute(
+            'SELECT totp_enabled_at FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (!(await checkPassword(req, res, password, 'Password is incorrect'))) {
+            return;
+        }
+
+        if (users[0].totp_enabled_at && !(await verifySecondFactor(req.user.id, { code, recoveryCode }))) {
+            return rejectSecondFactor(req, res, 'A valid authentication code is required to delete this account');
+        }
+
+        const { deletedMessages } = await deleteAccount(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Account deleted',
+            data: {
+                deletedMessages
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Request a downloadable archive of everything stored for the account
+router.post('/account/takeout', authenticateToken, async (req, res) => {
+    try {
+        const takeout = await requestTakeout(req.user.id);
+
+        res.status(202).json({
+            success: true,
+            message: 'Data takeout started; check its status until it is completed',
+            data: {
+                takeout
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'TAKEOUT_IN_PROGRESS') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                data: {
+                    takeout: error.job
+                }
+            });
+        }
+
+        console.error('Request takeout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+router.get('/account/takeout', authenticateToken, async (req, res) => {
+    try {
+        const takeouts = await listTakeoutJobs(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                takeouts
+            }
+        });
+
+    } catch (error) {
+        console.error('List takeouts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+router.get('/account/takeout/:id', authenticateToken, async (req, res) => {
+    try {
+        const takeout = await getTakeoutJob(req.user.id, req.params.id);
+        if (!takeout) {
+            return res.status(404).json({
+                success: false,
+                message: 'Data takeout not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                takeout
+            }
+        });
+
+    } catch (error) {
+        console.error('Get takeout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+const TAKEOUT_ERROR_STATUS = {
+    TAKEOUT_NOT_FOUND: 404,
+    TAKEOUT_NOT_READY: 409,
+    TAKEOUT_EXPIRED: 410
+};
+
+// Download a completed archive (.tar.gz)
+router.get('/account/takeout/:id/download', authenticateToken, async (req, res) => {
+    try {
+        const archive = await getTakeoutArchive(req.user.id, req.params.id);
+
+        res.set({
+            'Content-Type': 'application/gzip',
+            'Content-Disposition': `attachment; filename="${archive.filename}"`,
+            'Cache-Control': 'no-store'
+        });
+        res.sendFile(archive.path, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Send takeout error:', error);
+                res.status(error.code === 'ENOENT' ? 410 : 500).json({
+                    success: false,
+                    message: error.code === 'ENOENT' ? 'This archive is no longer available' : 'Internal server error'
+                });
+            }
+        });
+
+    } catch (error) {
+        if (TAKEOUT_ERROR_STATUS[error.code]) {
+            return res.status(TAKEOUT_ERROR_STATUS[error.code]).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Download takeout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
 // Get current user profile
-router.get('/profile', require('../middleware/auth').authenticateToken, async (req, res) => {
+router.get('/profile', authenticateToken, async (req, res) => {
     try {
         const [users] = await pool.execute(
-            'SELECT id, email, full_name, created_at FROM users WHERE id = ?',
+            'SELECT id, email, full_name, email_verified_at, (totp_enabled_at IS NOT NULL) AS two_factor_enabled, created_at FROM users WHERE id = ?',
             [req.user.id]
         );
 
@@ -159,7 +1003,7 @@ router.get('/profile', require('../middleware/auth').authenticateToken, async (r
 });
 
 // Update user profile
-router.put('/profile', require('../middleware/auth').authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, async (req, res) => {
     try {
         const { full_name } = req.body;
         const userId = req.user.id;
@@ -0,0 +1,240 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { contactValidation, contactUpdateValidation, handleValidationErrors } = require('../middleware/validation');
+const { parseVCards, parseContactsCsv } = require('../utils/contactImport');
+const {
+    MAX_CONTACTS_PER_USER,
+    listContacts,
+    getContact,
+    createContact,
+    updateContact,
+    deleteContact,
+    importContacts
+} = require('../services/contacts');
+
+const router = express.Router();
+
+const DEFAULT_CONTACT_PAGE_SIZE = 100;
+const MAX_CONTACT_PAGE_SIZE = 500;
+
+const VCARD_TYPES = ['text/vcard', 'text/x-vcard', 'text/directory'];
+const CSV_TYPES = ['text/csv', 'application/csv'];
+
+const CONTACT_ERROR_STATUS = {
+    CONTACT_LIMIT: 409,
+    INVALID_NUMBER: 400,
+    TOO_MANY_NUMBERS: 400,
+    NUMBER_TAKEN: 409,
+    INVALID_CSV: 400
+};
+
+const sendContactError = (res, error, fallbackMessage) => {
+    if (CONTACT_ERROR_STATUS[error.code]) {
+        return res.status(CONTACT_ERROR_STATUS[error.code]).json({
+            success: false,
+            message: error.message,
+            ...(error.number && { data: { number: error.number, contactId: error.contactId } })
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+const contactIdValidation = [
+    param('id').isInt({ min: 1 }).withMessage('Contact ID must be a positive integer')
+];
+
+const toNumbers = (numbers) => numbers.map(({ number, label }) => ({ number, label }));
+
+/**
+ * GET /api/contacts
+ * The user's contacts sorted by name
+ * Query: q (part of the name or digits of a number), limit, offset
+ */
+router.get('/', authenticateToken, [
+    query('q').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search must be 1-100 characters'),
+    query('limit').optional().isInt({ min: 1, max: MAX_CONTACT_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${MAX_CONTACT_PAGE_SIZE}`),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_CONTACT_PAGE_SIZE;
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const { contacts, total } = await listContacts(req.user.id, { q: req.query.q, limit, offset });
+
+        res.json({
+            success: true,
+            data: {
+                contacts,
+                pagination: {
+                    limit,
+                    offset,
+                    total,
+                    hasMore: offset + contacts.length < total
+                }
+            }
+        });
+
+    } catch (error) {
+        sendContactError(res, error, 'Failed to fetch contacts');
+    }
+});
+
+/**
+ * POST /api/contacts
+ * Numbers are stored in E.164 form; numbers written without a country code
+ * use DEFAULT_COUNTRY_CODE. A number can belong to only one contact.
+ * Body: name, numbers [{number, label}]
+ */
+router.post('/', authenticateToken, contactValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const contact = await createContact(req.user.id, {
+            name: req.body.name,
+            numbers: toNumbers(req.body.numbers)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Contact created successfully',
+            data: { contact }
+        });
+
+    } catch (error) {
+        sendContactError(res, error, 'Failed to create contact');
+    }
+});
+
+/**
+ * POST /api/contacts/import
+ * Bulk import a vCard file (Content-Type: text/vcard) or a CSV export with a
+ * header row (Content-Type: text/csv). Entries whose name matches an existing
+ * contact add their numbers to it; numbers that can't be normalized or belong
+ * to another contact are skipped and reported.
+ */
+router.post('/import', authenticateToken, express.text({ type: [...VCARD_TYPES, ...CSV_TYPES], limit: '5mb' }), async (req, res) => {
+    const isVCard = req.is(VCARD_TYPES);
+    if (!isVCard && !req.is(CSV_TYPES)) {
+        return res.status(415).json({
+            success: false,
+            message: 'Content-Type must be text/vcard or text/csv'
+        });
+    }
+
+    try {
+        const entries = isVCard ? parseVCards(req.body) : parseContactsCsv(req.body);
+
+        if (entries.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload did not contain any contacts'
+            });
+        }
+        if (entries.length > MAX_CONTACTS_PER_USER) {
+            return res.status(413).json({
+                success: false,
+                message: `An import can contain at most ${MAX_CONTACTS_PER_USER} contacts`
+            });
+        }
+
+        const result = await importContacts(req.user.id, entries);
+
+        res.json({
+            success: true,
+            message: `Imported ${entries.length} contacts`,
+            data: {
+                totalContacts: entries.length,
+                ...result
+            }
+        });
+
+    } catch (error) {
+        sendContactError(res, error, 'Failed to import contacts');
+    }
+});
+
+/**
+ * GET /api/contacts/:id
+ */
+router.get('/:id', authenticateToken, contactIdValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const contact = await getContact(req.user.id, parseInt(req.params.id, 10));
+
+        if (!contact) {
+            return res.status(404).json({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { contact }
+        });
+
+    } catch (error) {
+        sendContactError(res, error, 'Failed to fetch contact');
+    }
+});
+
+/**
+ * PUT /api/contacts/:id
+ * Rename a contact and/or replace its numbers. Messages from every number of
+ * the contact show the new name right away.
+ * Body: name, numbers [{number, label}] (both optional)
+ */
+router.put('/:id', authenticateToken, [...contactIdValidation, ...contactUpdateValidation], handleValidationErrors, async (req, res) => {
+    try {
+        const contact = await updateContact(req.user.id, parseInt(req.params.id, 10), {
+            name: req.body.name,
+            numbers: req.body.numbers !== undefined ? toNumbers(req.body.numbers) : undefined
+        });
+
+        if (!contact) {
+            return res.status(404).json({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Contact updated successfully',
+            data: { contact }
+        });
+
+    } catch (error) {
+        sendContactError(res, error, 'Failed to update contact');
+    }
+});
+
+/**
+ * DELETE /api/contacts/:id
+ * Messages are kept and go back to the name the phone reported
+ */
+router.delete('/:id', authenticateToken, contactIdValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const deleted = await deleteContact(req.user.id, parseInt(req.params.id, 10));
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Contact deleted successfully'
+        });
+
+    } catch (error) {
+        sendContactError(res, error, 'Failed to delete contact');
+    }
+});
+
+module.exports = router;
\ No newline at end of file
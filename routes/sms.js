@@ -1,10 +1,74 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateEventStream, verifyAccessToken } = require('../middleware/auth');
+const {
+    encodeCursor,
+    decodeCursor,
+    messageFilterValidation,
+    paginationValidation,
+    buildMessageFilters,
+    getPageSize
+} = require('../utils/messageFilters');
+const { getThreadKey, isGroupThreadKey, toE164 } = require('../utils/phone');
+const { parseSearchQuery, hasCriteria, buildSnippet } = require('../utils/search');
+const { toReadFlag, DEDUP_CONDITION, dedupParams, saveMessages, buildIngestResponse } = require('../services/messageStore');
+const { getUserKeys, decryptValue, messageFieldContext, decryptMessageField, decryptMessage, encryptMessageFields } = require('../services/messageCrypto');
+const {
+    MAX_RULES_PER_USER,
+    getCompiledRules,
+    listCategoryRules,
+    createCategoryRule,
+    updateCategoryRule,
+    deleteCategoryRule
+} = require('../services/messageCategories');
+const { CATEGORIES, isNormalizedCategory, categorizeMessage } = require('../utils/categorizer');
+const { queueMessagesCreated } = require('../services/webhooks');
+const { REALTIME_EVENTS, publishMessagesCreated, subscribeToUserEvents } = require('../services/realtime');
+const { CONTACT_COLUMNS, joinContacts, findContactByNumber } = require('../services/contacts');
+const { decodeSearchCursor, searchMessages } = require('../services/messageSearch');
+const { STATS_INTERVALS, MAX_TOP_CONTACTS, normalizeTimeZone, getMessageStats } = require('../services/messageStats');
+const { getSyncState, applySync } = require('../services/syncState');
+const { importNdjsonStream, importBackupXmlStream } = require('../services/streamImport');
+const { createJob, getJob, applyChunk, completeJob } = require('../services/importJobs');
+const { EXPORT_FORMATS, exportMessages } = require('../services/messageExport');
+const { deleteMessagesWhere, getRetentionPolicy, setRetentionPolicy } = require('../services/messageDeletion');
+const { receiveMmsUpload, attachMmsDetails, getAttachmentContent } = require('../services/mms');
+const {
+    MAX_LABELS_PER_USER,
+    listLabels,
+    createLabel,
+    updateLabel,
+    deleteLabel,
+    attachLabels,
+    updateMessageState,
+    updateMessageStateWhere
+} = require('../services/messageState');
 
 const router = express.Router();
 
+// Columns returned for a message, selected FROM MESSAGE_SOURCE; key_version and the
+// contact record columns are consumed by decryptMessage
+const MESSAGE_COLUMNS = `id, device_id, address, address_e164, body, body_hash, date, type, contact_name, date_formatted, is_read, is_starred, is_archived, category, kind, key_version, created_at, updated_at, ${CONTACT_COLUMNS}`;
+const MESSAGE_SOURCE = `sms_messages ${joinContacts()}`;
+
+// Decrypt rows selected with MESSAGE_COLUMNS and add MMS details and labels
+const toMessages = async (userId, keys, rows) => {
+    const messages = await attachMmsDetails(userId, keys, rows.map(row => decryptMessage(keys, row)));
+    return attachLabels(userId, messages);
+};
+
+// Queue webhook deliveries and push events to connected clients for new messages.
+// They are already saved, so a failure is logged rather than failing the upload
+const announceNewMessages = (userId, messageIds) => {
+    queueMessagesCreated(userId, messageIds).catch(error => {
+        console.error('Queue webhook deliveries error:', error);
+    });
+    publishMessagesCreated(userId, messageIds).catch(error => {
+        console.error('Publish message events error:', error);
+    });
+};
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -26,19 +90,34 @@ const singleSMSValidation = [
     body('date').isInt({ min: 0 }).withMessage('Date must be a valid timestamp'),
     body('type').isInt({ min: 0 }).withMessage('Type must be a valid integer'),
     body('contactName').optional(),
-    body('dateFormatted').optional()
+    body('dateFormatted').optional(),
+    body('read').optional().isBoolean().withMessage('Read must be a boolean')
 ];
 
-// Multiple SMS validation rules
-const multipleSMSValidation = [
-    body('messages').isArray({ min: 1 }).withMessage('Messages must be an array with at least one message'),
+// Rules applied to each entry of a `messages` array
+const messageItemValidation = [
     // body('messages.*.id').isInt({ min: 1 }).withMessage('Each message must have a valid ID'),
     body('messages.*.address').trim().notEmpty().withMessage('Each message must have an address'),
     body('messages.*.body').notEmpty().withMessage('Each message must have a body'),
     body('messages.*.date').isInt({ min: 0 }).withMessage('Each message must have a valid timestamp'),
     body('messages.*.type').isInt({ min: 0 }).withMessage('Each message must have a valid type'),
     body('messages.*.contactName').optional(),
-    body('messages.*.dateFormatted').optional()
+    body('messages.*.dateFormatted').optional(),
+    body('messages.*.read').optional().isBoolean().withMessage('Read must be a boolean')
+];
+
+// Multiple SMS validation rules
+const multipleSMSValidation = [
+    body('messages').isArray({ min: 1 }).withMessage('Messages must be an array with at least one message'),
+    ...messageItemValidation
+];
+
+// Sync validation rules; an empty delta is allowed
+const syncValidation = [
+    body('deviceId').trim().isLength({ min: 1, max: 100 }).withMessage('Device ID is required (max 100 characters)'),
+    body('syncToken').optional({ values: 'null' }).isString().withMessage('Sync token must be a string'),
+    body('messages').isArray().withMessage('Messages must be an array'),
+    ...messageItemValidation
 ];
 
 /**
@@ -47,200 +126,1676 @@ const multipleSMSValidation = [
  */
 router.post('/message', authenticateToken, singleSMSValidation, handleValidationErrors, async (req, res) => {
     try {
-        const { address, body, date, type, contactName, dateFormatted } = req.body;
+        const { address, body, date, type, contactName, dateFormatted, read } = req.body;
         const userId = req.user.userId || req.user.id;
+        const keys = await getUserKeys(userId);
+        const encrypted = encryptMessageFields(keys, { address, body, date, type, contactName });
 
-        // Check if message exists for this user
-        const [existingMessages] = await pool.execute(
-            'SELECT * FROM sms_messages WHERE date = ? AND user_id = ? AND address = ? AND body = ?',
-            [date, userId, address, body]
-        );
+        // Check if message exists for this user, by the key inserts dedup on
+        // (body is encrypted, so match its keyed hash)
+        const findExisting = async () => {
+            const [rows] = await pool.execute(
+                `SELECT ${MESSAGE_COLUMNS} FROM ${MESSAGE_SOURCE} WHERE ${DEDUP_CONDITION}`,
+                dedupParams(userId, { address, bodyHash: encrypted.bodyHash, date, type })
+            );
+            return rows.length > 0 ? rows[0] : null;
+        };
+        const sendExisting = (existing) => res.status(200).json({
+            success: true,
+            message: 'SMS message updated successfully',
+            data: {
+                message: decryptMessage(keys, existing),
+                isNew: false
+            }
+        });
 
-        let isNew = false;
-        let savedMessage;
+        const existing = await findExisting();
+        if (existing) {
+            return sendExisting(existing);
+        }
 
-        if (existingMessages.length > 0) {
-            res.status(200).json({
-                success: true,
-                message: 'SMS message updated successfully',
-                data: {
-                    message: existingMessages[0],
-                    isNew: isNew
-                }
-            });
-        } else {
-            // Insert new message with provided ID
-            await pool.execute(`
-                INSERT INTO sms_messages (user_id, address, body, date, type, contact_name, date_formatted)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        const category = categorizeMessage({ address, body, type }, await getCompiledRules(userId));
+
+        let result;
+        try {
+            [result] = await pool.execute(`
+                INSERT INTO sms_messages (user_id, device_id, address, body, body_hash, date, type, contact_name, contact_name_hash, date_formatted, thread_key, address_e164, is_read, category, key_version)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 userId,
+                req.deviceId || null,
                 address,
-                body,
+                encrypted.body,
+                encrypted.bodyHash,
                 date,
                 type,
-                contactName || null,
-                dateFormatted || null
+                encrypted.contactName,
+                encrypted.contactNameHash,
+                dateFormatted || null,
+                getThreadKey(address),
+                toE164(address),
+                toReadFlag(read),
+                category,
+                encrypted.keyVersion
             ]);
+        } catch (error) {
+            // Saved by a concurrent upload since the lookup above
+            const concurrent = error.code === 'ER_DUP_ENTRY' ? await findExisting() : null;
+            if (!concurrent) {
+                throw error;
+            }
+            return sendExisting(concurrent);
+        }
 
-            // Get inserted message
-            const [messages] = await pool.execute(
-                'SELECT * FROM sms_messages WHERE date = ? AND user_id = ? AND address = ? AND body = ?',
-                [date, userId, address, body]
-            );
-            savedMessage = messages[0];
-            isNew = true;
+        // Get inserted message
+        const [messages] = await pool.execute(
+            `SELECT ${MESSAGE_COLUMNS} FROM ${MESSAGE_SOURCE} WHERE id = ?`,
+            [result.insertId]
+        );
+        const savedMessage = decryptMessage(keys, messages[0]);
+        announceNewMessages(userId, [savedMessage.id]);
 
-            res.status(isNew ? 201 : 200).json({
-                success: true,
-                message: isNew ? 'SMS message created successfully' : 'SMS message updated successfully',
-                data: {
-                    message: savedMessage,
-                    isNew: isNew
-                }
+        res.status(201).json({
+            success: true,
+            message: 'SMS message created successfully',
+            data: {
+                message: savedMessage,
+                isNew: true
+            }
+        });
+    } catch (error) {
+        console.error('Save/Update single SMS error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save SMS message'
+        });
+    }
+});
+
+/**
+ * POST /api/sms/messages
+ * Save or update multiple SMS messages in bulk, deduplicated against unique_sms_per_user
+ */
+router.post('/messages', authenticateToken, multipleSMSValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { messages } = req.body;
+        const userId = req.user.userId || req.user.id;
+
+        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Messages array is required and cannot be empty'
             });
         }
+
+        const result = await saveMessages(userId, messages, { deviceId: req.deviceId, collectInsertedIds: true });
+        announceNewMessages(userId, result.insertedIds);
+        const { statusCode, body } = buildIngestResponse(messages.length, result);
+
+        res.status(statusCode).json(body);
+
     } catch (error) {
-        console.error('Save/Update single SMS error:', error);
+        console.error('Save/Update bulk SMS error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process SMS messages',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * POST /api/sms/messages/stream
+ * Import newline-delimited JSON messages (one message object per line) without
+ * buffering the body. Send Content-Encoding: gzip or Content-Type: application/gzip
+ * for compressed uploads. Responds with the same summary as POST /api/sms/messages.
+ */
+router.post('/messages/stream', authenticateToken, async (req, res) => {
+    if (!req.is(['application/x-ndjson', 'application/ndjson', 'application/gzip', 'application/octet-stream'])) {
+        return res.status(415).json({
+            success: false,
+            message: 'Content-Type must be application/x-ndjson (or application/gzip for compressed uploads)'
+        });
+    }
+
+    try {
+        const userId = req.user.userId || req.user.id;
+        const { totalMessages, result } = await importNdjsonStream(userId, req, {
+            onInserted: messageIds => announceNewMessages(userId, messageIds)
+        });
+
+        if (totalMessages === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload did not contain any messages'
+            });
+        }
+
+        const { statusCode, body } = buildIngestResponse(totalMessages, result);
+        res.status(statusCode).json(body);
 
-        // Handle duplicate key error (if ID already exists for another user)
-        if (error.code === 'ER_DUP_ENTRY') {
-            res.status(409).json({
+    } catch (error) {
+        if (error.code === 'Z_DATA_ERROR' || error.code === 'Z_BUF_ERROR') {
+            return res.status(400).json({
                 success: false,
-                message: 'Message ID already exists. Please use a unique ID.'
+                message: 'Invalid gzip data'
             });
-        } else {
-            res.status(500).json({
+        }
+
+        if (error.code === 'LINE_TOO_LONG') {
+            return res.status(413).json({
                 success: false,
-                message: 'Failed to save SMS message'
+                message: error.message
             });
         }
+
+        console.error('Stream SMS import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import SMS messages',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
     }
 });
 
 /**
- * POST /api/sms/messages
- * Save or update multiple SMS messages in bulk
+ * POST /api/sms/messages/xml
+ * Import an Android "SMS Backup & Restore" XML backup (optionally gzip compressed).
+ * Messages go through the same dedup key as POST /api/sms/messages and the response
+ * has the same summary shape. <mms> elements are skipped.
  */
-router.post('/messages', authenticateToken, multipleSMSValidation, handleValidationErrors, async (req, res) => {
+router.post('/messages/xml', authenticateToken, async (req, res) => {
+    if (!req.is(['application/xml', 'text/xml', 'application/gzip', 'application/octet-stream'])) {
+        return res.status(415).json({
+            success: false,
+            message: 'Content-Type must be application/xml (or application/gzip for compressed uploads)'
+        });
+    }
+
     try {
-        const { messages } = req.body;
         const userId = req.user.userId || req.user.id;
+        const { totalMessages, skippedElements, result } = await importBackupXmlStream(userId, req, {
+            onInserted: messageIds => announceNewMessages(userId, messageIds)
+        });
 
-        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+        if (totalMessages === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Messages array is required and cannot be empty'
+                message: 'Backup did not contain any SMS messages'
             });
         }
 
-        // Create a Set to track existing messages using composite key
-        const existingMessages = new Set();
-        
-        // Check which messages already exist by querying for each unique combination
-        for (const msg of messages) {
-            if (!msg.address || !msg.body || !msg.date) {
-                continue; // Skip validation here, will be caught later
+        const { statusCode, body } = buildIngestResponse(totalMessages, result);
+        res.status(statusCode).json({
+            ...body,
+            data: {
+                ...body.data,
+                skippedElements
             }
-            
-            const [existing] = await pool.execute(
-                'SELECT id FROM sms_messages WHERE user_id = ? AND address = ? AND body = ? AND date = ?',
-                [userId, msg.address, msg.body, msg.date]
-            );
-            
-            if (existing.length > 0) {
-                const compositeKey = `${msg.address}|${msg.body}|${msg.date}`;
-                existingMessages.add(compositeKey);
-            }
-        }
-
-        let insertedCount = 0;
-        let updatedCount = 0;
-        const errors = [];
-
-        // Process each message
-        for (const msg of messages) {
-            try {
-                // Validate required fields
-                if (!msg.address || !msg.body || !msg.date || !msg.type) {
-                    errors.push({
-                        message: `${msg.address || 'unknown'} - ${(msg.body || '').substring(0, 50)}...`,
-                        error: 'Missing required fields (address, body, date, type)'
-                    });
-                    continue;
-                }
+        });
+
+    } catch (error) {
+        if (error.code === 'INVALID_XML') {
+            const { body } = buildIngestResponse(error.totalMessages, error.result);
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+                data: body.data
+            });
+        }
+
+        if (error.code === 'Z_DATA_ERROR' || error.code === 'Z_BUF_ERROR') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid gzip data'
+            });
+        }
+
+        console.error('XML SMS import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import SMS backup',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+const MMS_ERROR_STATUS = {
+    INVALID_MULTIPART: 400,
+    INVALID_MMS: 400,
+    TOO_MANY_ATTACHMENTS: 413,
+    ATTACHMENT_TOO_LARGE: 413,
+    ATTACHMENT_NOT_FOUND: 404,
+    ATTACHMENT_CONTENT_MISSING: 410
+};
 
-                const compositeKey = `${msg.address}|${msg.body}|${msg.date}`;
-                
-                if (existingMessages.has(compositeKey)) {
-                } else {
-                    // Insert new message
-                    await pool.execute(`
-                        INSERT INTO sms_messages (user_id, address, body, date, type, contact_name, date_formatted, created_at, updated_at)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-                    `, [
-                        userId,
-                        msg.address,
-                        msg.body,
-                        msg.date,
-                        msg.type,
-                        msg.contactName || null,
-                        msg.dateFormatted || null
-                    ]);
-                    insertedCount++;
+/**
+ * POST /api/sms/mms
+ * Upload an MMS as multipart/form-data: a `message` field holding JSON (address
+ * and/or addresses for group messages, body, date, type, contactName, dateFormatted,
+ * read) followed by up to 10 file parts. Uploading the same message again returns
+ * the stored one.
+ */
+router.post('/mms', authenticateToken, async (req, res) => {
+    if (!req.is('multipart/form-data')) {
+        return res.status(415).json({
+            success: false,
+            message: 'Content-Type must be multipart/form-data'
+        });
+    }
+
+    try {
+        const userId = req.user.userId || req.user.id;
+        const { messageId, isNew } = await receiveMmsUpload(userId, req.deviceId, req);
+
+        const keys = await getUserKeys(userId);
+        const [rows] = await pool.execute(
+            `SELECT ${MESSAGE_COLUMNS} FROM ${MESSAGE_SOURCE} WHERE id = ? AND user_id = ?`,
+            [messageId, userId]
+        );
+        const [message] = await toMessages(userId, keys, rows);
+
+        if (isNew) {
+            announceNewMessages(userId, [messageId]);
+        }
+
+        res.status(isNew ? 201 : 200).json({
+            success: true,
+            message: isNew ? 'MMS saved successfully' : 'MMS already exists',
+            data: { message }
+        });
+
+    } catch (error) {
+        if (MMS_ERROR_STATUS[error.code]) {
+            return res.status(MMS_ERROR_STATUS[error.code]).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Save MMS error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save MMS',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Media types browsers may render in place; anything else is always downloaded
+const INLINE_MIME_TYPE = /^(image|video|audio)\//;
+
+const contentDisposition = (mimeType, fileName) => {
+    const type = INLINE_MIME_TYPE.test(mimeType) && mimeType !== 'image/svg+xml' ? 'inline' : 'attachment';
+    if (!fileName) {
+        return type;
+    }
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * GET /api/sms/attachments/:id
+ * Download the decrypted content of an MMS attachment
+ */
+router.get('/attachments/:id', authenticateToken, [
+    param('id').isInt({ min: 1 }).withMessage('Invalid attachment ID')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const attachment = await getAttachmentContent(userId, parseInt(req.params.id, 10));
+
+        res.set({
+            'Content-Type': attachment.mimeType,
+            'Content-Length': String(attachment.size),
+            'Content-Disposition': contentDisposition(attachment.mimeType, attachment.fileName),
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, no-store',
+            ETag: `"${attachment.checksum}"`
+        });
+
+        attachment.stream.on('error', (error) => {
+            console.error('Stream attachment error:', error);
+            res.destroy(error);
+        });
+        attachment.stream.pipe(res);
+
+    } catch (error) {
+        if (MMS_ERROR_STATUS[error.code]) {
+            return res.status(MMS_ERROR_STATUS[error.code]).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Get attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch attachment'
+        });
+    }
+});
+
+/**
+ * GET /api/sms/messages
+ * List the user's messages, newest first, with cursor-based pagination over (date, id)
+ * Query: address, type, contactName, contactId, category, deviceId, read, starred, archived, labelId, from, to, limit, cursor
+ */
+router.get('/messages', authenticateToken, messageFilterValidation, paginationValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const limit = getPageSize(req.query.limit);
+        const keys = await getUserKeys(userId);
+        const { clauses, params } = buildMessageFilters(userId, req.query, keys);
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            clauses.push('(date < ? OR (date = ? AND id < ?))');
+            params.push(cursor.date, cursor.date, cursor.id);
+        }
+
+        // Fetch one extra row to know whether another page exists
+        const [rows] = await pool.execute(`
+            SELECT ${MESSAGE_COLUMNS}
+            FROM ${MESSAGE_SOURCE}
+            WHERE ${clauses.join(' AND ')}
+            ORDER BY date DESC, id DESC
+            LIMIT ${limit + 1}
+        `, params);
+
+        const hasMore = rows.length > limit;
+        const messages = await toMessages(userId, keys, hasMore ? rows.slice(0, limit) : rows);
+
+        res.json({
+            success: true,
+            data: {
+                messages,
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextCursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null
                 }
-            } catch (msgError) {
-                console.error(`Error processing message ${msg.address} - ${msg.body?.substring(0, 50)}:`, msgError);
-                
-                let errorMessage = 'Processing failed';
-                if (msgError.code === 'ER_DUP_ENTRY') {
-                    errorMessage = 'Duplicate entry conflict';
-                } else if (msgError.code === 'ER_DATA_TOO_LONG') {
-                    errorMessage = 'Data too long for field';
-                } else if (msgError.code === 'ER_BAD_NULL_ERROR') {
-                    errorMessage = 'Required field cannot be null';
+            }
+        });
+
+    } catch (error) {
+        console.error('List SMS messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SMS messages'
+        });
+    }
+});
+
+/**
+ * GET /api/sms/conversations
+ * One row per counterpart, newest conversation first, with the last message and counts
+ * Query: limit, cursor
+ */
+router.get('/conversations', authenticateToken, paginationValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const limit = getPageSize(req.query.limit);
+        const params = [userId];
+        let cursorClause = '';
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            cursorClause = 'AND (last_date < ? OR (last_date = ? AND last_message_id < ?))';
+            params.push(cursor.date, cursor.date, cursor.id);
+        }
+
+        // contact_name is the name of the contact owning the latest message's number, else
+        // the newest non-null name in the thread; each encrypted value is selected with the
+        // key_version and identity columns of the row it came from
+        const [conversations] = await pool.execute(`
+            SELECT thread_key, address, contact_name, contact_key_version, contact_address, contact_body_hash,
+                   contact_date, contact_type, last_message_id, last_message, last_body_hash, last_key_version,
+                   last_date, last_type, message_count, unread_count, ${CONTACT_COLUMNS}
+            FROM (
+                SELECT user_id, thread_key, address, address_e164,
+                       FIRST_VALUE(contact_name) OVER named_first AS contact_name,
+                       FIRST_VALUE(key_version) OVER named_first AS contact_key_version,
+                       FIRST_VALUE(address) OVER named_first AS contact_address,
+                       FIRST_VALUE(body_hash) OVER named_first AS contact_body_hash,
+                       FIRST_VALUE(date) OVER named_first AS contact_date,
+                       FIRST_VALUE(type) OVER named_first AS contact_type,
+                       id AS last_message_id, body AS last_message, body_hash AS last_body_hash,
+                       key_version AS last_key_version, date AS last_date, type AS last_type,
+                       ROW_NUMBER() OVER (PARTITION BY thread_key ORDER BY date DESC, id DESC) AS row_num,
+                       COUNT(*) OVER (PARTITION BY thread_key) AS message_count,
+                       CAST(SUM(type = 1 AND is_read = 0) OVER (PARTITION BY thread_key) AS UNSIGNED) AS unread_count
+                FROM sms_messages
+                WHERE user_id = ?
+                WINDOW named_first AS (PARTITION BY thread_key ORDER BY contact_name IS NULL, date DESC, id DESC)
+            ) threads
+            ${joinContacts('threads')}
+            WHERE row_num = 1 ${cursorClause}
+            ORDER BY last_date DESC, last_message_id DESC
+            LIMIT ${limit + 1}
+        `, params);
+
+        const hasMore = conversations.length > limit;
+        const keys = await getUserKeys(userId);
+        const page = (hasMore ? conversations.slice(0, limit) : conversations).map(
+            ({
+                contact_key_version: contactKeyVersion,
+                contact_address: contactAddress,
+                contact_body_hash: contactBodyHash,
+                contact_date: contactDate,
+                contact_type: contactType,
+                last_body_hash: lastBodyHash,
+                last_key_version: lastKeyVersion,
+                contact_record_name: contactRecordName,
+                contact_record_key_version: contactRecordKeyVersion,
+                ...conversation
+            }) => ({
+                ...conversation,
+                contact_name: contactRecordName
+                    ? decryptValue(keys, contactRecordName, contactRecordKeyVersion, 'contacts.name')
+                    : decryptValue(keys, conversation.contact_name, contactKeyVersion, messageFieldContext('contact_name', {
+                        address: contactAddress, bodyHash: contactBodyHash, date: contactDate, type: contactType
+                    })),
+                last_message: decryptValue(keys, conversation.last_message, lastKeyVersion, messageFieldContext('body', {
+                    address: conversation.address, bodyHash: lastBodyHash, date: conversation.last_date, type: conversation.last_type
+                }))
+            })
+        );
+        const last = page[page.length - 1];
+
+        res.json({
+            success: true,
+            data: {
+                conversations: page,
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextCursor: hasMore ? encodeCursor({ date: last.last_date, id: last.last_message_id }) : null
                 }
-                
-                errors.push({
-                    message: `${msg.address || 'unknown'} - ${(msg.body || '').substring(0, 50)}...`,
-                    error: errorMessage,
-                    details: msgError.message
-                });
+            }
+        });
+
+    } catch (error) {
+        console.error('List conversations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch conversations'
+        });
+    }
+});
+
+/**
+ * GET /api/sms/conversations/:address
+ * Messages in one conversation, newest first. Any formatting of the number matches.
+ * Query: limit, cursor
+ */
+router.get('/conversations/:address', authenticateToken, paginationValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const threadKey = getThreadKey(req.params.address);
+        const limit = getPageSize(req.query.limit);
+
+        const [summaries] = await pool.execute(`
+            SELECT COUNT(*) AS message_count,
+                   CAST(COALESCE(SUM(type = 1 AND is_read = 0), 0) AS UNSIGNED) AS unread_count,
+                   MAX(date) AS last_date,
+                   GROUP_CONCAT(DISTINCT address) AS addresses
+            FROM sms_messages
+            WHERE user_id = ? AND thread_key = ?
+        `, [userId, threadKey]);
+
+        const summary = summaries[0];
+        if (summary.message_count === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        let addresses = summary.addresses ? summary.addresses.split(',') : [];
+        const isGroup = isGroupThreadKey(threadKey);
+        if (isGroup) {
+            const [participants] = await pool.execute(`
+                SELECT DISTINCT a.address
+                FROM message_addresses a
+                JOIN sms_messages m ON m.id = a.message_id
+                WHERE m.user_id = ? AND m.thread_key = ?
+            `, [userId, threadKey]);
+            addresses = participants.map(row => row.address);
+        }
+
+        // The contact owning one of the thread's numbers, else the newest known name;
+        // a group conversation has no single contact
+        let contact = null;
+        for (const address of isGroup ? [] : addresses) {
+            contact = await findContactByNumber(userId, address);
+            if (contact) {
+                break;
             }
         }
 
-        const totalProcessed = insertedCount + updatedCount;
-        const hasErrors = errors.length > 0;
+        const keys = await getUserKeys(userId);
+        let contactName = contact ? contact.name : null;
+        if (!contact && !isGroup) {
+            const [names] = await pool.execute(`
+                SELECT address, body_hash, date, type, contact_name, key_version
+                FROM sms_messages
+                WHERE user_id = ? AND thread_key = ? AND contact_name IS NOT NULL
+                ORDER BY date DESC, id DESC
+                LIMIT 1
+            `, [userId, threadKey]);
+            contactName = names.length > 0 ? decryptMessageField(keys, names[0], 'contact_name') : null;
+        }
+
+        const clauses = ['user_id = ?', 'thread_key = ?'];
+        const params = [userId, threadKey];
 
-        // Determine appropriate status code
-        let statusCode = 200;
-        if (hasErrors) {
-            statusCode = totalProcessed > 0 ? 207 : 400; // 207 for partial success, 400 for complete failure
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            clauses.push('(date < ? OR (date = ? AND id < ?))');
+            params.push(cursor.date, cursor.date, cursor.id);
         }
 
-        res.status(statusCode).json({
-            success: !hasErrors || totalProcessed > 0,
-            message: hasErrors
-                ? `Processed ${totalProcessed}/${messages.length} messages with ${errors.length} errors`
-                : 'All SMS messages processed successfully',
+        const [rows] = await pool.execute(`
+            SELECT ${MESSAGE_COLUMNS}
+            FROM ${MESSAGE_SOURCE}
+            WHERE ${clauses.join(' AND ')}
+            ORDER BY date DESC, id DESC
+            LIMIT ${limit + 1}
+        `, params);
+
+        const hasMore = rows.length > limit;
+        const messages = await toMessages(userId, keys, hasMore ? rows.slice(0, limit) : rows);
+
+        res.json({
+            success: true,
             data: {
-                totalMessages: messages.length,
-                insertedMessages: insertedCount,
-                updatedMessages: updatedCount,
-                processedMessages: totalProcessed,
-                erroredMessages: errors.length,
-                ...(hasErrors && { errors })
+                conversation: {
+                    thread_key: threadKey,
+                    addresses,
+                    contact_id: contact ? contact.id : null,
+                    contact_name: contactName,
+                    message_count: summary.message_count,
+                    unread_count: summary.unread_count,
+                    last_date: summary.last_date
+                },
+                messages,
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextCursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null
+                }
             }
         });
 
     } catch (error) {
-        console.error('Save/Update bulk SMS error:', error);
+        console.error('Get conversation error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to process SMS messages',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            message: 'Failed to fetch conversation'
         });
     }
 });
 
+/**
+ * GET /api/sms/search
+ * Search message bodies and contact names, best matches first (see services/messageSearch).
+ * Messages are encrypted at rest, so this is not backed by a full-text index: each request
+ * decrypts and scans a bounded slice of the history, so a page may be short or empty while
+ * nextCursor is set; keep following nextCursor until it is null.
+ * Query: q (supports "quoted phrases"), address, type, contactName, contactId, category, read, starred, archived, labelId, from, to, limit, cursor
+ */
+router.get('/search', authenticateToken, [
+    query('q').trim().notEmpty().withMessage('Search query is required'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ...messageFilterValidation,
+    query('cursor').optional().custom(value => decodeSearchCursor(value) !== null)
+        .withMessage('Invalid pagination cursor')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const limit = Math.min(getPageSize(req.query.limit), 100);
+        const cursor = req.query.cursor ? decodeSearchCursor(req.query.cursor) : null;
+
+        const parsed = parseSearchQuery(req.query.q);
+
+        if (!hasCriteria(parsed)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query must contain a phrase or a word of at least 3 characters'
+            });
+        }
+
+        const { results: rows, nextCursor } = await searchMessages(userId, req.query, parsed, { limit, cursor });
+
+        const results = rows.map(row => ({
+            ...row,
+            snippet: buildSnippet(row.body, parsed),
+            contact_name_highlighted: row.contact_name ? buildSnippet(row.contact_name, parsed) : null
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                query: req.query.q,
+                results,
+                pagination: {
+                    limit,
+                    hasMore: nextCursor !== null,
+                    nextCursor
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Search SMS messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search SMS messages'
+        });
+    }
+});
+
+// Local calendar day, YYYY-MM-DD
+const isLocalDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+/**
+ * GET /api/sms/stats
+ * Totals by type, a day/week/month timeline, top contacts with sent/received
+ * counts and messages per hour of day. Days and hours are local to `timezone`.
+ * Query: timezone (IANA, default UTC), from, to (YYYY-MM-DD, inclusive), interval, topContacts
+ */
+router.get('/stats', authenticateToken, [
+    query('timezone').optional().isLength({ max: 64 }).bail().custom(value => normalizeTimeZone(value) !== null)
+        .withMessage('Timezone must be an IANA time zone such as Europe/Paris'),
+    query('from').optional().custom(isLocalDay).withMessage('From must be a date in YYYY-MM-DD format'),
+    query('to').optional().custom(isLocalDay).withMessage('To must be a date in YYYY-MM-DD format')
+        .custom((value, { req }) => !req.query.from || !isLocalDay(req.query.from) || req.query.from <= value)
+        .withMessage('To must not be before from'),
+    query('interval').optional().isIn(STATS_INTERVALS).withMessage('Interval must be day, week or month'),
+    query('topContacts').optional().isInt({ min: 1, max: MAX_TOP_CONTACTS })
+        .withMessage(`Top contacts must be between 1 and ${MAX_TOP_CONTACTS}`)
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const stats = await getMessageStats(userId, {
+            timeZone: req.query.timezone ? normalizeTimeZone(req.query.timezone) : 'UTC',
+            from: req.query.from || null,
+            to: req.query.to || null,
+            interval: req.query.interval || 'day',
+            topContacts: req.query.topContacts ? parseInt(req.query.topContacts, 10) : undefined
+        });
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        console.error('Get SMS stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SMS statistics'
+        });
+    }
+});
+
+// Comment lines keep proxies from dropping an idle stream; the token and session are re-checked so logout ends it
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
+const EVENT_STREAM_AUTH_CHECK_MS = 60 * 1000;
+
+// Messages resent after a reconnect with Last-Event-ID
+const EVENT_STREAM_REPLAY_LIMIT = 200;
+
+const formatServerSentEvent = (event, data, id) =>
+    `${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * GET /api/sms/events
+ * Server-Sent Events stream of `message.created` events (data: the message,
+ * id: its id) for messages uploaded from any of the user's devices. Send the
+ * token in the Authorization header or as ?access_token= (EventSource can't
+ * set headers). After a reconnect, messages newer than Last-Event-ID are sent
+ * first. The stream ends with an `auth.expired` event when the token expires
+ * or the session is revoked; reconnect with a fresh token.
+ */
+router.get('/events', authenticateEventStream, async (req, res) => {
+    const userId = req.user.userId || req.user.id;
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+
+    let closed = false;
+    let unsubscribe = null;
+    const timers = [];
+
+    const close = () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        timers.forEach(clearInterval);
+        if (unsubscribe) {
+            unsubscribe();
+        }
+        res.end();
+    };
+    res.on('close', close);
+
+    // Writes are serialized so replayed and live events come out in order
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        queue = queue
+            .then(() => (closed ? undefined : task()))
+            .catch(error => console.error('Message event stream error:', error));
+    };
+
+    // Ids already sent by the replay or by live events that arrived before it ran
+    const sentIds = new Set();
+    let replayDone = !(lastEventId > 0);
+
+    const sendMessages = (messages) => {
+        for (const message of messages) {
+            if (sentIds.has(message.id)) {
+                continue;
+            }
+            if (!replayDone) {
+                sentIds.add(message.id);
+            }
+            res.write(formatServerSentEvent(REALTIME_EVENTS.messageCreated, message, message.id));
+        }
+    };
+
+    const loadMessages = async (whereClause, params, limit) => {
+        const keys = await getUserKeys(userId);
+        const [rows] = await pool.query(
+            `SELECT ${MESSAGE_COLUMNS} FROM ${MESSAGE_SOURCE} WHERE user_id = ? AND ${whereClause} ORDER BY id LIMIT ${limit}`,
+            [userId, ...params]
+        );
+        return toMessages(userId, keys, rows);
+    };
+
+    try {
+        unsubscribe = await subscribeToUserEvents(userId, ({ event, messageIds }) => {
+            if (event === REALTIME_EVENTS.messageCreated && messageIds.length > 0) {
+                enqueue(async () => sendMessages(await loadMessages('id IN (?)', [messageIds], messageIds.length)));
+            }
+        });
+    } catch (error) {
+        console.error('Subscribe to message events error:', error);
+        return res.status(503).json({
+            success: false,
+            message: 'Real-time events are unavailable'
+        });
+    }
+
+    // The client went away while subscribing
+    if (closed) {
+        unsubscribe();
+        return;
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    if (!replayDone) {
+        enqueue(async () => {
+            sendMessages(await loadMessages('id > ?', [lastEventId], EVENT_STREAM_REPLAY_LIMIT));
+            replayDone = true;
+        });
+    }
+
+    timers.push(setInterval(() => enqueue(() => res.write(': keep-alive\n\n')), EVENT_STREAM_HEARTBEAT_MS));
+
+    timers.push(setInterval(() => enqueue(async () => {
+        try {
+            await verifyAccessToken(req.accessToken);
+        } catch (error) {
+            if (error.code !== 'INVALID_SESSION' && error.name !== 'JsonWebTokenError' && error.name !== 'TokenExpiredError') {
+                throw error;
+            }
+            res.write(formatServerSentEvent('auth.expired', { message: error.message }));
+            close();
+        }
+    }), EVENT_STREAM_AUTH_CHECK_MS));
+});
+
+/**
+ * GET /api/sms/sync/state
+ * Newest stored message date and the sync token/watermark for each device
+ * Query: deviceId (optional)
+ */
+router.get('/sync/state', authenticateToken, [
+    query('deviceId').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Device ID must be at most 100 characters')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const state = await getSyncState(userId, req.query.deviceId);
+
+        res.json({
+            success: true,
+            data: state
+        });
+
+    } catch (error) {
+        console.error('Get sync state error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sync state'
+        });
+    }
+});
+
+/**
+ * POST /api/sms/sync
+ * Upload the messages a device has received since its last sync
+ * Body: deviceId, syncToken (omit on first sync), messages
+ */
+router.post('/sync', authenticateToken, syncValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { deviceId, syncToken, messages } = req.body;
+        const userId = req.user.userId || req.user.id;
+
+        const { result, sync } = await applySync(userId, {
+            deviceId,
+            syncToken: syncToken || null,
+            messages,
+            sourceDeviceId: req.deviceId
+        });
+        announceNewMessages(userId, result.insertedIds);
+        const { statusCode, body } = buildIngestResponse(sync.acceptedMessages, result);
+
+        res.status(statusCode).json({
+            ...body,
+            data: {
+                ...body.data,
+                sync
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'SYNC_TOKEN_MISMATCH') {
+            return res.status(409).json({
+                success: false,
+                message: 'Sync token is out of date. Fetch /api/sms/sync/state and resend the delta.',
+                data: {
+                    device: error.state
+                }
+            });
+        }
+
+        console.error('Sync SMS error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sync SMS messages',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Map import job error codes to HTTP responses
+const IMPORT_JOB_ERRORS = {
+    JOB_NOT_FOUND: 404,
+    JOB_COMPLETED: 409,
+    CHUNK_OUT_OF_RANGE: 400,
+    CHUNK_MISMATCH: 409,
+    CHUNKS_MISSING: 409
+};
+
+const importJobIdValidation = [
+    param('id').isUUID().withMessage('Invalid import job ID')
+];
+
+/**
+ * POST /api/sms/imports
+ * Start a resumable import job
+ * Body: totalChunks (optional, lets the server report missing chunks)
+ */
+router.post('/imports', authenticateToken, [
+    body('totalChunks').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Total chunks must be a positive integer')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const totalChunks = req.body.totalChunks ? parseInt(req.body.totalChunks, 10) : null;
+        const job = await createJob(userId, { totalChunks });
+
+        res.status(201).json({
+            success: true,
+            message: 'Import job created successfully',
+            data: { job }
+        });
+
+    } catch (error) {
+        console.error('Create import job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create import job'
+        });
+    }
+});
+
+/**
+ * PUT /api/sms/imports/:id/chunks/:sequence
+ * Upload one chunk of messages. Sequences start at 0; re-sending a chunk is safe.
+ */
+router.put('/imports/:id/chunks/:sequence', authenticateToken, [
+    ...importJobIdValidation,
+    param('sequence').isInt({ min: 0 }).withMessage('Chunk sequence must be a non-negative integer')
+], multipleSMSValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const sequence = parseInt(req.params.sequence, 10);
+        const { messages } = req.body;
+
+        const applied = await applyChunk(userId, req.params.id, sequence, messages, req.deviceId);
+
+        if (applied.alreadyApplied) {
+            return res.json({
+                success: true,
+                message: `Chunk ${sequence} was already applied`,
+                data: {
+                    sequence,
+                    alreadyApplied: true,
+                    chunk: applied.chunk
+                }
+            });
+        }
+
+        announceNewMessages(userId, applied.result.insertedIds);
+
+        const { statusCode, body } = buildIngestResponse(messages.length, applied.result);
+        res.status(statusCode).json({
+            ...body,
+            data: {
+                sequence,
+                alreadyApplied: false,
+                ...body.data
+            }
+        });
+
+    } catch (error) {
+        if (IMPORT_JOB_ERRORS[error.code]) {
+            return res.status(IMPORT_JOB_ERRORS[error.code]).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Import chunk error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import chunk',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/sms/imports/:id
+ * Import job progress and per-chunk results, including errors
+ */
+router.get('/imports/:id', authenticateToken, importJobIdValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const job = await getJob(userId, req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { job }
+        });
+
+    } catch (error) {
+        console.error('Get import job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch import job'
+        });
+    }
+});
+
+/**
+ * POST /api/sms/imports/:id/complete
+ * Mark the job finished; no further chunks are accepted
+ */
+router.post('/imports/:id/complete', authenticateToken, importJobIdValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const job = await completeJob(userId, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Import job completed',
+            data: { job }
+        });
+
+    } catch (error) {
+        if (IMPORT_JOB_ERRORS[error.code]) {
+            return res.status(IMPORT_JOB_ERRORS[error.code]).json({
+                success: false,
+                message: error.message,
+                ...(error.missingChunks && { data: { missingChunks: error.missingChunks } })
+            });
+        }
+
+        console.error('Complete import job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to complete import job'
+        });
+    }
+});
+
+/**
+ * GET /api/sms/export
+ * Download the user's messages as json, csv or Android SMS Backup & Restore xml.
+ * The response is streamed, oldest message first.
+ * Query: format, address, type, contactName, contactId, category, read, starred, archived, labelId, from, to
+ */
+router.get('/export', authenticateToken, [
+    query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('Format must be json, csv or xml'),
+    ...messageFilterValidation
+], handleValidationErrors, async (req, res) => {
+    const format = req.query.format || 'json';
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    try {
+        const userId = req.user.userId || req.user.id;
+        const filename = `sms-export-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await exportMessages(userId, req.query, format, res);
+        res.end();
+
+    } catch (error) {
+        console.error('Export SMS messages error:', error);
+
+        // Once streaming has started the only way to signal failure is to cut the response
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export SMS messages'
+        });
+    }
+});
+
+const MESSAGE_STATE_ERROR_STATUS = {
+    LABEL_NOT_FOUND: 404,
+    LABEL_LIMIT: 409,
+    LABEL_EXISTS: 409
+};
+
+const MAX_LABEL_CHANGES = 20;
+
+// Body of PATCH /api/sms/messages and /api/sms/messages/:id
+const messageStateValidation = [
+    body('read').optional().isBoolean().withMessage('Read must be a boolean').toBoolean(true),
+    body('starred').optional().isBoolean().withMessage('Starred must be a boolean').toBoolean(true),
+    body('archived').optional().isBoolean().withMessage('Archived must be a boolean').toBoolean(true),
+    body(['addLabels', 'removeLabels']).optional().isArray({ max: MAX_LABEL_CHANGES })
+        .withMessage(`Label lists must be arrays of at most ${MAX_LABEL_CHANGES} label IDs`),
+    body(['addLabels.*', 'removeLabels.*']).isInt({ min: 1 }).withMessage('Label IDs must be positive integers').toInt(),
+    body().custom(value => Boolean(value && ['read', 'starred', 'archived', 'addLabels', 'removeLabels']
+        .some(field => value[field] !== undefined)))
+        .withMessage('Nothing to change: send read, starred, archived, addLabels or removeLabels')
+];
+
+const toStateChanges = (reqBody) => ({
+    read: reqBody.read,
+    starred: reqBody.starred,
+    archived: reqBody.archived,
+    addLabels: reqBody.addLabels,
+    removeLabels: reqBody.removeLabels
+});
+
+const sendMessageStateError = (res, error, fallbackMessage, logPrefix) => {
+    if (MESSAGE_STATE_ERROR_STATUS[error.code]) {
+        return res.status(MESSAGE_STATE_ERROR_STATUS[error.code]).json({
+            success: false,
+            message: error.message,
+            ...(error.code === 'LABEL_LIMIT' && { maxLabels: MAX_LABELS_PER_USER })
+        });
+    }
+
+    console.error(`${logPrefix}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * PATCH /api/sms/messages/:id
+ * Mark a message read/unread, star or archive it, and add or remove labels
+ * Body: read, starred, archived (booleans), addLabels, removeLabels (label IDs)
+ */
+router.patch('/messages/:id', authenticateToken, [
+    param('id').isInt({ min: 1 }).withMessage('Invalid message ID'),
+    ...messageStateValidation
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const messageId = parseInt(req.params.id, 10);
+        const updated = await updateMessageState(userId, messageId, toStateChanges(req.body));
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: 'SMS message not found'
+            });
+        }
+
+        const keys = await getUserKeys(userId);
+        const [rows] = await pool.execute(
+            `SELECT ${MESSAGE_COLUMNS} FROM ${MESSAGE_SOURCE} WHERE id = ? AND user_id = ?`,
+            [messageId, userId]
+        );
+        const [message] = await toMessages(userId, keys, rows);
+
+        res.json({
+            success: true,
+            message: 'SMS message updated successfully',
+            data: { message }
+        });
+
+    } catch (error) {
+        sendMessageStateError(res, error, 'Failed to update SMS message', 'Update SMS message state error');
+    }
+});
+
+/**
+ * PATCH /api/sms/messages
+ * Apply the same changes to every message matching the filters, e.g.
+ * `?address=...&read=false` with {"read": true} to mark a conversation read.
+ * Without filters the changes apply to all of the user's messages.
+ * Query: address, type, contactName, contactId, category, deviceId, read, starred, archived, labelId, from, to
+ * Body: same as PATCH /api/sms/messages/:id
+ */
+router.patch('/messages', authenticateToken, messageFilterValidation, messageStateValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const keys = await getUserKeys(userId);
+        const { clauses, params } = buildMessageFilters(userId, req.query, keys);
+
+        const matchedMessages = await updateMessageStateWhere(userId, clauses, params, toStateChanges(req.body));
+
+        res.json({
+            success: true,
+            message: `Updated ${matchedMessages} SMS messages`,
+            data: {
+                matchedMessages
+            }
+        });
+
+    } catch (error) {
+        sendMessageStateError(res, error, 'Failed to update SMS messages', 'Bulk update SMS message state error');
+    }
+});
+
+/**
+ * DELETE /api/sms/messages/:id
+ * Delete a single message
+ */
+router.delete('/messages/:id', authenticateToken, [
+    param('id').isInt({ min: 1 }).withMessage('Message ID must be a positive integer')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+
+        const [result] = await pool.execute(
+            'DELETE FROM sms_messages WHERE id = ? AND user_id = ?',
+            [req.params.id, userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'SMS message not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'SMS message deleted successfully',
+            data: {
+                deletedMessages: result.affectedRows
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete SMS message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete SMS message'
+        });
+    }
+});
+
+/**
+ * DELETE /api/sms/messages
+ * Delete every message matching the filters. At least one filter is required.
+ * Query: address, type, contactName, contactId, category, read, starred, archived, labelId, from, to
+ */
+router.delete('/messages', authenticateToken, messageFilterValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const keys = await getUserKeys(userId);
+        const { clauses, params } = buildMessageFilters(userId, req.query, keys);
+
+        // Only the user_id clause means no filter was given; refuse to wipe everything
+        if (clauses.length === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one filter (address, type, contactName, read, starred, archived, labelId, from, to) is required'
+            });
+        }
+
+        const deletedMessages = await deleteMessagesWhere(clauses, params);
+
+        res.json({
+            success: true,
+            message: `Deleted ${deletedMessages} SMS messages`,
+            data: {
+                deletedMessages
+            }
+        });
+
+    } catch (error) {
+        console.error('Bulk delete SMS messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete SMS messages'
+        });
+    }
+});
+
+/**
+ * DELETE /api/sms/conversations/:address
+ * Delete a whole conversation. Any formatting of the number matches.
+ */
+router.delete('/conversations/:address', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const threadKey = getThreadKey(req.params.address);
+
+        const deletedMessages = await deleteMessagesWhere(['user_id = ?', 'thread_key = ?'], [userId, threadKey]);
+
+        if (deletedMessages === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Conversation deleted successfully',
+            data: {
+                thread_key: threadKey,
+                deletedMessages
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete conversation'
+        });
+    }
+});
+
+/**
+ * GET /api/sms/retention
+ * Current message retention policy (retentionDays null = keep forever)
+ */
+router.get('/retention', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const policy = await getRetentionPolicy(userId);
+
+        res.json({
+            success: true,
+            data: policy
+        });
+
+    } catch (error) {
+        console.error('Get retention policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch retention policy'
+        });
+    }
+});
+
+/**
+ * PUT /api/sms/retention
+ * Set how many days of messages to keep; older ones are removed by the purge job
+ * Body: retentionDays (positive integer, or null to keep forever)
+ */
+router.put('/retention', authenticateToken, [
+    body('retentionDays').optional({ values: 'null' }).isInt({ min: 1, max: 36500 })
+        .withMessage('Retention days must be between 1 and 36500, or null')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const retentionDays = req.body.retentionDays ? parseInt(req.body.retentionDays, 10) : null;
+        const policy = await setRetentionPolicy(userId, retentionDays);
+
+        res.json({
+            success: true,
+            message: 'Retention policy updated successfully',
+            data: policy
+        });
+
+    } catch (error) {
+        console.error('Update retention policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update retention policy'
+        });
+    }
+});
+
+// Body of POST/PUT /api/sms/category-rules
+const categoryRuleValidation = [
+    body('category').isString().trim().toLowerCase().custom(isNormalizedCategory)
+        .withMessage('Category must be 1-32 lowercase letters, digits, "-" or "_"'),
+    body('senderPattern').optional({ values: 'null' }).isString().trim().isLength({ min: 1, max: 255 })
+        .withMessage('Sender pattern must be 1-255 characters'),
+    body('bodyContains').optional({ values: 'null' }).isString().trim().isLength({ min: 1, max: 255 })
+        .withMessage('Body text must be 1-255 characters'),
+    body('priority').optional().isInt({ min: -1000, max: 1000 })
+        .withMessage('Priority must be between -1000 and 1000').toInt(),
+    body().custom(value => Boolean(value && (value.senderPattern || value.bodyContains)))
+        .withMessage('A rule needs a senderPattern, a bodyContains text or both')
+];
+
+const toCategoryRule = (reqBody) => ({
+    category: reqBody.category,
+    senderPattern: reqBody.senderPattern || null,
+    bodyContains: reqBody.bodyContains || null,
+    priority: reqBody.priority || 0
+});
+
+/**
+ * GET /api/sms/categories
+ * Built-in categories and how many of the user's messages are in each category
+ */
+router.get('/categories', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const [rows] = await pool.execute(
+            'SELECT category, COUNT(*) AS message_count FROM sms_messages WHERE user_id = ? GROUP BY category ORDER BY message_count DESC',
+            [userId]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                builtIn: Object.values(CATEGORIES),
+                categories: rows.map(row => ({ category: row.category, messageCount: row.message_count }))
+            }
+        });
+
+    } catch (error) {
+        console.error('List categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch categories'
+        });
+    }
+});
+
+/**
+ * GET /api/sms/category-rules
+ * The user's categorization rules, in the order they are applied
+ */
+router.get('/category-rules', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const rules = await listCategoryRules(userId);
+
+        res.json({
+            success: true,
+            data: { rules }
+        });
+
+    } catch (error) {
+        console.error('List category rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch category rules'
+        });
+    }
+});
+
+/**
+ * POST /api/sms/category-rules
+ * Add a rule. Rules are checked before the built-in categorizer, highest
+ * priority first, on messages ingested from now on; `npm run categorize -- --all`
+ * re-applies them to stored messages.
+ * Body: category, senderPattern (whole address, `*` wildcard), bodyContains, priority
+ */
+router.post('/category-rules', authenticateToken, categoryRuleValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const rule = await createCategoryRule(userId, toCategoryRule(req.body));
+
+        res.status(201).json({
+            success: true,
+            message: 'Category rule created successfully',
+            data: { rule }
+        });
+
+    } catch (error) {
+        if (error.code === 'CATEGORY_RULE_LIMIT') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                maxRules: MAX_RULES_PER_USER
+            });
+        }
+
+        console.error('Create category rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create category rule'
+        });
+    }
+});
+
+/**
+ * PUT /api/sms/category-rules/:id
+ * Replace a rule
+ * Body: category, senderPattern, bodyContains, priority
+ */
+router.put('/category-rules/:id', authenticateToken, [
+    param('id').isInt({ min: 1 }).withMessage('Rule ID must be a positive integer'),
+    ...categoryRuleValidation
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const rule = await updateCategoryRule(userId, parseInt(req.params.id, 10), toCategoryRule(req.body));
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Category rule updated successfully',
+            data: { rule }
+        });
+
+    } catch (error) {
+        console.error('Update category rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update category rule'
+        });
+    }
+});
+
+/**
+ * DELETE /api/sms/category-rules/:id
+ * Remove a rule
+ */
+router.delete('/category-rules/:id', authenticateToken, [
+    param('id').isInt({ min: 1 }).withMessage('Rule ID must be a positive integer')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const deleted = await deleteCategoryRule(userId, parseInt(req.params.id, 10));
+
+        if (deleted === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Category rule deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete category rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete category rule'
+        });
+    }
+});
+
+// Body of POST/PUT /api/sms/labels
+const labelValidation = [
+    body('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Label name must be 1-50 characters'),
+    body('color').optional({ values: 'null' }).matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex color such as #1a73e8').toLowerCase()
+];
+
+const toLabel = (reqBody) => ({
+    name: reqBody.name,
+    color: reqBody.color || null
+});
+
+/**
+ * GET /api/sms/labels
+ * The user's labels with how many messages carry each one
+ */
+router.get('/labels', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const labels = await listLabels(userId);
+
+        res.json({
+            success: true,
+            data: { labels }
+        });
+
+    } catch (error) {
+        sendMessageStateError(res, error, 'Failed to fetch labels', 'List labels error');
+    }
+});
+
+/**
+ * POST /api/sms/labels
+ * Create a label; names are unique per user (case-insensitive)
+ * Body: name, color (optional, #rrggbb)
+ */
+router.post('/labels', authenticateToken, labelValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const label = await createLabel(userId, toLabel(req.body));
+
+        res.status(201).json({
+            success: true,
+            message: 'Label created successfully',
+            data: { label }
+        });
+
+    } catch (error) {
+        sendMessageStateError(res, error, 'Failed to create label', 'Create label error');
+    }
+});
+
+/**
+ * PUT /api/sms/labels/:id
+ * Rename or recolor a label
+ * Body: name, color
+ */
+router.put('/labels/:id', authenticateToken, [
+    param('id').isInt({ min: 1 }).withMessage('Label ID must be a positive integer'),
+    ...labelValidation
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const label = await updateLabel(userId, parseInt(req.params.id, 10), toLabel(req.body));
+
+        if (!label) {
+            return res.status(404).json({
+                success: false,
+                message: 'Label not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Label updated successfully',
+            data: { label }
+        });
+
+    } catch (error) {
+        sendMessageStateError(res, error, 'Failed to update label', 'Update label error');
+    }
+});
+
+/**
+ * DELETE /api/sms/labels/:id
+ * Delete a label and remove it from every message
+ */
+router.delete('/labels/:id', authenticateToken, [
+    param('id').isInt({ min: 1 }).withMessage('Label ID must be a positive integer')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const deleted = await deleteLabel(userId, parseInt(req.params.id, 10));
+
+        if (deleted === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Label not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Label deleted successfully'
+        });
+
+    } catch (error) {
+        sendMessageStateError(res, error, 'Failed to delete label', 'Delete label error');
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,312 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { webhookValidation, handleValidationErrors } = require('../middleware/validation');
+const {
+    DELIVERY_STATUS,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    rotateSecret,
+    deleteWebhook,
+    listDeliveries,
+    getDelivery,
+    replayDelivery,
+    replayFailedDeliveries
+} = require('../services/webhooks');
+
+const router = express.Router();
+
+const DEFAULT_DELIVERY_PAGE_SIZE = 50;
+const MAX_DELIVERY_PAGE_SIZE = 200;
+
+const WEBHOOK_ERROR_STATUS = {
+    INVALID_WEBHOOK_URL: 400,
+    WEBHOOK_LIMIT: 409,
+    DELIVERY_NOT_FOUND: 404,
+    DELIVERY_NOT_FAILED: 409
+};
+
+const sendWebhookError = (res, error, fallbackMessage) => {
+    if (WEBHOOK_ERROR_STATUS[error.code]) {
+        return res.status(WEBHOOK_ERROR_STATUS[error.code]).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+const webhookIdValidation = [
+    param('id').isInt({ min: 1 }).withMessage('Webhook ID must be a positive integer')
+];
+
+// Resolve :id to one of the user's webhooks, or answer 404
+const loadWebhook = async (req, res, next) => {
+    try {
+        const webhook = await getWebhook(req.user.id, parseInt(req.params.id, 10));
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+        req.webhook = webhook;
+        next();
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to fetch webhook');
+    }
+};
+
+const toWebhookFields = (reqBody) => ({
+    url: reqBody.url,
+    filters: reqBody.filters || {},
+    active: reqBody.active !== false
+});
+
+/**
+ * GET /api/webhooks
+ * The user's webhook subscriptions (secrets are never listed)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const webhooks = await listWebhooks(req.user.id);
+
+        res.json({
+            success: true,
+            data: { webhooks }
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to fetch webhooks');
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to `message.created` events for every newly stored message,
+ * whichever upload or import endpoint it came through; imports announce each
+ * saved batch. The response contains the signing secret; it is not shown again.
+ * Body: url, secret (optional, generated if omitted), filters {address, type, keyword, category}, active
+ */
+router.post('/', authenticateToken, [
+    ...webhookValidation,
+    body('secret').optional().isString().isLength({ min: 16, max: 128 })
+        .withMessage('Secret must be 16-128 characters')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const webhook = await createWebhook(req.user.id, { ...toWebhookFields(req.body), secret: req.body.secret });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created successfully',
+            data: { webhook }
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to create webhook');
+    }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', authenticateToken, webhookIdValidation, handleValidationErrors, loadWebhook, (req, res) => {
+    res.json({
+        success: true,
+        data: { webhook: req.webhook }
+    });
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Replace the URL, filters and active flag. The secret is kept.
+ * Body: url, filters {address, type, keyword, category}, active
+ */
+router.put('/:id', authenticateToken, [...webhookIdValidation, ...webhookValidation], handleValidationErrors, async (req, res) => {
+    try {
+        const webhook = await updateWebhook(req.user.id, parseInt(req.params.id, 10), toWebhookFields(req.body));
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: { webhook }
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to update webhook');
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret; the new one is returned once
+ */
+router.post('/:id/rotate-secret', authenticateToken, webhookIdValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const webhook = await rotateSecret(req.user.id, parseInt(req.params.id, 10));
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook secret rotated successfully',
+            data: { webhook }
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to rotate webhook secret');
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a webhook together with its delivery log
+ */
+router.delete('/:id', authenticateToken, webhookIdValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const deleted = await deleteWebhook(req.user.id, parseInt(req.params.id, 10));
+
+        if (deleted === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted successfully'
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to delete webhook');
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log, newest first
+ * Query: status (pending, succeeded, failed), limit, before (delivery id to page from)
+ */
+router.get('/:id/deliveries', authenticateToken, [
+    ...webhookIdValidation,
+    query('status').optional().isIn(Object.values(DELIVERY_STATUS))
+        .withMessage('Status must be pending, succeeded or failed'),
+    query('limit').optional().isInt({ min: 1, max: MAX_DELIVERY_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${MAX_DELIVERY_PAGE_SIZE}`),
+    query('before').optional().isInt({ min: 1 }).withMessage('Before must be a delivery ID')
+], handleValidationErrors, loadWebhook, async (req, res) => {
+    try {
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_DELIVERY_PAGE_SIZE;
+        const { deliveries, hasMore } = await listDeliveries(req.user.id, req.webhook.id, {
+            status: req.query.status,
+            limit,
+            beforeId: req.query.before ? parseInt(req.query.before, 10) : null
+        });
+
+        res.json({
+            success: true,
+            data: {
+                deliveries,
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextBefore: hasMore ? deliveries[deliveries.length - 1].id : null
+                }
+            }
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to fetch webhook deliveries');
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId
+ * One delivery with every attempt made
+ */
+router.get('/:id/deliveries/:deliveryId', authenticateToken, [
+    ...webhookIdValidation,
+    param('deliveryId').isInt({ min: 1 }).withMessage('Delivery ID must be a positive integer')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const delivery = await getDelivery(req.user.id, parseInt(req.params.id, 10), parseInt(req.params.deliveryId, 10));
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook delivery not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { delivery }
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to fetch webhook delivery');
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/replay
+ * Send a failed delivery again, with a fresh set of retries
+ */
+router.post('/:id/deliveries/:deliveryId/replay', authenticateToken, [
+    ...webhookIdValidation,
+    param('deliveryId').isInt({ min: 1 }).withMessage('Delivery ID must be a positive integer')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const delivery = await replayDelivery(req.user.id, parseInt(req.params.id, 10), parseInt(req.params.deliveryId, 10));
+
+        res.status(202).json({
+            success: true,
+            message: 'Webhook delivery queued for replay',
+            data: { delivery }
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to replay webhook delivery');
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/replay-failed
+ * Send every failed delivery of the webhook again
+ */
+router.post('/:id/replay-failed', authenticateToken, webhookIdValidation, handleValidationErrors, loadWebhook, async (req, res) => {
+    try {
+        const replayed = await replayFailedDeliveries(req.user.id, req.webhook.id);
+
+        res.status(202).json({
+            success: true,
+            message: `${replayed} failed deliveries queued for replay`,
+            data: { replayed }
+        });
+
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to replay webhook deliveries');
+    }
+});
+
+module.exports = router;
\ No newline at end of file
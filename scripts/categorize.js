@@ -0,0 +1,59 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { categorizeUserMessages } = require('../services/messageCategories');
+
+/**
+ * Categorize stored messages.
+ *
+ *   npm run categorize                      categorize messages stored before categories existed
+ *   npm run categorize -- --all             re-categorize every message, e.g. after the
+ *                                           built-in rules or a user's rules changed
+ *   npm run categorize -- --all --user 42
+ *
+ * Safe to re-run and to run while the server is ingesting.
+ */
+const parseArgs = (argv) => {
+  const options = { all: false, userId: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--all') {
+      options.all = true;
+    } else if (argv[i] === '--user') {
+      options.userId = parseInt(argv[++i], 10);
+      if (!(options.userId > 0)) {
+        throw new Error('--user needs a numeric user ID');
+      }
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+};
+
+const runCategorize = async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    const [users] = options.userId
+      ? await pool.execute('SELECT id FROM users WHERE id = ?', [options.userId])
+      : await pool.execute('SELECT id FROM users ORDER BY id');
+
+    console.log(`🏷️  Categorizing ${options.all ? 'all' : 'uncategorized'} messages...`);
+    let totalChanged = 0;
+    for (const user of users) {
+      const { categorized, changed } = await categorizeUserMessages(user.id, { all: options.all });
+      if (changed > 0) {
+        console.log(`🏷️  User ${user.id}: ${changed} of ${categorized} messages categorized`);
+      }
+      totalChanged += changed;
+    }
+
+    console.log(`✅ Updated the category of ${totalChanged} messages across ${users.length} users`);
+  } catch (error) {
+    console.error('❌ Categorization failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+runCategorize();
\ No newline at end of file
@@ -1,38 +1,168 @@
+const fs = require('fs');
+const path = require('path');
 const mysql = require('mysql2/promise');
 require('dotenv').config();
 
-const createDatabaseAndTables = async () => {
-  let connection;
+/**
+ * Versioned schema migrations.
+ *
+ *   npm run migrate                  apply every pending migration
+ *   npm run migrate -- up --to 3     apply pending migrations up to version 3
+ *   npm run migrate:down             revert the latest applied migration
+ *   npm run migrate:down -- --steps 2
+ *   npm run migrate:status           list applied and pending migrations
+ *
+ * Migrations live in migrations/ as `<number>_<name>.js` exporting
+ * `up(connection)` and `down(connection)`. Applied versions are recorded in
+ * schema_migrations. MySQL commits DDL implicitly, so a migration that fails
+ * halfway is not rolled back: write each step so that re-running it is safe.
+ */
 
-  try {
-    // First, connect without specifying a database to check if it exists
-    console.log('🔗 Connecting to MySQL server...');
-    connection = await mysql.createConnection({
-      host: process.env.DB_HOST,
-      port: process.env.DB_PORT,
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-    });
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
 
-    console.log('✅ Connected to MySQL server');
+// Held for the whole run so two deploys can't migrate the same database at once
+const LOCK_NAME = 'sms_reader_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 10;
 
-    // Check if database exists and create if it doesn't
-    console.log(`🔍 Checking if database '${process.env.DB_NAME}' exists...`);
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .map(file => MIGRATION_FILE.exec(file))
+  .filter(Boolean)
+  .map(([file, version, name]) => ({ version: Number(version), name, file }))
+  .sort((a, b) => a.version - b.version);
+
+const parseArgs = (argv) => {
+  const [command = 'up', ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--to') {
+      options.to = Number(rest[++i]);
+    } else if (rest[i] === '--steps') {
+      options.steps = Number(rest[++i]);
+    } else {
+      throw new Error(`Unknown option: ${rest[i]}`);
+    }
+  }
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+  if (options.to !== undefined && !Number.isInteger(options.to)) {
+    throw new Error('--to must be a migration number');
+  }
+  if (options.steps !== undefined && !(Number.isInteger(options.steps) && options.steps > 0)) {
+    throw new Error('--steps must be a positive integer');
+  }
+  return { command, options };
+};
+
+const ensureDatabase = async () => {
+  console.log('🔗 Connecting to MySQL server...');
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  try {
     const [databases] = await connection.execute(
       'SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA WHERE SCHEMA_NAME = ?',
       [process.env.DB_NAME]
     );
-
     if (databases.length === 0) {
       console.log(`📦 Database '${process.env.DB_NAME}' does not exist. Creating...`);
       await connection.execute(`CREATE DATABASE ${process.env.DB_NAME}`);
       console.log(`✅ Database '${process.env.DB_NAME}' created successfully`);
-    } else {
-      console.log(`✅ Database '${process.env.DB_NAME}' already exists`);
     }
-
-    // Now connect to the specific database
+  } finally {
     await connection.end();
+  }
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+  `);
+};
+
+const getApplied = async (connection) => {
+  const [rows] = await connection.execute(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return rows;
+};
+
+const runUp = async (connection, migrations, applied, { to }) => {
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const pending = migrations.filter(migration =>
+    !appliedVersions.has(migration.version) && (to === undefined || migration.version <= to));
+
+  if (pending.length === 0) {
+    console.log('✅ Schema is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`⬆️  ${migration.file}`);
+    const { up } = require(path.join(MIGRATIONS_DIR, migration.file));
+    await up(connection);
+    await connection.execute(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    );
+  }
+  console.log(`🎉 Applied ${pending.length} migration(s)`);
+};
+
+const runDown = async (connection, migrations, applied, { steps = 1 }) => {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const toRevert = applied.slice(-steps).reverse();
+
+  if (toRevert.length === 0) {
+    console.log('✅ No migrations to revert');
+    return;
+  }
+
+  for (const row of toRevert) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+    }
+    console.log(`⬇️  ${migration.file}`);
+    const { down } = require(path.join(MIGRATIONS_DIR, migration.file));
+    await down(connection);
+    await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+  }
+  console.log(`🎉 Reverted ${toRevert.length} migration(s)`);
+};
+
+const printStatus = (migrations, applied) => {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  for (const migration of migrations) {
+    const row = appliedByVersion.get(migration.version);
+    const state = row ? `applied ${new Date(row.applied_at).toISOString()}` : 'pending';
+    console.log(`${row ? '✅' : '⏳'} ${migration.file}  ${state}`);
+  }
+
+  const known = new Set(migrations.map(migration => migration.version));
+  for (const row of applied.filter(row => !known.has(row.version))) {
+    console.log(`⚠️  ${row.version}_${row.name} is applied but has no file in migrations/`);
+  }
+};
+
+const migrate = async () => {
+  let connection;
+
+  try {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    const migrations = loadMigrations();
+
+    await ensureDatabase();
     connection = await mysql.createConnection({
       host: process.env.DB_HOST,
       port: process.env.DB_PORT,
@@ -40,71 +170,27 @@ const createDatabaseAndTables = async () => {
       password: process.env.DB_PASSWORD,
       database: process.env.DB_NAME,
     });
-
     console.log(`✅ Connected to database '${process.env.DB_NAME}'`);
 
-    // Create users table
-    console.log('📋 Creating users table...');
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        full_name VARCHAR(255) NOT NULL,
-        phone_number VARCHAR(20),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_email (email)
-      )
-    `);
-    console.log('✅ Users table created successfully');
-
-    // Create sms_messages table
-    console.log('📋 Creating sms_messages table...');
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS sms_messages (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        user_id INT NOT NULL,
-        sms_id VARCHAR(255) NOT NULL,
-        address VARCHAR(255) NOT NULL,
-        body TEXT NOT NULL,
-        date VARCHAR(50) NOT NULL,
-        type INT DEFAULT 1,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        UNIQUE KEY unique_user_sms (user_id, sms_id),
-        INDEX idx_user_id (user_id),
-        INDEX idx_sms_id (sms_id),
-        INDEX idx_address (address),
-        INDEX idx_date (date)
-      )
-    `);
-    console.log('✅ SMS messages table created successfully');
-
-    // Create user_sessions table for better session management
-    console.log('📋 Creating user_sessions table...');
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS user_sessions (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        user_id INT NOT NULL,
-        token_hash VARCHAR(255) NOT NULL,
-        device_info TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP NULL DEFAULT NULL,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        INDEX idx_user_id (user_id),
-        INDEX idx_token_hash (token_hash),
-        INDEX idx_expires_at (expires_at)
-      )
-    `);
-    console.log('✅ User sessions table created successfully');
-
-    console.log('🎉 All tables created successfully!');
+    const [locks] = await connection.execute('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (locks[0].acquired !== 1) {
+      throw new Error('Another migration is running against this database');
+    }
+
+    await ensureMigrationsTable(connection);
+    const applied = await getApplied(connection);
+
+    if (command === 'up') {
+      await runUp(connection, migrations, applied, options);
+    } else if (command === 'down') {
+      await runDown(connection, migrations, applied, options);
+    } else {
+      printStatus(migrations, applied);
+    }
 
   } catch (error) {
     console.error('❌ Migration failed:', error.message);
-    
+
     // Provide more helpful error messages
     if (error.code === 'ECONNREFUSED') {
       console.error('💡 Make sure MySQL server is running and accessible');
@@ -119,16 +205,13 @@ const createDatabaseAndTables = async () => {
       console.error(`💡 Access denied for database '${process.env.DB_NAME}'`);
       console.error(`💡 Make sure user '${process.env.DB_USER}' has proper permissions`);
     }
-    
-    process.exit(1);
+
+    process.exitCode = 1;
   } finally {
     if (connection) {
       await connection.end();
-      console.log('🔌 Database connection closed');
     }
   }
 };
 
-// Run migration
-console.log('🚀 Starting database and table creation...');
-createDatabaseAndTables();
\ No newline at end of file
+migrate();
\ No newline at end of file
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { purgeExpiredMessages } = require('../services/messageDeletion');
+const { purgeExpiredTakeouts } = require('../services/dataTakeout');
+const { purgeStaleStatsRollups } = require('../services/messageStats');
+const { purgeOldWebhookDeliveries } = require('../services/webhooks');
+const { purgeOrphanedAttachments } = require('../services/mms');
+
+// Enforce message retention policies and clean up attachments of deleted messages, expired takeouts, unused stats rollups and old webhook deliveries; meant to run from cron
+const runPurge = async () => {
+  try {
+    console.log('🧹 Purging messages past their retention period...');
+    const { users, deletedMessages } = await purgeExpiredMessages();
+    console.log(`✅ Deleted ${deletedMessages} messages across ${users} users with a retention policy`);
+    const orphanedAttachments = await purgeOrphanedAttachments();
+    console.log(`✅ Removed ${orphanedAttachments} attachments of deleted messages`);
+    const expiredTakeouts = await purgeExpiredTakeouts();
+    console.log(`✅ Removed ${expiredTakeouts} expired data takeout archives`);
+    const staleRollups = await purgeStaleStatsRollups();
+    console.log(`✅ Dropped ${staleRollups} unused stats rollups`);
+    const oldDeliveries = await purgeOldWebhookDeliveries();
+    console.log(`✅ Deleted ${oldDeliveries} old webhook deliveries`);
+  } catch (error) {
+    console.error('❌ Purge failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+runPurge();
\ No newline at end of file
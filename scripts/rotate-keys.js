@@ -0,0 +1,101 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const {
+  rewrapUserKeys,
+  addDataKeyVersion,
+  reencryptUserMessages,
+  retireDataKeysBelow
+} = require('../services/messageCrypto');
+const { encryptStoredSecret } = require('../services/twoFactor');
+
+/**
+ * Key rotation for message encryption at rest.
+ *
+ *   npm run rotate-keys                       rewrap user keys under the current master key
+ *                                             and encrypt messages and 2FA secrets still
+ *                                             stored in plaintext
+ *   npm run rotate-keys -- --data-keys        also give every user a new data key and
+ *                                             re-encrypt their messages with it
+ *   npm run rotate-keys -- --data-keys --user 42
+ *
+ * Messages encrypted before values were bound to their column and row stay
+ * readable; --data-keys rewrites them in the bound form.
+ *
+ * --data-keys only re-encrypts messages. Older data keys are retired once no
+ * table uses them any more; until then the run lists the tables keeping them.
+ *
+ * Safe to re-run; each run picks up whatever the previous one left behind.
+ * Running servers cache keyrings for five minutes, so messages they save
+ * right after a data key rotation may need a second run.
+ */
+const parseArgs = (argv) => {
+  const options = { dataKeys: false, userId: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--data-keys') {
+      options.dataKeys = true;
+    } else if (argv[i] === '--user') {
+      options.userId = parseInt(argv[++i], 10);
+      if (!(options.userId > 0)) {
+        throw new Error('--user needs a numeric user ID');
+      }
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+};
+
+const runRotation = async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('🔑 Rewrapping user keys under the current master key...');
+    const rewrapped = await rewrapUserKeys();
+    console.log(`✅ Rewrapped ${rewrapped} keys`);
+
+    const [users] = options.userId
+      ? await pool.execute('SELECT id FROM users WHERE id = ?', [options.userId])
+      : await pool.execute('SELECT id FROM users ORDER BY id');
+
+    let totalReencrypted = 0;
+    let totalRemaining = 0;
+    let totalSecrets = 0;
+    for (const user of users) {
+      if (await encryptStoredSecret(user.id)) {
+        totalSecrets++;
+      }
+
+      const version = options.dataKeys ? await addDataKeyVersion(user.id) : null;
+      const { reencrypted, merged, remaining } = await reencryptUserMessages(user.id);
+
+      if (version && remaining === 0) {
+        const inUse = await retireDataKeysBelow(user.id, version);
+        if (inUse.length > 0) {
+          console.log(`💡 User ${user.id}: older data keys kept, still used by ${inUse.join(', ')}`);
+        }
+      }
+      if (reencrypted > 0 || merged > 0 || version) {
+        console.log(`🔐 User ${user.id}: ${reencrypted} messages re-encrypted, ${merged} duplicates merged` +
+          (version ? `, now on data key v${version}` : ''));
+      }
+
+      totalReencrypted += reencrypted;
+      totalRemaining += remaining;
+    }
+
+    console.log(`✅ Re-encrypted ${totalReencrypted} messages across ${users.length} users`);
+    if (totalSecrets > 0) {
+      console.log(`✅ Encrypted ${totalSecrets} plaintext 2FA secrets`);
+    }
+    if (totalRemaining > 0) {
+      console.log(`💡 ${totalRemaining} messages were written during the run with an older key; run again to finish`);
+    }
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+runRotation();
\ No newline at end of file
@@ -1,12 +1,19 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { testConnection } = require('./config/database');
+const { loadMasterKeys } = require('./config/encryption');
+const { purgeExpiredMessages } = require('./services/messageDeletion');
+const { purgeExpiredTakeouts, resumeTakeoutJobs } = require('./services/dataTakeout');
+const { startWebhookWorker } = require('./services/webhooks');
+const { purgeOrphanedAttachments } = require('./services/mms');
+const { authLimiter, smsLimiter, defaultLimiter } = require('./middleware/rateLimit');
 const authRoutes = require('./routes/auth');
 const smsRoutes = require('./routes/sms');
+const webhookRoutes = require('./routes/webhooks');
+const contactRoutes = require('./routes/contacts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,22 +24,14 @@ app.use(helmet());
 // CORS configuration
 const corsOptions = {
     origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: true
 };
 app.use(cors(corsOptions));
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
-    message: {
-        success: false,
-        message: 'Too many requests from this IP, please try again later.'
-    }
-});
-app.use(limiter);
+// Rate limiting: auth and SMS routes get their own limits (see middleware/rateLimit.js)
+app.use(defaultLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -55,8 +54,10 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api/auth', authRoutes);
-app.use('/api/sms', smsRoutes);
+app.use('/api/auth', authLimiter, authRoutes);
+app.use('/api/sms', smsLimiter, smsRoutes);
+app.use('/api/webhooks', smsLimiter, webhookRoutes);
+app.use('/api/contacts', smsLimiter, contactRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -94,9 +95,35 @@ app.use((error, req, res, next) => {
     });
 });
 
+// Scheduled retention purge. Disabled unless RETENTION_PURGE_INTERVAL_HOURS is set;
+// `npm run purge` can be run from cron instead.
+const scheduleRetentionPurge = () => {
+    const intervalHours = parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS);
+    if (!(intervalHours > 0)) {
+        return;
+    }
+
+    const runPurge = async () => {
+        try {
+            const { deletedMessages } = await purgeExpiredMessages();
+            const orphanedAttachments = await purgeOrphanedAttachments();
+            const expiredTakeouts = await purgeExpiredTakeouts();
+            console.log(`🧹 Retention purge removed ${deletedMessages} messages, ${orphanedAttachments} attachments and ${expiredTakeouts} takeout archives`);
+        } catch (error) {
+            console.error('Retention purge failed:', error);
+        }
+    };
+
+    setInterval(runPurge, intervalHours * 60 * 60 * 1000).unref();
+    console.log(`🧹 Retention purge scheduled every ${intervalHours}h`);
+};
+
 // Start server
 const startServer = async () => {
     try {
+        // Message encryption needs the master keys; fail now rather than on the first request
+        loadMasterKeys();
+
         // Test database connection
         await testConnection();
 
@@ -107,6 +134,17 @@ const startServer = async () => {
             console.log(`🔗 Health check: http://localhost:${PORT}/health`);
             console.log(`📱 API Base URL: http://localhost:${PORT}/api`);
         });
+
+        scheduleRetentionPurge();
+
+        // Deliver queued webhooks, including retries left over from the last run
+        startWebhookWorker();
+
+        // Finish data takeouts interrupted by the last shutdown
+        const resumedTakeouts = await resumeTakeoutJobs();
+        if (resumedTakeouts > 0) {
+            console.log(`📦 Resumed ${resumedTakeouts} data takeout jobs`);
+        }
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
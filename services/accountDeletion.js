@@ -0,0 +1,26 @@
+const { pool } = require('../config/database');
+const { deleteMessagesWhere } = require('./messageDeletion');
+const { deleteUserTakeouts } = require('./dataTakeout');
+const { deleteUserAttachments } = require('./mms');
+
+/**
+ * Permanently delete a user and everything they own. Messages are removed
+ * in batches first so the final cascading DELETE doesn't hold locks over a
+ * whole message history, and attachment content is removed from storage
+ * before its rows are; sessions, devices, keys, tokens and job records
+ * go with the users row through their ON DELETE CASCADE foreign keys.
+ *
+ * @returns {Promise<{deletedMessages: number}>}
+ */
+const deleteAccount = async (userId) => {
+    await deleteUserTakeouts(userId);
+    await deleteUserAttachments(userId);
+    const deletedMessages = await deleteMessagesWhere(['user_id = ?'], [userId]);
+    await pool.execute('DELETE FROM users WHERE id = ?', [userId]);
+
+    return { deletedMessages };
+};
+
+module.exports = {
+    deleteAccount
+};
\ No newline at end of file
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+
+const TOKEN_PURPOSES = {
+    passwordReset: 'password_reset',
+    emailVerification: 'email_verification'
+};
+
+// How long each kind of link stays valid
+const TOKEN_TTL_MS = {
+    [TOKEN_PURPOSES.passwordReset]: 60 * 60 * 1000,
+    [TOKEN_PURPOSES.emailVerification]: 7 * 24 * 60 * 60 * 1000
+};
+
+const appUrl = () => (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+/**
+ * Issue a single-use token. Only its hash is stored, and any earlier unused
+ * token for the same purpose is invalidated.
+ *
+ * @returns {Promise<string>} the raw token to put in the link
+ */
+const createAccountToken = async (userId, purpose) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await pool.execute(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+        [userId, purpose]
+    );
+    await pool.execute(
+        'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, purpose, hashToken(token), new Date(Date.now() + TOKEN_TTL_MS[purpose])]
+    );
+
+    return token;
+};
+
+/**
+ * Mark a token used and return its user. Returns null if the token is unknown,
+ * expired or already used.
+ *
+ * @param {string} token
+ * @param {string} purpose
+ * @param {object} [connection] - consume inside the caller's transaction
+ */
+const consumeAccountToken = async (token, purpose, connection = pool) => {
+    const tokenHash = hashToken(token);
+
+    const [tokens] = await connection.execute(`
+        SELECT id, user_id FROM user_tokens
+        WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `, [tokenHash, purpose]);
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    // The used_at guard makes concurrent redemptions of the same token lose
+    const [result] = await connection.execute(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [tokens[0].id]
+    );
+
+    return result.affectedRows === 1 ? tokens[0].user_id : null;
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await createAccountToken(user.id, TOKEN_PURPOSES.emailVerification);
+    const link = `${appUrl()}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Confirm your email address',
+        text: `Hi ${user.full_name || ''},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 7 days.`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await createAccountToken(user.id, TOKEN_PURPOSES.passwordReset);
+    const link = `${appUrl()}/reset-password?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.full_name || ''},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, ignore this email.`
+    });
+};
+
+module.exports = {
+    TOKEN_PURPOSES,
+    consumeAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
\ No newline at end of file
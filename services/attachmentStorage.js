@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const ATTACHMENT_DIR = path.resolve(process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'data', 'attachments'));
+
+// Keys are "<user id>/<uuid>"; anything else could point outside the storage directory
+const STORAGE_KEY = /^\d+\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const storageError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// One file per attachment under ATTACHMENT_DIR, written to a .partial file and renamed when complete
+const createLocalStorage = () => {
+    const resolve = (key) => {
+        if (!STORAGE_KEY.test(key)) {
+            throw new Error(`Invalid attachment storage key: ${key}`);
+        }
+        return path.join(ATTACHMENT_DIR, key);
+    };
+
+    return {
+        put: async (key, source) => {
+            const target = resolve(key);
+            const partial = `${target}.partial`;
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await pipeline(source, fs.createWriteStream(partial));
+                await fs.promises.rename(partial, target);
+            } finally {
+                await fs.promises.rm(partial, { force: true });
+            }
+        },
+
+        get: async (key) => {
+            const target = resolve(key);
+            try {
+                await fs.promises.access(target);
+            } catch {
+                throw storageError('ATTACHMENT_CONTENT_MISSING', `Attachment content ${key} is missing`);
+            }
+            return fs.createReadStream(target);
+        },
+
+        remove: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+/**
+ * Attachment storage backends. New uploads go to ATTACHMENT_STORAGE; each
+ * attachment row records its backend, so content written before a switch
+ * stays readable. A backend provides:
+ *   put(key, readable) -> Promise     store the (encrypted) content
+ *   get(key) -> Promise<Readable>     throws code ATTACHMENT_CONTENT_MISSING
+ *   remove(key) -> Promise            no error if already gone
+ */
+const backends = {
+    local: createLocalStorage
+};
+
+const instances = new Map();
+
+const registerAttachmentStorage = (name, factory) => {
+    backends[name] = factory;
+};
+
+const getAttachmentStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+    if (!instances.has(name)) {
+        if (!backends[name]) {
+            throw new Error(`Unknown attachment storage backend: ${name}`);
+        }
+        instances.set(name, backends[name]());
+    }
+    return { name, ...instances.get(name) };
+};
+
+module.exports = {
+    registerAttachmentStorage,
+    getAttachmentStorage
+};
\ No newline at end of file
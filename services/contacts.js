@@ -0,0 +1,382 @@
+const { pool } = require('../config/database');
+const { toE164 } = require('../utils/phone');
+const { getUserKeys, decryptValue } = require('./messageCrypto');
+
+/**
+ * Contacts and the phone numbers they own. Messages are linked to a contact
+ * at read time through sms_messages.address_e164, so renaming a contact or
+ * moving a number to another contact never rewrites message rows.
+ *
+ * Names are encrypted with the user's data key; name_hash (the keyed
+ * contact-name hash) backs exact, case-insensitive lookups.
+ */
+const MAX_CONTACTS_PER_USER = 5000;
+const MAX_NUMBERS_PER_CONTACT = 20;
+
+/**
+ * LEFT JOIN adding the owning contact of each message's number. Select
+ * CONTACT_COLUMNS with it; decryptMessage swaps in the contact's name.
+ *
+ * @param {string} [table] - name or alias of the sms_messages rows to join to
+ */
+const joinContacts = (table = 'sms_messages') => `
+    LEFT JOIN (
+        SELECT cn.user_id AS contact_user_id, cn.e164 AS contact_e164, c.id AS contact_id,
+               c.name AS contact_record_name, c.key_version AS contact_record_key_version
+        FROM contact_numbers cn
+        JOIN contacts c ON c.id = cn.contact_id
+    ) contact_match ON contact_match.contact_user_id = ${table}.user_id AND contact_match.contact_e164 = ${table}.address_e164`;
+
+const CONTACT_COLUMNS = 'contact_match.contact_id, contact_match.contact_record_name, contact_match.contact_record_key_version';
+
+// Labels are free-form ("mobile", "work"), stored lowercased
+const normalizeLabel = (label) => (label ? String(label).trim().toLowerCase().slice(0, 32) || null : null);
+
+const contactError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Normalize `{number, label}` entries, dropping repeats of the same number.
+ *
+ * @throws {Error} with code INVALID_NUMBER (with `number`) or TOO_MANY_NUMBERS
+ */
+const normalizeNumbers = (numbers) => {
+    const normalized = new Map();
+    for (const { number, label } of numbers) {
+        const e164 = toE164(number);
+        if (!e164) {
+            const error = contactError('INVALID_NUMBER', `${number} is not a phone number that can be normalized to E.164`);
+            error.number = number;
+            throw error;
+        }
+        if (!normalized.has(e164)) {
+            normalized.set(e164, { e164, label: normalizeLabel(label) });
+        }
+    }
+    if (normalized.size > MAX_NUMBERS_PER_CONTACT) {
+        throw contactError('TOO_MANY_NUMBERS', `A contact can have at most ${MAX_NUMBERS_PER_CONTACT} numbers`);
+    }
+    return [...normalized.values()];
+};
+
+const formatContact = (keys, row, numbers) => ({
+    id: row.id,
+    name: decryptValue(keys, row.name, row.key_version, 'contacts.name'),
+    numbers: numbers.map(({ e164, label }) => ({ number: e164, label })),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const loadNumbers = async (connection, userId, contactIds) => {
+    const byContact = new Map(contactIds.map(id => [id, []]));
+    if (contactIds.length === 0) {
+        return byContact;
+    }
+    const [rows] = await connection.query(
+        'SELECT contact_id, e164, label FROM contact_numbers WHERE user_id = ? AND contact_id IN (?) ORDER BY id',
+        [userId, contactIds]
+    );
+    for (const row of rows) {
+        byContact.get(row.contact_id).push(row);
+    }
+    return byContact;
+};
+
+const CONTACT_ROW_COLUMNS = 'id, name, key_version, created_at, updated_at';
+
+/**
+ * The user's contacts sorted by name. Names are encrypted, so `q` (a
+ * case-insensitive part of the name, or digits of a number) is matched after
+ * decrypting.
+ *
+ * @returns {Promise<{contacts: Array<object>, total: number}>}
+ */
+const listContacts = async (userId, { q, limit, offset }) => {
+    const keys = await getUserKeys(userId);
+    const [rows] = await pool.execute(
+        `SELECT ${CONTACT_ROW_COLUMNS} FROM contacts WHERE user_id = ?`,
+        [userId]
+    );
+    const numbers = await loadNumbers(pool, userId, rows.map(row => row.id));
+
+    let contacts = rows.map(row => formatContact(keys, row, numbers.get(row.id)));
+
+    if (q) {
+        const needle = String(q).trim().toLowerCase();
+        const digits = needle.replace(/\D/g, '');
+        contacts = contacts.filter(contact =>
+            contact.name.toLowerCase().includes(needle) ||
+            (digits.length > 0 && contact.numbers.some(({ number }) => number.includes(digits)))
+        );
+    }
+
+    contacts.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || a.id - b.id);
+
+    return { contacts: contacts.slice(offset, offset + limit), total: contacts.length };
+};
+
+const getContact = async (userId, contactId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${CONTACT_ROW_COLUMNS} FROM contacts WHERE id = ? AND user_id = ?`,
+        [contactId, userId]
+    );
+    if (rows.length === 0) {
+        return null;
+    }
+    const keys = await getUserKeys(userId);
+    const numbers = await loadNumbers(pool, userId, [rows[0].id]);
+    return formatContact(keys, rows[0], numbers.get(rows[0].id));
+};
+
+// Report which contact already owns a number instead of a bare duplicate-key error
+const assertNumbersAvailable = async (connection, userId, numbers, contactId = null) => {
+    if (numbers.length === 0) {
+        return;
+    }
+    const [taken] = await connection.query(
+        'SELECT contact_id, e164 FROM contact_numbers WHERE user_id = ? AND e164 IN (?) AND contact_id <> ?',
+        [userId, numbers.map(({ e164 }) => e164), contactId || 0]
+    );
+    if (taken.length > 0) {
+        const error = contactError('NUMBER_TAKEN', `${taken[0].e164} already belongs to another contact`);
+        error.number = taken[0].e164;
+        error.contactId = taken[0].contact_id;
+        throw error;
+    }
+};
+
+const insertNumbers = async (connection, userId, contactId, numbers) => {
+    if (numbers.length === 0) {
+        return;
+    }
+    await connection.query(
+        'INSERT INTO contact_numbers (contact_id, user_id, e164, label) VALUES ?',
+        [numbers.map(({ e164, label }) => [contactId, userId, e164, label])]
+    );
+};
+
+const countContacts = async (connection, userId) => {
+    const [counts] = await connection.execute('SELECT COUNT(*) AS count FROM contacts WHERE user_id = ?', [userId]);
+    return counts[0].count;
+};
+
+// Run `work` in a transaction on its own connection
+const inTransaction = async (work) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * @param {number} userId
+ * @param {{name: string, numbers: Array<{number: string, label?: string}>}} contact
+ * @throws {Error} with code CONTACT_LIMIT, INVALID_NUMBER, TOO_MANY_NUMBERS or NUMBER_TAKEN
+ */
+const createContact = async (userId, { name, numbers }) => {
+    const normalized = normalizeNumbers(numbers);
+    // Fetched through the pool, never inside the transaction (see getUserKeys)
+    const keys = await getUserKeys(userId);
+
+    const contactId = await inTransaction(async (connection) => {
+        if (await countContacts(connection, userId) >= MAX_CONTACTS_PER_USER) {
+            throw contactError('CONTACT_LIMIT', `You can have at most ${MAX_CONTACTS_PER_USER} contacts`);
+        }
+        await assertNumbersAvailable(connection, userId, normalized);
+
+        const [result] = await connection.execute(
+            'INSERT INTO contacts (user_id, name, name_hash, key_version) VALUES (?, ?, ?, ?)',
+            [userId, keys.encrypt(name, 'contacts.name'), keys.hashContactName(name), keys.version]
+        );
+        await insertNumbers(connection, userId, result.insertId, normalized);
+        return result.insertId;
+    });
+
+    return getContact(userId, contactId);
+};
+
+/**
+ * Rename a contact and/or replace its numbers.
+ *
+ * @returns {Promise<object|null>} null when the contact doesn't exist
+ * @throws {Error} with code INVALID_NUMBER, TOO_MANY_NUMBERS or NUMBER_TAKEN
+ */
+const updateContact = async (userId, contactId, { name, numbers }) => {
+    const normalized = numbers !== undefined ? normalizeNumbers(numbers) : null;
+    const keys = await getUserKeys(userId);
+
+    const found = await inTransaction(async (connection) => {
+        const [rows] = await connection.execute(
+            'SELECT id FROM contacts WHERE id = ? AND user_id = ? FOR UPDATE',
+            [contactId, userId]
+        );
+        if (rows.length === 0) {
+            return false;
+        }
+
+        if (name !== undefined) {
+            await connection.execute(
+                'UPDATE contacts SET name = ?, name_hash = ?, key_version = ? WHERE id = ?',
+                [keys.encrypt(name, 'contacts.name'), keys.hashContactName(name), keys.version, contactId]
+            );
+        }
+        if (normalized) {
+            await assertNumbersAvailable(connection, userId, normalized, contactId);
+            await connection.execute('DELETE FROM contact_numbers WHERE contact_id = ?', [contactId]);
+            await insertNumbers(connection, userId, contactId, normalized);
+            await connection.execute('UPDATE contacts SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [contactId]);
+        }
+        return true;
+    });
+
+    return found ? getContact(userId, contactId) : null;
+};
+
+// Messages keep their own contact_name and are simply no longer linked
+const deleteContact = async (userId, contactId) => {
+    const [result] = await pool.execute(
+        'DELETE FROM contacts WHERE id = ? AND user_id = ?',
+        [contactId, userId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Bulk import from parsed vCard/CSV entries. An entry whose name matches an
+ * existing contact adds its numbers to that contact; numbers that can't be
+ * normalized or already belong to another contact are skipped.
+ *
+ * @param {number} userId
+ * @param {Array<{name: string, numbers: Array<{number: string, label?: string}>}>} entries
+ * @returns {Promise<{created: number, updated: number, unchanged: number, skippedNumbers: Array<object>, errors: Array<object>}>}
+ */
+const importContacts = async (userId, entries) => {
+    const keys = await getUserKeys(userId);
+    const result = { created: 0, updated: 0, unchanged: 0, skippedNumbers: [], errors: [] };
+
+    await inTransaction(async (connection) => {
+        let contactCount = await countContacts(connection, userId);
+
+        for (const [index, entry] of entries.entries()) {
+            const numbers = [];
+            for (const { number, label } of entry.numbers) {
+                const e164 = toE164(number);
+                if (!e164) {
+                    result.skippedNumbers.push({ index, number, reason: 'Not a phone number that can be normalized to E.164' });
+                } else if (!numbers.some(existing => existing.e164 === e164)) {
+                    numbers.push({ e164, label: normalizeLabel(label) });
+                }
+            }
+
+            const [owners] = numbers.length > 0
+                ? await connection.query(
+                    'SELECT contact_id, e164 FROM contact_numbers WHERE user_id = ? AND e164 IN (?)',
+                    [userId, numbers.map(({ e164 }) => e164)]
+                )
+                : [[]];
+            const ownerOf = new Map(owners.map(row => [row.e164, row.contact_id]));
+
+            const [matches] = await connection.execute(
+                'SELECT id FROM contacts WHERE user_id = ? AND name_hash = ? ORDER BY id LIMIT 1',
+                [userId, keys.hashContactName(entry.name)]
+            );
+            let contactId = matches.length > 0 ? matches[0].id : null;
+
+            const added = [];
+            for (const number of numbers) {
+                const owner = ownerOf.get(number.e164);
+                if (owner === undefined) {
+                    added.push(number);
+                } else if (owner !== contactId) {
+                    result.skippedNumbers.push({ index, number: number.e164, reason: 'Already belongs to another contact' });
+                }
+            }
+
+            if (contactId) {
+                const [existing] = await connection.execute(
+                    'SELECT COUNT(*) AS count FROM contact_numbers WHERE contact_id = ?',
+                    [contactId]
+                );
+                if (existing[0].count + added.length > MAX_NUMBERS_PER_CONTACT) {
+                    result.errors.push({ index, name: entry.name, error: `A contact can have at most ${MAX_NUMBERS_PER_CONTACT} numbers` });
+                    continue;
+                }
+                await insertNumbers(connection, userId, contactId, added);
+                result[added.length > 0 ? 'updated' : 'unchanged']++;
+                continue;
+            }
+
+            if (added.length === 0) {
+                result.errors.push({ index, name: entry.name, error: 'No phone numbers to import' });
+                continue;
+            }
+            if (added.length > MAX_NUMBERS_PER_CONTACT) {
+                result.errors.push({ index, name: entry.name, error: `A contact can have at most ${MAX_NUMBERS_PER_CONTACT} numbers` });
+                continue;
+            }
+            if (contactCount >= MAX_CONTACTS_PER_USER) {
+                result.errors.push({ index, name: entry.name, error: `You can have at most ${MAX_CONTACTS_PER_USER} contacts` });
+                continue;
+            }
+
+            const [inserted] = await connection.execute(
+                'INSERT INTO contacts (user_id, name, name_hash, key_version) VALUES (?, ?, ?, ?)',
+                [userId, keys.encrypt(entry.name, 'contacts.name'), keys.hashContactName(entry.name), keys.version]
+            );
+            contactId = inserted.insertId;
+            await insertNumbers(connection, userId, contactId, added);
+            contactCount++;
+            result.created++;
+        }
+    });
+
+    return result;
+};
+
+/**
+ * The contact owning a number, if any.
+ *
+ * @returns {Promise<{id: number, name: string}|null>}
+ */
+const findContactByNumber = async (userId, address) => {
+    const e164 = toE164(address);
+    if (!e164) {
+        return null;
+    }
+    const [rows] = await pool.execute(`
+        SELECT c.id, c.name, c.key_version
+        FROM contact_numbers cn
+        JOIN contacts c ON c.id = cn.contact_id
+        WHERE cn.user_id = ? AND cn.e164 = ?
+    `, [userId, e164]);
+    if (rows.length === 0) {
+        return null;
+    }
+    const keys = await getUserKeys(userId);
+    return { id: rows[0].id, name: decryptValue(keys, rows[0].name, rows[0].key_version, 'contacts.name') };
+};
+
+module.exports = {
+    MAX_CONTACTS_PER_USER,
+    MAX_NUMBERS_PER_CONTACT,
+    CONTACT_COLUMNS,
+    joinContacts,
+    listContacts,
+    getContact,
+    createContact,
+    updateContact,
+    deleteContact,
+    importContacts,
+    findContactByNumber
+};
\ No newline at end of file
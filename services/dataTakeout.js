@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pool } = require('../config/database');
+const { createTarWriter } = require('../utils/tar');
+const { finish } = require('../utils/streams');
+const { exportMessages } = require('./messageExport');
+const { listContacts } = require('./contacts');
+const { listUserAttachments, getAttachmentContent } = require('./mms');
+const { listLabels, listLabelAssignments } = require('./messageState');
+const { listCategoryRules } = require('./messageCategories');
+const { listWebhooks } = require('./webhooks');
+
+const TAKEOUT_STATUS = {
+    pending: 'pending',
+    processing: 'processing',
+    completed: 'completed',
+    failed: 'failed',
+    expired: 'expired'
+};
+
+const TAKEOUT_DIR = path.resolve(process.env.TAKEOUT_DIR || path.join(__dirname, '..', 'tmp', 'takeout'));
+
+// How long a finished archive can be downloaded before `npm run purge` removes it
+const TAKEOUT_RETENTION_HOURS = parseFloat(process.env.TAKEOUT_RETENTION_HOURS) || 48;
+
+const takeoutError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const archivePath = (jobId) => path.join(TAKEOUT_DIR, `${jobId}.tar.gz`);
+
+const formatJob = (row) => ({
+    id: row.id,
+    status: row.status,
+    messageCount: row.message_count,
+    fileSize: row.file_size,
+    error: row.error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at
+});
+
+const JOB_COLUMNS = 'id, user_id, status, message_count, file_size, error, created_at, completed_at, expires_at';
+
+const getTakeoutJob = async (userId, jobId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${JOB_COLUMNS} FROM data_takeouts WHERE id = ? AND user_id = ?`,
+        [jobId, userId]
+    );
+    return rows.length > 0 ? formatJob(rows[0]) : null;
+};
+
+const listTakeoutJobs = async (userId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${JOB_COLUMNS} FROM data_takeouts WHERE user_id = ? ORDER BY created_at DESC`,
+        [userId]
+    );
+    return rows.map(formatJob);
+};
+
+// Everything about the account except secrets (password hash, TOTP secret, token hashes,
+// webhook signing secrets); messages and attachments are added by buildArchive
+const collectAccountData = async (userId) => {
+    const [users] = await pool.execute(`
+        SELECT id, email, full_name, email_verified_at, message_retention_days,
+               (totp_enabled_at IS NOT NULL) AS two_factor_enabled, created_at, updated_at
+        FROM users WHERE id = ?
+    `, [userId]);
+    const [devices] = await pool.execute(`
+        SELECT id, device_uid, name, model, os, app_version, created_at, last_seen_at
+        FROM devices WHERE user_id = ? ORDER BY id
+    `, [userId]);
+    const [sessions] = await pool.execute(`
+        SELECT id, device_id, device_info, created_at, last_used_at, expires_at, revoked_at
+        FROM user_sessions WHERE user_id = ? ORDER BY id
+    `, [userId]);
+
+    const { contacts } = await listContacts(userId, { limit: Infinity, offset: 0 });
+
+    return {
+        profile: users[0] || null,
+        devices,
+        sessions,
+        contacts,
+        labels: await listLabels(userId),
+        labelAssignments: await listLabelAssignments(userId),
+        categoryRules: await listCategoryRules(userId),
+        webhooks: await listWebhooks(userId)
+    };
+};
+
+const toJson = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+// Archive path of an attachment's content: its ID keeps it unique, the name keeps it recognizable
+const attachmentPath = ({ id, fileName }) => {
+    const name = String(fileName || '').replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').slice(-60);
+    return `attachments/${id}${name ? `-${name}` : ''}`;
+};
+
+/**
+ * Write each attachment's decrypted content under attachments/ and return
+ * the manifest: the metadata of every attachment written, with its `path` in
+ * the archive. Attachments whose message is deleted meanwhile are left out.
+ */
+const addAttachments = async (tar, userId) => {
+    const manifest = [];
+    for (const attachment of await listUserAttachments(userId)) {
+        let content;
+        try {
+            content = await getAttachmentContent(userId, attachment.id);
+        } catch (error) {
+            if (error.code === 'ATTACHMENT_NOT_FOUND') {
+                continue;
+            }
+            throw error;
+        }
+
+        const entry = { ...attachment, path: attachmentPath(attachment) };
+        await tar.addStream(entry.path, content.size, content.stream);
+        manifest.push(entry);
+    }
+    return manifest;
+};
+
+/**
+ * Build the archive for one job, a .tar.gz of:
+ *  - profile.json, devices.json, sessions.json, contacts.json
+ *  - labels.json: the labels and which message carries which
+ *  - category-rules.json and webhooks.json (subscriptions, without secrets)
+ *  - messages.json: the JSON export format, with read/starred/archived state
+ *  - attachments/: the content of MMS attachments, listed in attachments.json
+ * Messages go to a scratch file first because tar needs each entry's size
+ * up front.
+ */
+const buildArchive = async (job) => {
+    await fs.promises.mkdir(TAKEOUT_DIR, { recursive: true });
+    const messagesPath = path.join(TAKEOUT_DIR, `${job.id}.messages.json`);
+    const finalPath = archivePath(job.id);
+    const partialPath = `${finalPath}.partial`;
+
+    try {
+        const messagesFile = fs.createWriteStream(messagesPath);
+        const messageCount = await exportMessages(job.user_id, {}, 'json', messagesFile);
+        await finish(messagesFile);
+
+        const account = await collectAccountData(job.user_id);
+
+        const gzip = zlib.createGzip();
+        const output = fs.createWriteStream(partialPath);
+        const written = new Promise((resolve, reject) => {
+            output.once('close', resolve);
+            output.once('error', reject);
+        });
+        gzip.pipe(output);
+
+        const tar = createTarWriter(gzip);
+        await tar.addBuffer('profile.json', toJson(account.profile));
+        await tar.addBuffer('devices.json', toJson(account.devices));
+        await tar.addBuffer('sessions.json', toJson(account.sessions));
+        await tar.addBuffer('contacts.json', toJson(account.contacts));
+        await tar.addBuffer('labels.json', toJson({ labels: account.labels, assignments: account.labelAssignments }));
+        await tar.addBuffer('category-rules.json', toJson(account.categoryRules));
+        await tar.addBuffer('webhooks.json', toJson(account.webhooks));
+        await tar.addFile('messages.json', messagesPath);
+        const attachments = await addAttachments(tar, job.user_id);
+        await tar.addBuffer('attachments.json', toJson(attachments));
+        await tar.close();
+        await finish(gzip);
+        await written;
+
+        await fs.promises.rename(partialPath, finalPath);
+        const { size } = await fs.promises.stat(finalPath);
+        return { messageCount, fileSize: size };
+
+    } finally {
+        await fs.promises.rm(messagesPath, { force: true });
+        await fs.promises.rm(partialPath, { force: true });
+    }
+};
+
+/**
+ * Run a queued job and record the outcome. Never throws; failures are
+ * stored on the job so the user can see them and request a new archive.
+ */
+const runTakeoutJob = async (jobId) => {
+    const [claimed] = await pool.execute(
+        'UPDATE data_takeouts SET status = ?, started_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?',
+        [TAKEOUT_STATUS.processing, jobId, TAKEOUT_STATUS.pending]
+    );
+    if (claimed.affectedRows === 0) {
+        return;
+    }
+
+    try {
+        const [jobs] = await pool.execute('SELECT id, user_id FROM data_takeouts WHERE id = ?', [jobId]);
+        const { messageCount, fileSize } = await buildArchive(jobs[0]);
+        const expiresAt = new Date(Date.now() + TAKEOUT_RETENTION_HOURS * 60 * 60 * 1000);
+
+        const [updated] = await pool.execute(`
+            UPDATE data_takeouts
+            SET status = ?, message_count = ?, file_size = ?, completed_at = CURRENT_TIMESTAMP, expires_at = ?
+            WHERE id = ?
+        `, [TAKEOUT_STATUS.completed, messageCount, fileSize, expiresAt, jobId]);
+
+        // The account was deleted while the archive was being built
+        if (updated.affectedRows === 0) {
+            await fs.promises.rm(archivePath(jobId), { force: true });
+        }
+
+    } catch (error) {
+        console.error(`Data takeout ${jobId} failed:`, error);
+        try {
+            await pool.execute(
+                'UPDATE data_takeouts SET status = ?, error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [TAKEOUT_STATUS.failed, 'Archive generation failed', jobId]
+            );
+        } catch (updateError) {
+            console.error(`Could not record failure of data takeout ${jobId}:`, updateError);
+        }
+    }
+};
+
+// Archives are built one at a time in the background so they never compete with each other
+let queue = Promise.resolve();
+const enqueue = (jobId) => {
+    queue = queue
+        .then(() => runTakeoutJob(jobId))
+        .catch(error => console.error(`Data takeout ${jobId} could not be started:`, error));
+    return queue;
+};
+
+/**
+ * Queue a new archive for the user. Only one job may be pending or
+ * processing at a time.
+ *
+ * @throws {Error} with code TAKEOUT_IN_PROGRESS (with `job`)
+ */
+const requestTakeout = async (userId) => {
+    const [active] = await pool.execute(
+        `SELECT ${JOB_COLUMNS} FROM data_takeouts WHERE user_id = ? AND status IN (?, ?)`,
+        [userId, TAKEOUT_STATUS.pending, TAKEOUT_STATUS.processing]
+    );
+    if (active.length > 0) {
+        const error = takeoutError('TAKEOUT_IN_PROGRESS', 'A data takeout is already in progress');
+        error.job = formatJob(active[0]);
+        throw error;
+    }
+
+    const id = crypto.randomUUID();
+    await pool.execute(
+        'INSERT INTO data_takeouts (id, user_id, status) VALUES (?, ?, ?)',
+        [id, userId, TAKEOUT_STATUS.pending]
+    );
+    enqueue(id);
+
+    return getTakeoutJob(userId, id);
+};
+
+/**
+ * Re-queue jobs interrupted by a restart. Call once at startup.
+ *
+ * @returns {Promise<number>} number of queued jobs
+ */
+const resumeTakeoutJobs = async () => {
+    await pool.execute(
+        'UPDATE data_takeouts SET status = ? WHERE status = ?',
+        [TAKEOUT_STATUS.pending, TAKEOUT_STATUS.processing]
+    );
+    const [jobs] = await pool.execute(
+        'SELECT id FROM data_takeouts WHERE status = ? ORDER BY created_at',
+        [TAKEOUT_STATUS.pending]
+    );
+    jobs.forEach(job => enqueue(job.id));
+    return jobs.length;
+};
+
+/**
+ * Location of a finished archive for download.
+ *
+ * @throws {Error} with code TAKEOUT_NOT_FOUND, TAKEOUT_NOT_READY or TAKEOUT_EXPIRED
+ */
+const getTakeoutArchive = async (userId, jobId) => {
+    const job = await getTakeoutJob(userId, jobId);
+    if (!job) {
+        throw takeoutError('TAKEOUT_NOT_FOUND', 'Data takeout not found');
+    }
+    if (job.status === TAKEOUT_STATUS.expired || (job.expiresAt && new Date(job.expiresAt) <= new Date())) {
+        throw takeoutError('TAKEOUT_EXPIRED', 'This archive has expired; request a new one');
+    }
+    if (job.status !== TAKEOUT_STATUS.completed) {
+        throw takeoutError('TAKEOUT_NOT_READY', `Data takeout is ${job.status}`);
+    }
+
+    const date = new Date(job.completedAt).toISOString().slice(0, 10);
+    return {
+        path: archivePath(job.id),
+        filename: `sms-takeout-${date}.tar.gz`,
+        size: job.fileSize
+    };
+};
+
+// Delete every archive file belonging to the user (rows go with the user's FK cascade)
+const deleteUserTakeouts = async (userId) => {
+    const [jobs] = await pool.execute('SELECT id FROM data_takeouts WHERE user_id = ?', [userId]);
+    for (const job of jobs) {
+        await fs.promises.rm(archivePath(job.id), { force: true });
+    }
+};
+
+/**
+ * Remove archives past their download window and mark their jobs expired.
+ *
+ * @returns {Promise<number>} number of expired archives
+ */
+const purgeExpiredTakeouts = async () => {
+    const [jobs] = await pool.execute(
+        'SELECT id FROM data_takeouts WHERE status = ? AND expires_at <= CURRENT_TIMESTAMP',
+        [TAKEOUT_STATUS.completed]
+    );
+    for (const job of jobs) {
+        await fs.promises.rm(archivePath(job.id), { force: true });
+        await pool.execute('UPDATE data_takeouts SET status = ? WHERE id = ?', [TAKEOUT_STATUS.expired, job.id]);
+    }
+    return jobs.length;
+};
+
+module.exports = {
+    TAKEOUT_STATUS,
+    requestTakeout,
+    getTakeoutJob,
+    listTakeoutJobs,
+    resumeTakeoutJobs,
+    getTakeoutArchive,
+    deleteUserTakeouts,
+    purgeExpiredTakeouts
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+
+/**
+ * Register the device a user is logging in from, or refresh its details if it
+ * has been seen before. Devices are identified by the client-generated
+ * `id` (e.g. an Android installation ID), unique per user.
+ *
+ * @param {number} userId
+ * @param {{id: string, name?: string, model?: string, os?: string, appVersion?: string}} device
+ * @returns {Promise<number>} devices.id
+ */
+const registerDevice = async (userId, device) => {
+    const [result] = await pool.execute(`
+        INSERT INTO devices (user_id, device_uid, name, model, os, app_version, last_seen_at)
+        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON DUPLICATE KEY UPDATE
+            id = LAST_INSERT_ID(id),
+            name = COALESCE(VALUES(name), name),
+            model = COALESCE(VALUES(model), model),
+            os = COALESCE(VALUES(os), os),
+            app_version = COALESCE(VALUES(app_version), app_version),
+            last_seen_at = CURRENT_TIMESTAMP
+    `, [
+        userId,
+        device.id,
+        device.name || null,
+        device.model || null,
+        device.os || null,
+        device.appVersion || null
+    ]);
+
+    return result.insertId;
+};
+
+const listDevices = async (userId) => {
+    const [devices] = await pool.execute(`
+        SELECT d.id, d.device_uid, d.name, d.model, d.os, d.app_version, d.created_at, d.last_seen_at,
+               COUNT(s.id) AS active_sessions
+        FROM devices d
+        LEFT JOIN user_sessions s ON s.device_id = d.id AND s.revoked_at IS NULL
+            AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
+        WHERE d.user_id = ?
+        GROUP BY d.id
+        ORDER BY d.last_seen_at DESC
+    `, [userId]);
+
+    return devices;
+};
+
+/**
+ * Forget a device: revoke its sessions and delete it. Messages it uploaded
+ * are kept, with device_id cleared by the foreign key.
+ *
+ * @returns {Promise<{removed: boolean, revokedSessions: number}>}
+ */
+const removeDevice = async (userId, deviceId) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [sessions] = await connection.execute(
+            'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND device_id = ? AND revoked_at IS NULL',
+            [userId, deviceId]
+        );
+        const [result] = await connection.execute(
+            'DELETE FROM devices WHERE id = ? AND user_id = ?',
+            [deviceId, userId]
+        );
+
+        await connection.commit();
+        return { removed: result.affectedRows > 0, revokedSessions: sessions.affectedRows };
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = {
+    registerDevice,
+    listDevices,
+    removeDevice
+};
\ No newline at end of file
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { saveMessages } = require('./messageStore');
+
+const JOB_STATUS = {
+    open: 'open',
+    completed: 'completed'
+};
+
+const checksumMessages = (messages) =>
+    crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+
+const jobError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const formatChunk = (row) => ({
+    sequence: row.sequence,
+    messageCount: row.message_count,
+    insertedMessages: row.inserted_count,
+    updatedMessages: row.updated_count,
+    duplicateMessages: row.duplicate_count,
+    erroredMessages: row.errored_count,
+    errors: row.errors || [],
+    receivedAt: row.created_at
+});
+
+const createJob = async (userId, { totalChunks }) => {
+    const id = crypto.randomUUID();
+    await pool.execute(
+        'INSERT INTO import_jobs (id, user_id, status, total_chunks) VALUES (?, ?, ?, ?)',
+        [id, userId, JOB_STATUS.open, totalChunks ?? null]
+    );
+    return getJob(userId, id);
+};
+
+/**
+ * Job progress with totals across received chunks and the per-chunk results.
+ * Returns null when the job doesn't exist or belongs to another user.
+ */
+const getJob = async (userId, jobId) => {
+    const [jobs] = await pool.execute(
+        'SELECT id, status, total_chunks, created_at, updated_at, completed_at FROM import_jobs WHERE id = ? AND user_id = ?',
+        [jobId, userId]
+    );
+    if (jobs.length === 0) {
+        return null;
+    }
+    const job = jobs[0];
+
+    const [chunks] = await pool.execute(`
+        SELECT sequence, message_count, inserted_count, updated_count, duplicate_count, errored_count, errors, created_at
+        FROM import_job_chunks
+        WHERE job_id = ?
+        ORDER BY sequence
+    `, [jobId]);
+
+    const totals = { totalMessages: 0, insertedMessages: 0, updatedMessages: 0, duplicateMessages: 0, erroredMessages: 0 };
+    for (const chunk of chunks) {
+        totals.totalMessages += chunk.message_count;
+        totals.insertedMessages += chunk.inserted_count;
+        totals.updatedMessages += chunk.updated_count;
+        totals.duplicateMessages += chunk.duplicate_count;
+        totals.erroredMessages += chunk.errored_count;
+    }
+
+    let missingChunks = null;
+    if (job.total_chunks !== null) {
+        const received = new Set(chunks.map(chunk => chunk.sequence));
+        missingChunks = [];
+        for (let sequence = 0; sequence < job.total_chunks; sequence++) {
+            if (!received.has(sequence)) {
+                missingChunks.push(sequence);
+            }
+        }
+    }
+
+    return {
+        id: job.id,
+        status: job.status,
+        totalChunks: job.total_chunks,
+        receivedChunks: chunks.length,
+        missingChunks,
+        ...totals,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+        completedAt: job.completed_at,
+        chunks: chunks.map(formatChunk)
+    };
+};
+
+/**
+ * Apply one chunk of a job. The chunk row and its messages are written in the
+ * same transaction, so a chunk is applied exactly once: re-sending a sequence
+ * returns the recorded result with `alreadyApplied: true`. A freshly applied
+ * chunk's result lists the ids of the inserted messages in `insertedIds`.
+ *
+ * @throws {Error} with code JOB_NOT_FOUND, JOB_COMPLETED, CHUNK_OUT_OF_RANGE or CHUNK_MISMATCH
+ */
+const applyChunk = async (userId, jobId, sequence, messages, deviceId) => {
+    const checksum = checksumMessages(messages);
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [jobs] = await connection.execute(
+            'SELECT id, status, total_chunks FROM import_jobs WHERE id = ? AND user_id = ?',
+            [jobId, userId]
+        );
+        if (jobs.length === 0) {
+            throw jobError('JOB_NOT_FOUND', 'Import job not found');
+        }
+        const job = jobs[0];
+
+        if (job.total_chunks !== null && sequence >= job.total_chunks) {
+            throw jobError('CHUNK_OUT_OF_RANGE', `Chunk sequence must be below ${job.total_chunks}`);
+        }
+
+        // Claim the sequence first; a concurrent re-send waits here until this transaction ends
+        try {
+            await connection.execute(
+                'INSERT INTO import_job_chunks (job_id, sequence, checksum, message_count) VALUES (?, ?, ?, ?)',
+                [jobId, sequence, checksum, messages.length]
+            );
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') {
+                throw error;
+            }
+            await connection.rollback();
+
+            const [existing] = await connection.execute(
+                'SELECT * FROM import_job_chunks WHERE job_id = ? AND sequence = ?',
+                [jobId, sequence]
+            );
+            if (existing[0].checksum !== checksum) {
+                throw jobError('CHUNK_MISMATCH', `Chunk ${sequence} was already received with different contents`);
+            }
+            return { alreadyApplied: true, chunk: formatChunk(existing[0]) };
+        }
+
+        if (job.status === JOB_STATUS.completed) {
+            throw jobError('JOB_COMPLETED', 'Import job is already completed');
+        }
+
+        const result = await saveMessages(userId, messages, { connection, deviceId, collectInsertedIds: true });
+
+        await connection.execute(`
+            UPDATE import_job_chunks
+            SET inserted_count = ?, updated_count = ?, duplicate_count = ?, errored_count = ?, errors = ?
+            WHERE job_id = ? AND sequence = ?
+        `, [
+            result.insertedCount,
+            result.updatedCount,
+            result.duplicateCount,
+            result.errors.length,
+            JSON.stringify(result.errors),
+            jobId,
+            sequence
+        ]);
+        await connection.execute(
+            'UPDATE import_jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [jobId]
+        );
+
+        await connection.commit();
+        return { alreadyApplied: false, result };
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Close a job so no further chunks are accepted. If the job declared
+ * totalChunks, every sequence must have arrived first.
+ *
+ * @throws {Error} with code JOB_NOT_FOUND or CHUNKS_MISSING (with `missingChunks`)
+ */
+const completeJob = async (userId, jobId) => {
+    const job = await getJob(userId, jobId);
+    if (!job) {
+        throw jobError('JOB_NOT_FOUND', 'Import job not found');
+    }
+
+    if (job.missingChunks && job.missingChunks.length > 0) {
+        const error = jobError('CHUNKS_MISSING', `Import job is missing ${job.missingChunks.length} chunks`);
+        error.missingChunks = job.missingChunks;
+        throw error;
+    }
+
+    if (job.status !== JOB_STATUS.completed) {
+        await pool.execute(
+            'UPDATE import_jobs SET status = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+            [JOB_STATUS.completed, jobId, userId]
+        );
+    }
+
+    return getJob(userId, jobId);
+};
+
+module.exports = {
+    JOB_STATUS,
+    createJob,
+    getJob,
+    applyChunk,
+    completeJob
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+
+const settingFromEnv = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Failures allowed before each further attempt has to wait
+const DELAY_AFTER_FAILURES = settingFromEnv('LOGIN_DELAY_AFTER_FAILURES', 3);
+const MAX_DELAY_SECONDS = 60;
+// Failures that lock the account, and for how long
+const LOCKOUT_THRESHOLD = settingFromEnv('LOGIN_LOCKOUT_THRESHOLD', 10);
+const LOCKOUT_MINUTES = settingFromEnv('LOGIN_LOCKOUT_MINUTES', 15);
+
+// 1s, 2s, 4s ... capped at MAX_DELAY_SECONDS
+const delaySeconds = (failures) => {
+    if (failures < DELAY_AFTER_FAILURES) {
+        return 0;
+    }
+    return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Decide whether a login attempt for this user may proceed. `user` must carry
+ * failed_login_count, last_failed_login_at and locked_until.
+ *
+ * @returns {{allowed: boolean, reason?: 'locked'|'delayed', retryAfterSeconds?: number}}
+ */
+const checkLoginAllowed = (user, now = Date.now()) => {
+    if (user.locked_until && new Date(user.locked_until).getTime() > now) {
+        return {
+            allowed: false,
+            reason: 'locked',
+            retryAfterSeconds: Math.ceil((new Date(user.locked_until).getTime() - now) / 1000)
+        };
+    }
+
+    const delay = delaySeconds(user.failed_login_count);
+    if (delay > 0 && user.last_failed_login_at) {
+        const nextAttemptAt = new Date(user.last_failed_login_at).getTime() + delay * 1000;
+        if (nextAttemptAt > now) {
+            return {
+                allowed: false,
+                reason: 'delayed',
+                retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000)
+            };
+        }
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Count a failed password for the account. Reaching LOCKOUT_THRESHOLD locks
+ * the account and writes an account_lockouts audit row.
+ *
+ * @returns {Promise<{locked: boolean, lockedUntil?: Date, failedAttempts: number}>}
+ */
+const recordFailedLogin = async (userId, req) => {
+    await pool.execute(
+        'UPDATE users SET failed_login_count = failed_login_count + 1, last_failed_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [userId]
+    );
+    const [users] = await pool.execute(
+        'SELECT failed_login_count FROM users WHERE id = ?',
+        [userId]
+    );
+    const failedAttempts = users[0].failed_login_count;
+
+    if (failedAttempts < LOCKOUT_THRESHOLD) {
+        return { locked: false, failedAttempts };
+    }
+
+    // Start counting afresh once the lock expires
+    const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+    await pool.execute(
+        'UPDATE users SET locked_until = ?, failed_login_count = 0 WHERE id = ?',
+        [lockedUntil, userId]
+    );
+    await pool.execute(
+        'INSERT INTO account_lockouts (user_id, ip_address, user_agent, failed_attempts, locked_until) VALUES (?, ?, ?, ?, ?)',
+        [userId, req.ip || null, (req.get('User-Agent') || '').substring(0, 255) || null, failedAttempts, lockedUntil]
+    );
+    console.warn(`🔒 Account ${userId} locked until ${lockedUntil.toISOString()} after ${failedAttempts} failed logins`);
+
+    return { locked: true, lockedUntil, failedAttempts };
+};
+
+const recordSuccessfulLogin = async (userId) => {
+    await pool.execute(
+        'UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ? AND (failed_login_count > 0 OR locked_until IS NOT NULL)',
+        [userId]
+    );
+};
+
+/**
+ * Re-check the password of a signed-in user before a sensitive action. Wrong
+ * passwords count towards the same lockout and delays as failed logins, so a
+ * stolen access token can't be used to guess the password.
+ *
+ * @returns {Promise<{allowed: boolean, reason?: 'locked'|'delayed', retryAfterSeconds?: number, valid?: boolean, locked?: boolean, lockedUntil?: Date}>}
+ */
+const verifyPassword = async (userId, password, req) => {
+    const [users] = await pool.execute(
+        'SELECT password, failed_login_count, last_failed_login_at, locked_until FROM users WHERE id = ?',
+        [userId]
+    );
+
+    const attempt = checkLoginAllowed(users[0]);
+    if (!attempt.allowed) {
+        return attempt;
+    }
+
+    if (!(await bcrypt.compare(password, users[0].password))) {
+        const failure = await recordFailedLogin(userId, req);
+        return { allowed: true, valid: false, ...failure };
+    }
+
+    return { allowed: true, valid: true };
+};
+
+/**
+ * Lockout and delay check for a signed-in user about to enter a 2FA code, so
+ * a stolen access token can't be used to guess codes either.
+ *
+ * @returns {Promise<{allowed: boolean, reason?: 'locked'|'delayed', retryAfterSeconds?: number}>}
+ */
+const checkUserAllowed = async (userId) => {
+    const [users] = await pool.execute(
+        'SELECT failed_login_count, last_failed_login_at, locked_until FROM users WHERE id = ?',
+        [userId]
+    );
+    return checkLoginAllowed(users[0]);
+};
+
+module.exports = {
+    checkLoginAllowed,
+    checkUserAllowed,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    verifyPassword
+};
\ No newline at end of file
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail delivery goes through a transport: an object with an async
+ * `send({ to, subject, text, html })`. Pick one with MAIL_TRANSPORT, or
+ * register your own (e.g. an SMTP or API-backed one) with registerTransport().
+ */
+const transports = {
+    // Print messages to stdout; the default outside production
+    console: () => ({
+        send: async (message) => {
+            console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    }),
+
+    // Write each message as a JSON file under MAIL_FILE_DIR for local testing
+    file: () => {
+        const directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+        return {
+            send: async (message) => {
+                await fs.promises.mkdir(directory, { recursive: true });
+                const filename = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+                await fs.promises.writeFile(
+                    path.join(directory, filename),
+                    JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+                );
+            }
+        };
+    }
+};
+
+let activeTransport = null;
+
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+const getTransport = () => {
+    if (!activeTransport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!transports[name]) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        activeTransport = transports[name]();
+    }
+    return activeTransport;
+};
+
+// Replace the transport directly, e.g. with a stub in tests
+const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+const sendMail = async (message) => {
+    await getTransport().send({
+        from: process.env.MAIL_FROM || 'SMS Reader <no-reply@localhost>',
+        ...message
+    });
+};
+
+module.exports = {
+    registerTransport,
+    setTransport,
+    sendMail
+};
\ No newline at end of file
@@ -0,0 +1,178 @@
+const { pool } = require('../config/database');
+const { compileRule, categorizeMessage } = require('../utils/categorizer');
+const { getUserKeys, decryptMessageField } = require('./messageCrypto');
+
+// Keeps a single user's rules cheap to evaluate on every ingested message
+const MAX_RULES_PER_USER = 100;
+
+// Compiled rules are cached briefly so bulk uploads don't reload them per chunk
+const RULE_CACHE_TTL_MS = 60 * 1000;
+const ruleCache = new Map();
+
+// Rows read per keyset page while (re)categorizing stored messages
+const CATEGORIZE_BATCH_SIZE = 1000;
+
+const categoryError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const RULE_COLUMNS = 'id, category, sender_pattern, body_contains, priority, created_at, updated_at';
+
+const formatRule = (row) => ({
+    id: row.id,
+    category: row.category,
+    senderPattern: row.sender_pattern,
+    bodyContains: row.body_contains,
+    priority: row.priority,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+// Highest priority first; the oldest rule wins a tie
+const listCategoryRules = async (userId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${RULE_COLUMNS} FROM message_category_rules WHERE user_id = ? ORDER BY priority DESC, id ASC`,
+        [userId]
+    );
+    return rows.map(formatRule);
+};
+
+const getCategoryRule = async (userId, ruleId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${RULE_COLUMNS} FROM message_category_rules WHERE id = ? AND user_id = ?`,
+        [ruleId, userId]
+    );
+    return rows.length > 0 ? formatRule(rows[0]) : null;
+};
+
+const clearRuleCache = (userId) => {
+    ruleCache.delete(userId);
+};
+
+/**
+ * The user's rules compiled for categorizeMessage, highest priority first.
+ */
+const getCompiledRules = async (userId) => {
+    const cached = ruleCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.rules;
+    }
+
+    const rules = (await listCategoryRules(userId)).map(rule => ({
+        category: rule.category,
+        matches: compileRule(rule)
+    }));
+    ruleCache.set(userId, { rules, expiresAt: Date.now() + RULE_CACHE_TTL_MS });
+    return rules;
+};
+
+/**
+ * @throws {Error} with code CATEGORY_RULE_LIMIT
+ */
+const createCategoryRule = async (userId, { category, senderPattern, bodyContains, priority }) => {
+    const [counts] = await pool.execute(
+        'SELECT COUNT(*) AS count FROM message_category_rules WHERE user_id = ?',
+        [userId]
+    );
+    if (counts[0].count >= MAX_RULES_PER_USER) {
+        throw categoryError('CATEGORY_RULE_LIMIT', `You can have at most ${MAX_RULES_PER_USER} category rules`);
+    }
+
+    const [result] = await pool.execute(
+        'INSERT INTO message_category_rules (user_id, category, sender_pattern, body_contains, priority) VALUES (?, ?, ?, ?, ?)',
+        [userId, category, senderPattern || null, bodyContains || null, priority || 0]
+    );
+    clearRuleCache(userId);
+    return getCategoryRule(userId, result.insertId);
+};
+
+// Replace a rule's fields; returns null if the user has no such rule
+const updateCategoryRule = async (userId, ruleId, { category, senderPattern, bodyContains, priority }) => {
+    const [result] = await pool.execute(`
+        UPDATE message_category_rules
+        SET category = ?, sender_pattern = ?, body_contains = ?, priority = ?
+        WHERE id = ? AND user_id = ?
+    `, [category, senderPattern || null, bodyContains || null, priority || 0, ruleId, userId]);
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+    clearRuleCache(userId);
+    return getCategoryRule(userId, ruleId);
+};
+
+const deleteCategoryRule = async (userId, ruleId) => {
+    const [result] = await pool.execute(
+        'DELETE FROM message_category_rules WHERE id = ? AND user_id = ?',
+        [ruleId, userId]
+    );
+    clearRuleCache(userId);
+    return result.affectedRows;
+};
+
+/**
+ * Categorize the user's stored messages: only uncategorized ones by default,
+ * or all of them with `all` (e.g. after the rules changed).
+ *
+ * @returns {Promise<{categorized: number, changed: number}>}
+ */
+const categorizeUserMessages = async (userId, { all = false } = {}) => {
+    const keys = await getUserKeys(userId);
+    clearRuleCache(userId);
+    const rules = await getCompiledRules(userId);
+    let categorized = 0;
+    let changed = 0;
+    let lastId = 0;
+
+    for (;;) {
+        const [rows] = await pool.execute(`
+            SELECT id, address, body, body_hash, date, type, category, key_version
+            FROM sms_messages
+            WHERE user_id = ? AND id > ? ${all ? '' : 'AND category IS NULL'}
+            ORDER BY id
+            LIMIT ${CATEGORIZE_BATCH_SIZE}
+        `, [userId, lastId]);
+
+        // One UPDATE per category rather than per row
+        const idsByCategory = new Map();
+        for (const row of rows) {
+            const category = categorizeMessage({
+                address: row.address,
+                body: decryptMessageField(keys, row, 'body'),
+                type: row.type
+            }, rules);
+            if (category !== row.category) {
+                idsByCategory.set(category, [...(idsByCategory.get(category) || []), row.id]);
+            }
+        }
+
+        for (const [category, ids] of idsByCategory) {
+            const [result] = await pool.query(
+                'UPDATE sms_messages SET category = ? WHERE user_id = ? AND id IN (?)',
+                [category, userId, ids]
+            );
+            changed += result.affectedRows;
+        }
+        categorized += rows.length;
+
+        if (rows.length < CATEGORIZE_BATCH_SIZE) {
+            break;
+        }
+        lastId = rows[rows.length - 1].id;
+    }
+
+    return { categorized, changed };
+};
+
+module.exports = {
+    MAX_RULES_PER_USER,
+    listCategoryRules,
+    getCategoryRule,
+    getCompiledRules,
+    createCategoryRule,
+    updateCategoryRule,
+    deleteCategoryRule,
+    categorizeUserMessages
+};
\ No newline at end of file
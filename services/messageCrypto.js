@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { getCurrentMasterKey, getMasterKey } = require('../config/encryption');
+
+/**
+ * Envelope encryption for message content. Each user has:
+ *  - versioned `data` keys (AES-256-GCM) that encrypt body and contact_name;
+ *    the highest version encrypts new values, older ones only decrypt
+ *  - one `hash` key (HMAC-SHA256) for the body_hash / contact_name_hash
+ *    columns used for dedup and exact lookups. It is not rotated with the
+ *    data keys, so dedup keeps working while messages are being re-encrypted.
+ * Both are stored in user_keys wrapped by a master key from config/encryption.
+ */
+const KEY_PURPOSES = {
+    data: 'data',
+    hash: 'hash'
+};
+
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Unwrapped keyrings are cached briefly so reads don't hit user_keys every time
+const KEY_CACHE_TTL_MS = 5 * 60 * 1000;
+const keyCache = new Map();
+
+// Encrypted values look like "v<data key version>c:<base64 iv|tag|ciphertext>". The
+// "c" marks values bound to a context (the column, plus the row where it is known)
+// so ciphertexts can't be moved between columns or rows. "v<version>:" values were
+// written before that and are bound to the user only; they still decrypt.
+const ENCRYPTED_VALUE = /^v(\d+)(c?):([A-Za-z0-9+/]+=*)$/;
+
+const seal = (key, plaintext, aad) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed, aad) => {
+    const data = Buffer.from(sealed, 'base64');
+    const decipher = crypto.createDecipheriv(CIPHER, key, data.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+// Bind each wrapped key to its owner and slot so rows can't be swapped around
+const keyAad = (userId, purpose, version) => `${userId}:${purpose}:${version}`;
+
+const wrapKey = (userId, purpose, version, key) => {
+    const master = getCurrentMasterKey();
+    return {
+        masterKeyId: master.id,
+        wrappedKey: seal(master.key, key, keyAad(userId, purpose, version))
+    };
+};
+
+const unwrapKey = (row) =>
+    open(getMasterKey(row.master_key_id), row.wrapped_key, keyAad(row.user_id, row.purpose, row.version));
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest('hex');
+
+const insertKey = async (userId, purpose, version) => {
+    const { masterKeyId, wrappedKey } = wrapKey(userId, purpose, version, crypto.randomBytes(32));
+    await pool.execute(
+        'INSERT IGNORE INTO user_keys (user_id, purpose, version, master_key_id, wrapped_key) VALUES (?, ?, ?, ?, ?)',
+        [userId, purpose, version, masterKeyId, wrappedKey]
+    );
+};
+
+const buildKeyring = (userId, rows) => {
+    const dataKeys = new Map();
+    let version = 0;
+    let hashKey = null;
+
+    for (const row of rows) {
+        if (row.purpose === KEY_PURPOSES.hash) {
+            hashKey = unwrapKey(row);
+        } else if (row.purpose === KEY_PURPOSES.data) {
+            dataKeys.set(row.version, unwrapKey(row));
+            version = Math.max(version, row.version);
+        }
+    }
+
+    const aad = String(userId);
+
+    return {
+        userId,
+        version,
+
+        // `context` names what the value is, e.g. "contacts.name"; decrypt needs the same one
+        encrypt: (value, context) => {
+            if (!context) {
+                throw new Error('An encryption context is required');
+            }
+            if (value === null || value === undefined) {
+                return null;
+            }
+            return `v${version}c:${seal(dataKeys.get(version), Buffer.from(String(value), 'utf8'), `${aad}:${context}`)}`;
+        },
+
+        decrypt: (value, context) => {
+            if (value === null || value === undefined) {
+                return null;
+            }
+            const match = ENCRYPTED_VALUE.exec(value);
+            const key = match && dataKeys.get(Number(match[1]));
+            if (!key) {
+                throw new Error(`Cannot decrypt value for user ${userId}: unknown key version`);
+            }
+            return open(key, match[3], match[2] ? `${aad}:${context}` : aad).toString('utf8');
+        },
+
+        // Exact body match, like the dedup key it backs
+        hashBody: (body) => hmac(hashKey, `body:${body}`),
+
+        // Case-insensitive, matching how the contactName filter used to compare
+        hashContactName: (name) => (name ? hmac(hashKey, `contact:${String(name).trim().toLowerCase()}`) : null),
+
+        // Streaming encryption for attachment content. `context` (e.g. the storage
+        // key) is bound into the tag; the IV and tag are kept outside the ciphertext.
+        createEncryptStream: (context) => {
+            const iv = crypto.randomBytes(IV_LENGTH);
+            const cipher = crypto.createCipheriv(CIPHER, dataKeys.get(version), iv);
+            cipher.setAAD(Buffer.from(`${aad}:${context}`));
+            return { cipher, iv: iv.toString('base64'), version };
+        },
+
+        createDecryptStream: (context, keyVersion, iv, authTag) => {
+            const key = dataKeys.get(Number(keyVersion));
+            if (!key) {
+                throw new Error(`Cannot decrypt content for user ${userId}: unknown key version`);
+            }
+            const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'));
+            decipher.setAAD(Buffer.from(`${aad}:${context}`));
+            decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+            return decipher;
+        }
+    };
+};
+
+const loadKeyRows = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT user_id, purpose, version, master_key_id, wrapped_key FROM user_keys WHERE user_id = ?',
+        [userId]
+    );
+    return rows;
+};
+
+/**
+ * The user's keyring: encrypt/decrypt for message fields and the keyed
+ * hashes. Keys are created the first time a user needs them.
+ *
+ * Always runs outside any transaction: keys must never be rolled back after
+ * something has been encrypted with them.
+ *
+ * @param {number} userId
+ * @returns {Promise<{userId: number, version: number, encrypt: Function, decrypt: Function, hashBody: Function, hashContactName: Function, createEncryptStream: Function, createDecryptStream: Function}>}
+ */
+const getUserKeys = async (userId) => {
+    const cached = keyCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.keyring;
+    }
+
+    let rows = await loadKeyRows(userId);
+    const hasDataKey = rows.some(row => row.purpose === KEY_PURPOSES.data);
+    const hasHashKey = rows.some(row => row.purpose === KEY_PURPOSES.hash);
+
+    if (!hasDataKey || !hasHashKey) {
+        // INSERT IGNORE: a concurrent request may be creating the same keys
+        if (!hasDataKey) {
+            await insertKey(userId, KEY_PURPOSES.data, 1);
+        }
+        if (!hasHashKey) {
+            await insertKey(userId, KEY_PURPOSES.hash, 1);
+        }
+        rows = await loadKeyRows(userId);
+    }
+
+    const keyring = buildKeyring(userId, rows);
+    keyCache.set(userId, { keyring, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+    return keyring;
+};
+
+const clearKeyCache = (userId) => {
+    if (userId === undefined) {
+        keyCache.clear();
+    } else {
+        keyCache.delete(userId);
+    }
+};
+
+// Rows stored before encryption have key_version NULL and hold plaintext
+const decryptValue = (keys, value, keyVersion, context) =>
+    (keyVersion === null || keyVersion === undefined ? value : keys.decrypt(value, context));
+
+/**
+ * Encryption context of a sms_messages column: the column and the row's
+ * identity, the same (user_id, address(20), body_hash, date, type) key that
+ * unique_sms_hash_per_user dedups on, so a re-upload that refreshes
+ * contact_name binds it to the row it lands on.
+ */
+const messageFieldContext = (column, { address, bodyHash, date, type }) => [
+    `sms_messages.${column}`,
+    Array.from(String(address)).slice(0, 20).join('').toLowerCase(),
+    bodyHash,
+    Number(date),
+    Number(type)
+].join(':');
+
+// Decrypt one column of a sms_messages row selected with key_version, address, body_hash, date and type
+const decryptMessageField = (keys, row, column) => decryptValue(
+    keys,
+    row[column],
+    row.key_version,
+    messageFieldContext(column, { address: row.address, bodyHash: row.body_hash, date: row.date, type: row.type })
+);
+
+/**
+ * Decrypt body and contact_name of a sms_messages row selected together with
+ * key_version and the columns of its identity (address, body_hash, date,
+ * type). key_version and body_hash are removed from the result. Rows selected
+ * with the contacts join (see services/contacts) show the matching contact's
+ * current name instead of the one stored with the message.
+ */
+const decryptMessage = (keys, row) => {
+    const {
+        key_version: keyVersion,
+        body_hash: bodyHash,
+        contact_record_name: contactRecordName,
+        contact_record_key_version: contactRecordKeyVersion,
+        ...message
+    } = row;
+    const identity = { address: message.address, bodyHash, date: message.date, type: message.type };
+
+    if (message.body !== undefined) {
+        message.body = decryptValue(keys, message.body, keyVersion, messageFieldContext('body', identity));
+    }
+    if (message.contact_name !== undefined) {
+        message.contact_name = decryptValue(keys, message.contact_name, keyVersion, messageFieldContext('contact_name', identity));
+    }
+    if (contactRecordName) {
+        message.contact_name = decryptValue(keys, contactRecordName, contactRecordKeyVersion, 'contacts.name');
+    }
+    return message;
+};
+
+// Encrypted column values and hashes for a client-shaped message (address, body, date, type, contactName)
+const encryptMessageFields = (keys, msg) => {
+    const bodyHash = keys.hashBody(msg.body);
+    const identity = { address: msg.address, bodyHash, date: msg.date, type: msg.type };
+    return {
+        body: keys.encrypt(msg.body, messageFieldContext('body', identity)),
+        bodyHash,
+        contactName: keys.encrypt(msg.contactName || null, messageFieldContext('contact_name', identity)),
+        contactNameHash: keys.hashContactName(msg.contactName),
+        keyVersion: keys.version
+    };
+};
+
+/**
+ * Add a new data key version for the user. New messages use it right away;
+ * existing rows keep decrypting with their own version until re-encrypted.
+ *
+ * @returns {Promise<number>} the new version
+ */
+const addDataKeyVersion = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT COALESCE(MAX(version), 0) AS version FROM user_keys WHERE user_id = ? AND purpose = ?',
+        [userId, KEY_PURPOSES.data]
+    );
+    const version = rows[0].version + 1;
+    await insertKey(userId, KEY_PURPOSES.data, version);
+    clearKeyCache(userId);
+    return version;
+};
+
+// Rows re-encrypted per SELECT while migrating a user's messages to the current key
+const REENCRYPT_BATCH_SIZE = 500;
+
+/**
+ * Re-encrypt the user's messages that are in plaintext (stored before
+ * encryption) or use an older data key, and fill in their keyed hashes.
+ * The new values are bound to their column and row (messageFieldContext).
+ * A plaintext row whose hash collides with an encrypted copy of the same
+ * message is a duplicate and is deleted.
+ *
+ * @returns {Promise<{reencrypted: number, merged: number, remaining: number}>}
+ */
+const reencryptUserMessages = async (userId) => {
+    clearKeyCache(userId);
+    const keys = await getUserKeys(userId);
+    let reencrypted = 0;
+    let merged = 0;
+    let lastId = 0;
+
+    for (;;) {
+        const [rows] = await pool.execute(`
+            SELECT id, address, body, body_hash, date, type, contact_name, key_version
+            FROM sms_messages
+            WHERE user_id = ? AND (key_version IS NULL OR key_version < ?) AND id > ?
+            ORDER BY id
+            LIMIT ${REENCRYPT_BATCH_SIZE}
+        `, [userId, keys.version, lastId]);
+
+        for (const row of rows) {
+            const message = decryptMessage(keys, row);
+            const encrypted = encryptMessageFields(keys, { ...message, contactName: message.contact_name });
+
+            try {
+                await pool.execute(`
+                    UPDATE sms_messages
+                    SET body = ?, body_hash = ?, contact_name = ?, contact_name_hash = ?, key_version = ?
+                    WHERE id = ?
+                `, [
+                    encrypted.body,
+                    encrypted.bodyHash,
+                    encrypted.contactName,
+                    encrypted.contactNameHash,
+                    encrypted.keyVersion,
+                    row.id
+                ]);
+                reencrypted++;
+            } catch (error) {
+                if (error.code !== 'ER_DUP_ENTRY') {
+                    throw error;
+                }
+                await pool.execute('DELETE FROM sms_messages WHERE id = ?', [row.id]);
+                merged++;
+            }
+        }
+
+        if (rows.length < REENCRYPT_BATCH_SIZE) {
+            break;
+        }
+        lastId = rows[rows.length - 1].id;
+    }
+
+    // Messages written meanwhile by a server still caching the previous keyring
+    const [left] = await pool.execute(
+        'SELECT COUNT(*) AS remaining FROM sms_messages WHERE user_id = ? AND (key_version IS NULL OR key_version < ?)',
+        [userId, keys.version]
+    );
+
+    return { reencrypted, merged, remaining: left[0].remaining };
+};
+
+// Data key version of a "v<version>[c]:..." value, for columns without a key_version of their own
+const prefixVersion = (column) => `CAST(SUBSTRING(REGEXP_SUBSTR(${column}, '^v[0-9]+'), 2) AS UNSIGNED)`;
+
+// Everything encrypted with a user's data keys: table, owner column and the key version of each row
+const DATA_KEY_REFERENCES = [
+    { table: 'sms_messages', owner: 'user_id', version: 'key_version' },
+    { table: 'contacts', owner: 'user_id', version: 'key_version' },
+    { table: 'message_attachments', owner: 'user_id', version: 'key_version' },
+    { table: 'users', owner: 'id', version: 'totp_key_version' },
+    { table: 'webhooks', owner: 'user_id', version: prefixVersion('secret') },
+    { table: 'webhook_deliveries', owner: 'user_id', version: prefixVersion('payload') }
+];
+
+/**
+ * Mark data keys below `version` as retired, but only once nothing is
+ * encrypted with them any more. reencryptUserMessages only rewrites
+ * sms_messages, so contacts, attachments, the TOTP secret and webhook
+ * secrets and payloads usually keep older keys in use.
+ *
+ * @returns {Promise<string[]>} tables still using an older key; nothing is retired unless empty
+ */
+const retireDataKeysBelow = async (userId, version) => {
+    const inUse = [];
+    for (const { table, owner, version: keyVersion } of DATA_KEY_REFERENCES) {
+        const [rows] = await pool.execute(
+            `SELECT 1 FROM ${table} WHERE ${owner} = ? AND ${keyVersion} < ? LIMIT 1`,
+            [userId, version]
+        );
+        if (rows.length > 0) {
+            inUse.push(table);
+        }
+    }
+
+    if (inUse.length === 0) {
+        await pool.execute(
+            'UPDATE user_keys SET retired_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND version < ? AND retired_at IS NULL',
+            [userId, KEY_PURPOSES.data, version]
+        );
+    }
+    return inUse;
+};
+
+/**
+ * Re-wrap every user key not wrapped by the current master key. Run after
+ * putting a new key first in ENCRYPTION_MASTER_KEYS; the old master key can
+ * be removed from config once this reports nothing left to rewrap.
+ *
+ * @returns {Promise<number>} number of rewrapped keys
+ */
+const rewrapUserKeys = async () => {
+    const { id: currentId } = getCurrentMasterKey();
+    const [rows] = await pool.execute(
+        'SELECT id, user_id, purpose, version, master_key_id, wrapped_key FROM user_keys WHERE master_key_id <> ?',
+        [currentId]
+    );
+
+    for (const row of rows) {
+        const { masterKeyId, wrappedKey } = wrapKey(row.user_id, row.purpose, row.version, unwrapKey(row));
+        await pool.execute(
+            'UPDATE user_keys SET master_key_id = ?, wrapped_key = ? WHERE id = ?',
+            [masterKeyId, wrappedKey, row.id]
+        );
+    }
+
+    clearKeyCache();
+    return rows.length;
+};
+
+module.exports = {
+    KEY_PURPOSES,
+    getUserKeys,
+    clearKeyCache,
+    decryptValue,
+    messageFieldContext,
+    decryptMessageField,
+    decryptMessage,
+    encryptMessageFields,
+    addDataKeyVersion,
+    reencryptUserMessages,
+    retireDataKeysBelow,
+    rewrapUserKeys
+};
\ No newline at end of file
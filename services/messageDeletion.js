@@ -0,0 +1,74 @@
+const { pool } = require('../config/database');
+
+// Rows removed per DELETE statement, to keep lock times short on large histories
+const DELETE_BATCH_SIZE = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete every sms_messages row matching the WHERE clauses, in batches.
+ * The clauses must already be scoped to a user_id.
+ *
+ * @returns {Promise<number>} number of deleted rows
+ */
+const deleteMessagesWhere = async (clauses, params) => {
+    let deleted = 0;
+
+    for (;;) {
+        const [result] = await pool.execute(
+            `DELETE FROM sms_messages WHERE ${clauses.join(' AND ')} LIMIT ${DELETE_BATCH_SIZE}`,
+            params
+        );
+        deleted += result.affectedRows;
+
+        if (result.affectedRows < DELETE_BATCH_SIZE) {
+            return deleted;
+        }
+    }
+};
+
+const getRetentionPolicy = async (userId) => {
+    const [users] = await pool.execute(
+        'SELECT message_retention_days FROM users WHERE id = ?',
+        [userId]
+    );
+    return {
+        retentionDays: users.length > 0 ? users[0].message_retention_days : null
+    };
+};
+
+// Pass null to keep messages forever
+const setRetentionPolicy = async (userId, retentionDays) => {
+    await pool.execute(
+        'UPDATE users SET message_retention_days = ? WHERE id = ?',
+        [retentionDays, userId]
+    );
+    return getRetentionPolicy(userId);
+};
+
+/**
+ * Enforce every user's retention policy by deleting messages whose `date`
+ * is older than the configured number of days.
+ *
+ * @returns {Promise<{users: number, deletedMessages: number}>}
+ */
+const purgeExpiredMessages = async (now = Date.now()) => {
+    const [users] = await pool.execute(
+        'SELECT id, message_retention_days FROM users WHERE message_retention_days IS NOT NULL'
+    );
+
+    let deletedMessages = 0;
+    for (const user of users) {
+        const cutoff = now - user.message_retention_days * DAY_MS;
+        deletedMessages += await deleteMessagesWhere(['user_id = ?', 'date < ?'], [user.id, cutoff]);
+    }
+
+    return { users: users.length, deletedMessages };
+};
+
+module.exports = {
+    deleteMessagesWhere,
+    getRetentionPolicy,
+    setRetentionPolicy,
+    purgeExpiredMessages
+};
\ No newline at end of file
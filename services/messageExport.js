@@ -0,0 +1,227 @@
+const { pool } = require('../config/database');
+const { buildMessageFilters } = require('../utils/messageFilters');
+const { write } = require('../utils/streams');
+const { getUserKeys, decryptMessage } = require('./messageCrypto');
+const { CONTACT_COLUMNS, joinContacts } = require('./contacts');
+const { MESSAGE_KINDS, attachMmsDetails, getAttachmentContent } = require('./mms');
+
+// Rows fetched per keyset page while streaming
+const EXPORT_BATCH_SIZE = 1000;
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xml: { contentType: 'application/xml; charset=utf-8', extension: 'xml' }
+};
+
+const CSV_COLUMNS = ['id', 'address', 'contact_name', 'date', 'date_formatted', 'type', 'read', 'starred', 'archived', 'category', 'body'];
+
+const csvField = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Attribute-safe XML escaping. Characters XML 1.0 forbids are dropped and
+// line breaks kept as character references, matching SMS Backup & Restore files.
+const xmlAttr = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;');
+
+const toExportRecord = (row) => ({
+    id: row.id,
+    address: row.address,
+    contact_name: row.contact_name,
+    date: row.date,
+    date_formatted: row.date_formatted,
+    type: row.type,
+    read: row.is_read === 1,
+    starred: row.is_starred === 1,
+    archived: row.is_archived === 1,
+    category: row.category,
+    body: row.body
+});
+
+const formatters = {
+    json: {
+        header: () => `{"exportedAt":${JSON.stringify(new Date().toISOString())},"messages":[\n`,
+        row: (row, i) => `${i > 0 ? ',\n' : ''}${JSON.stringify(toExportRecord(row))}`,
+        footer: () => '\n]}\n'
+    },
+    csv: {
+        header: () => `${CSV_COLUMNS.join(',')}\r\n`,
+        row: (row) => {
+            const record = toExportRecord(row);
+            return `${CSV_COLUMNS.map(column => csvField(record[column])).join(',')}\r\n`;
+        },
+        footer: () => ''
+    },
+    // Android "SMS Backup & Restore" format
+    xml: {
+        header: (count) => `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>\n<smses count="${count}">\n`,
+        row: (row) => '  <sms protocol="0"' +
+            ` address="${xmlAttr(row.address)}"` +
+            ` date="${xmlAttr(row.date)}"` +
+            ` type="${xmlAttr(row.type)}"` +
+            ' subject="null"' +
+            ` body="${xmlAttr(row.body)}"` +
+            ' toa="null" sc_toa="null" service_center="null"' +
+            ` read="${row.is_read ? 1 : 0}"` +
+            ' status="-1" locked="0" date_sent="0"' +
+            ` readable_date="${xmlAttr(row.date_formatted || new Date(Number(row.date)).toISOString())}"` +
+            ` contact_name="${xmlAttr(row.contact_name || '(Unknown)')}" />\n`,
+        footer: () => '</smses>\n'
+    }
+};
+
+// Address types of <addr> elements in backup files
+const MMS_ADDRESS_FROM = 137;
+const MMS_ADDRESS_TO = 151;
+
+const isSent = (message) => Number(message.type) === 2;
+
+// SMS Backup & Restore writes MMS as <mms> elements: the text and each media
+// file are <parts> (media embedded as base64 `data`), the participants <addrs>.
+// Of a received message's addresses the first is its sender.
+const backupMms = {
+    open: (message) => '  <mms' +
+        ` date="${xmlAttr(message.date)}"` +
+        ` msg_box="${xmlAttr(message.type)}"` +
+        ` address="${xmlAttr(message.addresses.join('~'))}"` +
+        ` m_type="${isSent(message) ? 128 : 132}"` +
+        ' ct_t="application/vnd.wap.multipart.related"' +
+        ` text_only="${message.attachments.length === 0 ? 1 : 0}"` +
+        ` read="${message.is_read ? 1 : 0}"` +
+        ' seen="1" locked="0" date_sent="0" sub="null"' +
+        ` readable_date="${xmlAttr(message.date_formatted || new Date(Number(message.date)).toISOString())}"` +
+        ` contact_name="${xmlAttr(message.contact_name || '(Unknown)')}">\n` +
+        '    <parts>\n',
+    textPart: (message) => '      <part seq="0" ct="text/plain" name="null" chset="106" cd="null" fn="null"' +
+        ' cid="&lt;text&gt;" cl="text.txt" ctt_s="null" ctt_t="null"' +
+        ` text="${xmlAttr(message.body)}" />\n`,
+    mediaPartOpen: (attachment, position) => `      <part seq="0" ct="${xmlAttr(attachment.mimeType)}"` +
+        ` name="${xmlAttr(attachment.fileName || 'null')}" chset="null" cd="null" fn="null"` +
+        ` cid="&lt;${position}&gt;" cl="${xmlAttr(attachment.fileName || `part${position}`)}"` +
+        ' ctt_s="null" ctt_t="null" text="null" data="',
+    mediaPartClose: () => '" />\n',
+    close: (message) => '    </parts>\n' +
+        '    <addrs>\n' +
+        message.addresses.map((address, i) => `      <addr address="${xmlAttr(address)}"` +
+            ` type="${i === 0 && !isSent(message) ? MMS_ADDRESS_FROM : MMS_ADDRESS_TO}" charset="106" />\n`).join('') +
+        '    </addrs>\n' +
+        '  </mms>\n'
+};
+
+// Base64-encode a stream into `output`, carrying partial 3-byte groups between chunks
+const writeBase64 = async (output, source) => {
+    let rest = Buffer.alloc(0);
+    for await (const chunk of source) {
+        const data = Buffer.concat([rest, chunk]);
+        const whole = data.length - (data.length % 3);
+        if (whole > 0) {
+            await write(output, data.subarray(0, whole).toString('base64'));
+        }
+        rest = data.subarray(whole);
+    }
+    if (rest.length > 0) {
+        await write(output, rest.toString('base64'));
+    }
+};
+
+const writeBackupMms = async (output, userId, message) => {
+    await write(output, backupMms.open(message));
+    if (message.body) {
+        await write(output, backupMms.textPart(message));
+    }
+    for (const [position, attachment] of message.attachments.entries()) {
+        const { stream } = await getAttachmentContent(userId, attachment.id);
+        await write(output, backupMms.mediaPartOpen(attachment, position));
+        await writeBase64(output, stream);
+        await write(output, backupMms.mediaPartClose());
+    }
+    await write(output, backupMms.close(message));
+};
+
+/**
+ * Stream every matching message to `output`, oldest first, paging through
+ * sms_messages by (date, id) so only one batch is in memory at a time.
+ * In xml, MMS are written as <mms> elements with their attachments embedded.
+ *
+ * @param {number} userId
+ * @param {object} filters - same filters as GET /api/sms/messages
+ * @param {'json'|'csv'|'xml'} format
+ * @param {import('stream').Writable} output
+ * @returns {Promise<number>} number of messages written
+ */
+const exportMessages = async (userId, filters, format, output) => {
+    const formatter = formatters[format];
+    const keys = await getUserKeys(userId);
+    const { clauses, params } = buildMessageFilters(userId, filters, keys);
+
+    // The backup XML format declares the message count up front
+    let count = null;
+    if (format === 'xml') {
+        const [counts] = await pool.execute(
+            `SELECT COUNT(*) AS count FROM sms_messages WHERE ${clauses.join(' AND ')}`,
+            params
+        );
+        count = counts[0].count;
+    }
+
+    await write(output, formatter.header(count));
+
+    let written = 0;
+    let cursor = null;
+    for (;;) {
+        const pageClauses = [...clauses];
+        const pageParams = [...params];
+        if (cursor) {
+            pageClauses.push('(date > ? OR (date = ? AND id > ?))');
+            pageParams.push(cursor.date, cursor.date, cursor.id);
+        }
+
+        const [rows] = await pool.execute(`
+            SELECT id, address, body, body_hash, date, type, contact_name, date_formatted, is_read, is_starred, is_archived, category, kind, key_version, ${CONTACT_COLUMNS}
+            FROM sms_messages ${joinContacts()}
+            WHERE ${pageClauses.join(' AND ')}
+            ORDER BY date ASC, id ASC
+            LIMIT ${EXPORT_BATCH_SIZE}
+        `, pageParams);
+
+        const messages = rows.map(row => decryptMessage(keys, row));
+        if (format === 'xml') {
+            await attachMmsDetails(userId, keys, messages);
+        }
+
+        for (const message of messages) {
+            if (format === 'xml' && message.kind === MESSAGE_KINDS.mms) {
+                await writeBackupMms(output, userId, message);
+            } else {
+                await write(output, formatter.row(message, written));
+            }
+            written++;
+        }
+
+        if (rows.length < EXPORT_BATCH_SIZE) {
+            break;
+        }
+        cursor = rows[rows.length - 1];
+    }
+
+    await write(output, formatter.footer());
+    return written;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportMessages
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+const { pool } = require('../config/database');
+const { buildMessageFilters } = require('../utils/messageFilters');
+const { createMatcher, createScorer } = require('../utils/search');
+const { getUserKeys, decryptMessage } = require('./messageCrypto');
+const { CONTACT_COLUMNS, joinContacts } = require('./contacts');
+
+// Rows decrypted per keyset page while scanning
+const SEARCH_BATCH_SIZE = 1000;
+
+// Matches are ranked against each other within a window of this many rows, newest first
+const SEARCH_WINDOW_ROWS = 5000;
+
+// One request scans at most this many rows, or for about this long, before it
+// returns what it has with a cursor to carry on from
+const SEARCH_MAX_SCAN_ROWS = parseInt(process.env.SEARCH_MAX_SCAN_ROWS, 10) || 20000;
+const SEARCH_TIME_BUDGET_MS = parseInt(process.env.SEARCH_TIME_BUDGET_MS, 10) || 2000;
+
+/**
+ * Search cursors are opaque to the client: base64url of
+ * "<window start>|<window end>|<skip>". The window covers the rows after its
+ * start (exclusive, empty for the newest row) down to its end (inclusive,
+ * empty while the window is still open); skip counts the window's ranked
+ * matches already returned. Positions are "<date>:<id>".
+ */
+const encodePosition = (row) => (row ? `${row.date}:${row.id}` : '');
+
+const decodePosition = (value) => {
+    const match = /^(\d+):(\d+)$/.exec(value);
+    return match ? { date: Number(match[1]), id: Number(match[2]) } : null;
+};
+
+const encodeSearchCursor = ({ start, end, skip }) =>
+    Buffer.from(`${encodePosition(start)}|${encodePosition(end)}|${skip}`).toString('base64url');
+
+const decodeSearchCursor = (cursor) => {
+    const parts = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    if (parts.length !== 3 || !/^\d+$/.test(parts[2])) {
+        return null;
+    }
+    const [start, end] = parts.slice(0, 2).map(part => (part ? decodePosition(part) : undefined));
+    if (start === null || end === null) {
+        return null;
+    }
+    return { start: start || null, end: end || null, skip: Number(parts[2]) };
+};
+
+const byRelevance = (a, b) => b.relevance - a.relevance || b.date - a.date || b.id - a.id;
+
+/**
+ * Find messages whose body or contact name matches a parsed search query,
+ * best matches first. Content is encrypted at rest, so MySQL can neither
+ * match nor rank it, and the FULLTEXT index search used to rely on is
+ * dropped by migration 002. Search is a scan instead: its cost grows with
+ * the number of messages searched (narrow it with filters), and it never
+ * stores anything derived from message text. An index would need a blind
+ * index (keyed hashes of each word per message), which leaks which messages
+ * share words and how often. This decrypts the user's (filtered) messages newest
+ * first in windows of SEARCH_WINDOW_ROWS, ranks each window's matches by
+ * relevance (see createScorer), then date, and pages through them before
+ * moving on to the next, older window. Ranking is therefore per window:
+ * strong matches in older messages come on later pages.
+ *
+ * A request stops scanning after SEARCH_MAX_SCAN_ROWS rows or
+ * SEARCH_TIME_BUDGET_MS, so a page can come back short, or even empty, with a
+ * nextCursor; the search is finished when nextCursor is null.
+ *
+ * @param {number} userId
+ * @param {object} filters - same filters as GET /api/sms/messages
+ * @param {{phrases: string[], terms: string[]}} parsed - from parseSearchQuery
+ * @param {{limit: number, cursor: ?object}} page - cursor from decodeSearchCursor
+ * @returns {Promise<{results: Array<object>, nextCursor: ?string}>}
+ */
+const searchMessages = async (userId, filters, parsed, { limit, cursor }) => {
+    const keys = await getUserKeys(userId);
+    const { clauses, params } = buildMessageFilters(userId, filters, keys);
+    const matches = createMatcher(parsed);
+    const score = createScorer(parsed);
+    const started = Date.now();
+    const results = [];
+    let scanned = 0;
+    let window = cursor || { start: null, end: null, skip: 0 };
+
+    const budgetSpent = () => scanned >= SEARCH_MAX_SCAN_ROWS || Date.now() - started >= SEARCH_TIME_BUDGET_MS;
+
+    for (;;) {
+        // Scan the window. A resumed window is re-scanned up to its recorded end
+        // so its ranking (and so `skip`) is the same as on the previous page.
+        const found = [];
+        let position = window.start;
+        let windowRows = 0;
+        let exhausted = false;
+
+        for (;;) {
+            const pageClauses = [...clauses];
+            const pageParams = [...params];
+            if (position) {
+                pageClauses.push('(date < ? OR (date = ? AND id < ?))');
+                pageParams.push(position.date, position.date, position.id);
+            }
+            if (window.end) {
+                pageClauses.push('(date > ? OR (date = ? AND id >= ?))');
+                pageParams.push(window.end.date, window.end.date, window.end.id);
+            }
+            const batchSize = window.end ? SEARCH_BATCH_SIZE : Math.min(SEARCH_BATCH_SIZE, SEARCH_WINDOW_ROWS - windowRows);
+
+            const [rows] = await pool.execute(`
+                SELECT id, address, body, body_hash, date, type, contact_name, date_formatted, is_read, is_starred, is_archived, category, key_version, ${CONTACT_COLUMNS}
+                FROM sms_messages ${joinContacts()}
+                WHERE ${pageClauses.join(' AND ')}
+                ORDER BY date DESC, id DESC
+                LIMIT ${batchSize}
+            `, pageParams);
+
+            for (const row of rows) {
+                const message = decryptMessage(keys, row);
+                if (matches(message.body, message.contact_name)) {
+                    found.push({ ...message, relevance: score(message.body, message.contact_name) });
+                }
+            }
+
+            scanned += rows.length;
+            windowRows += rows.length;
+            if (rows.length > 0) {
+                position = { date: rows[rows.length - 1].date, id: rows[rows.length - 1].id };
+            }
+
+            if (rows.length < batchSize) {
+                // Past the oldest row (or the end of a resumed window)
+                exhausted = !window.end;
+                break;
+            }
+            if (!window.end && (windowRows >= SEARCH_WINDOW_ROWS || budgetSpent())) {
+                break;
+            }
+        }
+
+        const end = window.end || position;
+        found.sort(byRelevance);
+        const taken = found.slice(window.skip, window.skip + limit - results.length);
+        results.push(...taken);
+
+        if (window.skip + taken.length < found.length) {
+            return { results, nextCursor: encodeSearchCursor({ start: window.start, end, skip: window.skip + taken.length }) };
+        }
+        if (exhausted || !end) {
+            return { results, nextCursor: null };
+        }
+
+        window = { start: end, end: null, skip: 0 };
+        if (results.length === limit || budgetSpent()) {
+            return { results, nextCursor: encodeSearchCursor(window) };
+        }
+    }
+};
+
+module.exports = {
+    decodeSearchCursor,
+    searchMessages
+};
\ No newline at end of file
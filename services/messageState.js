@@ -0,0 +1,274 @@
+const { pool } = require('../config/database');
+
+/**
+ * Triage state of stored messages: the read, starred and archived flags on
+ * sms_messages and the user's labels. The phone only sets is_read when a
+ * message is first stored; after that every change here is the user's and
+ * re-uploads leave it alone.
+ */
+
+// Keeps label lists short enough to show in full on every message
+const MAX_LABELS_PER_USER = 100;
+
+// Messages changed per statement by bulk updates, to keep lock times short
+const STATE_BATCH_SIZE = 1000;
+
+// Change field -> sms_messages column
+const STATE_FLAGS = {
+    read: 'is_read',
+    starred: 'is_starred',
+    archived: 'is_archived'
+};
+
+const stateError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const LABEL_COLUMNS = 'id, name, color, created_at, updated_at';
+
+const formatLabel = (row) => ({
+    id: row.id,
+    name: row.name,
+    color: row.color,
+    ...(row.message_count !== undefined && { messageCount: row.message_count }),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+// Alphabetical, with how many messages carry each label
+const listLabels = async (userId) => {
+    const [rows] = await pool.execute(`
+        SELECT l.id, l.name, l.color, l.created_at, l.updated_at, COUNT(a.message_id) AS message_count
+        FROM message_labels l
+        LEFT JOIN message_label_assignments a ON a.label_id = l.id
+        WHERE l.user_id = ?
+        GROUP BY l.id
+        ORDER BY l.name, l.id
+    `, [userId]);
+    return rows.map(formatLabel);
+};
+
+const getLabel = async (userId, labelId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${LABEL_COLUMNS} FROM message_labels WHERE id = ? AND user_id = ?`,
+        [labelId, userId]
+    );
+    return rows.length > 0 ? formatLabel(rows[0]) : null;
+};
+
+const duplicateName = (error, name) => (error.code === 'ER_DUP_ENTRY'
+    ? stateError('LABEL_EXISTS', `A label named "${name}" already exists`)
+    : error);
+
+/**
+ * @throws {Error} with code LABEL_LIMIT or LABEL_EXISTS
+ */
+const createLabel = async (userId, { name, color }) => {
+    const [counts] = await pool.execute(
+        'SELECT COUNT(*) AS count FROM message_labels WHERE user_id = ?',
+        [userId]
+    );
+    if (counts[0].count >= MAX_LABELS_PER_USER) {
+        throw stateError('LABEL_LIMIT', `You can have at most ${MAX_LABELS_PER_USER} labels`);
+    }
+
+    try {
+        const [result] = await pool.execute(
+            'INSERT INTO message_labels (user_id, name, color) VALUES (?, ?, ?)',
+            [userId, name, color || null]
+        );
+        return getLabel(userId, result.insertId);
+    } catch (error) {
+        throw duplicateName(error, name);
+    }
+};
+
+/**
+ * @returns {Promise<object|null>} the updated label, or null if it doesn't exist
+ * @throws {Error} with code LABEL_EXISTS
+ */
+const updateLabel = async (userId, labelId, { name, color }) => {
+    try {
+        const [result] = await pool.execute(
+            'UPDATE message_labels SET name = ?, color = ? WHERE id = ? AND user_id = ?',
+            [name, color || null, labelId, userId]
+        );
+        if (result.affectedRows === 0) {
+            return null;
+        }
+    } catch (error) {
+        throw duplicateName(error, name);
+    }
+    return getLabel(userId, labelId);
+};
+
+// Removing a label also takes it off every message (ON DELETE CASCADE)
+const deleteLabel = async (userId, labelId) => {
+    const [result] = await pool.execute(
+        'DELETE FROM message_labels WHERE id = ? AND user_id = ?',
+        [labelId, userId]
+    );
+    return result.affectedRows;
+};
+
+/**
+ * Add `labels` ({id, name, color}) to each message of a decrypted page.
+ *
+ * @returns {Promise<Array<object>>} the same messages
+ */
+const attachLabels = async (userId, messages) => {
+    if (messages.length === 0) {
+        return messages;
+    }
+
+    const [rows] = await pool.query(`
+        SELECT a.message_id, l.id, l.name, l.color
+        FROM message_label_assignments a
+        JOIN message_labels l ON l.id = a.label_id
+        WHERE a.user_id = ? AND a.message_id IN (?)
+        ORDER BY l.name, l.id
+    `, [userId, messages.map(message => message.id)]);
+
+    for (const message of messages) {
+        message.labels = rows
+            .filter(row => row.message_id === message.id)
+            .map(({ id, name, color }) => ({ id, name, color }));
+    }
+    return messages;
+};
+
+// Which message carries which label, for data takeout
+const listLabelAssignments = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT message_id, label_id, created_at FROM message_label_assignments WHERE user_id = ? ORDER BY message_id, label_id',
+        [userId]
+    );
+    return rows.map(row => ({ messageId: row.message_id, labelId: row.label_id, createdAt: row.created_at }));
+};
+
+// Every label id given must belong to the user
+const checkLabels = async (userId, labelIds) => {
+    if (labelIds.length === 0) {
+        return;
+    }
+    const [rows] = await pool.query(
+        'SELECT id FROM message_labels WHERE user_id = ? AND id IN (?)',
+        [userId, labelIds]
+    );
+    if (rows.length !== new Set(labelIds).size) {
+        throw stateError('LABEL_NOT_FOUND', 'Label not found');
+    }
+};
+
+const normalizeChanges = (changes) => ({
+    flags: Object.entries(STATE_FLAGS)
+        .filter(([field]) => typeof changes[field] === 'boolean')
+        .map(([field, column]) => [column, changes[field] ? 1 : 0]),
+    addLabelIds: [...new Set(changes.addLabels || [])],
+    removeLabelIds: [...new Set(changes.removeLabels || [])]
+});
+
+// Apply one batch of changes to messages already known to belong to the user
+const applyChanges = async (userId, messageIds, { flags, addLabelIds, removeLabelIds }) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        if (flags.length > 0) {
+            await connection.query(
+                `UPDATE sms_messages SET ${flags.map(([column]) => `${column} = ?`).join(', ')} WHERE user_id = ? AND id IN (?)`,
+                [...flags.map(([, value]) => value), userId, messageIds]
+            );
+        }
+        if (removeLabelIds.length > 0) {
+            await connection.query(
+                'DELETE FROM message_label_assignments WHERE message_id IN (?) AND label_id IN (?)',
+                [messageIds, removeLabelIds]
+            );
+        }
+        if (addLabelIds.length > 0) {
+            await connection.query(
+                'INSERT IGNORE INTO message_label_assignments (message_id, label_id, user_id) VALUES ?',
+                [messageIds.flatMap(messageId => addLabelIds.map(labelId => [messageId, labelId, userId]))]
+            );
+        }
+
+        await connection.commit();
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Change the state of one message. `changes` may set read, starred and
+ * archived (booleans) and list label ids in addLabels / removeLabels.
+ *
+ * @returns {Promise<boolean>} false if the message doesn't exist
+ * @throws {Error} with code LABEL_NOT_FOUND
+ */
+const updateMessageState = async (userId, messageId, changes) => {
+    const normalized = normalizeChanges(changes);
+    await checkLabels(userId, [...normalized.addLabelIds, ...normalized.removeLabelIds]);
+
+    const [rows] = await pool.execute(
+        'SELECT id FROM sms_messages WHERE id = ? AND user_id = ?',
+        [messageId, userId]
+    );
+    if (rows.length === 0) {
+        return false;
+    }
+
+    await applyChanges(userId, [messageId], normalized);
+    return true;
+};
+
+/**
+ * Change the state of every message matching the WHERE clauses (from
+ * buildMessageFilters, so already scoped to the user), in batches of
+ * STATE_BATCH_SIZE messages. Each batch is applied atomically.
+ *
+ * @returns {Promise<number>} number of matched messages
+ * @throws {Error} with code LABEL_NOT_FOUND
+ */
+const updateMessageStateWhere = async (userId, clauses, params, changes) => {
+    const normalized = normalizeChanges(changes);
+    await checkLabels(userId, [...normalized.addLabelIds, ...normalized.removeLabelIds]);
+
+    // Keyset over id: a batch's changes can't affect which later messages match
+    let matched = 0;
+    let lastId = 0;
+    for (;;) {
+        const [rows] = await pool.execute(
+            `SELECT id FROM sms_messages WHERE ${clauses.join(' AND ')} AND id > ? ORDER BY id LIMIT ${STATE_BATCH_SIZE}`,
+            [...params, lastId]
+        );
+        if (rows.length > 0) {
+            await applyChanges(userId, rows.map(row => row.id), normalized);
+            matched += rows.length;
+        }
+        if (rows.length < STATE_BATCH_SIZE) {
+            return matched;
+        }
+        lastId = rows[rows.length - 1].id;
+    }
+};
+
+module.exports = {
+    MAX_LABELS_PER_USER,
+    listLabels,
+    getLabel,
+    createLabel,
+    updateLabel,
+    deleteLabel,
+    attachLabels,
+    listLabelAssignments,
+    updateMessageState,
+    updateMessageStateWhere
+};
\ No newline at end of file
@@ -0,0 +1,359 @@
+const { pool } = require('../config/database');
+const { SMS_TYPES } = require('../utils/messageFilters');
+const { getUserKeys, decryptMessageField } = require('./messageCrypto');
+
+/**
+ * Messaging statistics, served from per-day rollups (sms_stats_daily and
+ * sms_stats_hourly) instead of scanning sms_messages on every request.
+ *
+ * Days and hours are local to the requested time zone, so each (user, time
+ * zone) pair is rolled up separately. A rollup is brought up to date lazily
+ * when stats are read: new messages are added incrementally, and if anything
+ * was deleted since the last build the rollup is rebuilt from scratch.
+ */
+const STATS_INTERVALS = ['day', 'week', 'month'];
+
+// Period labels: the day, the Monday starting the week, or the month
+const PERIOD_EXPRESSIONS = {
+    day: "DATE_FORMAT(day, '%Y-%m-%d')",
+    week: "DATE_FORMAT(day - INTERVAL WEEKDAY(day) DAY, '%Y-%m-%d')",
+    month: "DATE_FORMAT(day, '%Y-%m')"
+};
+
+const DEFAULT_TOP_CONTACTS = 10;
+const MAX_TOP_CONTACTS = 50;
+
+// Rows read per keyset page while rolling up, and rollup rows written per INSERT
+const SCAN_BATCH_SIZE = 5000;
+const WRITE_BATCH_SIZE = 1000;
+
+// Rollups nobody has read for this long are dropped by `npm run purge`
+const STATS_ROLLUP_RETENTION_DAYS = parseInt(process.env.STATS_ROLLUP_RETENTION_DAYS, 10) || 30;
+
+// Every UTC offset in use is a multiple of 15 minutes, so local day and hour are constant within a slot
+const SLOT_MS = 15 * 60 * 1000;
+
+// Last millisecond a DATE column can hold (9999-12-31)
+const MAX_ROLLUP_DATE = 253402300799999;
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(SMS_TYPES).map(([name, value]) => [value, name]));
+
+// Canonical IANA name for a time zone, or null if it isn't one
+const normalizeTimeZone = (value) => {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: String(value) }).resolvedOptions().timeZone;
+    } catch {
+        return null;
+    }
+};
+
+// Maps an epoch-ms date to its local { day: 'YYYY-MM-DD', hour } in the time zone
+const createLocalBucketer = (timeZone) => {
+    const formatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    });
+    const slots = new Map();
+
+    return (date) => {
+        const slot = Math.floor(date / SLOT_MS);
+        let bucket = slots.get(slot);
+        if (!bucket) {
+            const parts = Object.fromEntries(
+                formatter.formatToParts(slot * SLOT_MS).map(part => [part.type, part.value])
+            );
+            bucket = { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+            slots.set(slot, bucket);
+        }
+        return bucket;
+    };
+};
+
+const increment = (counts, key) => {
+    const encoded = JSON.stringify(key);
+    counts.set(encoded, (counts.get(encoded) || 0) + 1);
+};
+
+// Count the user's messages with afterId < id <= upToId per local day/counterpart/type and day/hour/type
+const aggregateMessages = async (connection, userId, timeZone, afterId, upToId) => {
+    const bucketOf = createLocalBucketer(timeZone);
+    const daily = new Map();
+    const hourly = new Map();
+    let lastId = afterId;
+
+    for (;;) {
+        const [rows] = await connection.execute(`
+            SELECT id, date, type, thread_key
+            FROM sms_messages
+            WHERE user_id = ? AND id > ? AND id <= ?
+            ORDER BY id
+            LIMIT ${SCAN_BATCH_SIZE}
+        `, [userId, lastId, upToId]);
+
+        for (const row of rows) {
+            const date = Number(row.date);
+            // Nonsensical far-future dates can't be placed on a calendar day
+            if (date > MAX_ROLLUP_DATE) {
+                continue;
+            }
+            const { day, hour } = bucketOf(date);
+            increment(daily, [day, row.thread_key || '', row.type]);
+            increment(hourly, [day, hour, row.type]);
+        }
+
+        if (rows.length < SCAN_BATCH_SIZE) {
+            break;
+        }
+        lastId = rows[rows.length - 1].id;
+    }
+
+    return { daily, hourly };
+};
+
+const addCounts = async (connection, table, columns, userId, timeZone, counts) => {
+    const rows = [...counts].map(([key, count]) => [userId, timeZone, ...JSON.parse(key), count]);
+
+    for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+        await connection.query(`
+            INSERT INTO ${table} (user_id, time_zone, ${columns}, message_count) VALUES ?
+            ON DUPLICATE KEY UPDATE message_count = message_count + VALUES(message_count)
+        `, [rows.slice(i, i + WRITE_BATCH_SIZE)]);
+    }
+};
+
+/**
+ * Bring the user's rollup for a time zone up to date. The rollup's state row
+ * is locked for the duration, so concurrent requests never count the same
+ * messages twice.
+ *
+ * Stored messages only ever change in ways that don't affect the stats
+ * (contact name, re-encryption), so the state is just the highest id and the
+ * row count that were rolled up: a count that no longer adds up means rows
+ * were deleted (or committed out of id order) and the rollup is rebuilt.
+ */
+const refreshRollup = async (userId, timeZone) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        await connection.execute(`
+            INSERT INTO sms_stats_rollups (user_id, time_zone) VALUES (?, ?)
+            ON DUPLICATE KEY UPDATE last_used_at = CURRENT_TIMESTAMP
+        `, [userId, timeZone]);
+        const [states] = await connection.execute(
+            'SELECT last_message_id, message_count FROM sms_stats_rollups WHERE user_id = ? AND time_zone = ? FOR UPDATE',
+            [userId, timeZone]
+        );
+        const state = {
+            lastMessageId: Number(states[0].last_message_id),
+            messageCount: Number(states[0].message_count)
+        };
+
+        const [current] = await connection.execute(
+            'SELECT COUNT(*) AS message_count, COALESCE(MAX(id), 0) AS last_message_id FROM sms_messages WHERE user_id = ?',
+            [userId]
+        );
+        const messageCount = Number(current[0].message_count);
+        const lastMessageId = Number(current[0].last_message_id);
+
+        if (messageCount === state.messageCount && lastMessageId === state.lastMessageId) {
+            await connection.commit();
+            return;
+        }
+
+        let afterId = state.lastMessageId;
+        const [newer] = await connection.execute(
+            'SELECT COUNT(*) AS count FROM sms_messages WHERE user_id = ? AND id > ? AND id <= ?',
+            [userId, afterId, lastMessageId]
+        );
+        if (state.messageCount + Number(newer[0].count) !== messageCount) {
+            await connection.execute('DELETE FROM sms_stats_daily WHERE user_id = ? AND time_zone = ?', [userId, timeZone]);
+            await connection.execute('DELETE FROM sms_stats_hourly WHERE user_id = ? AND time_zone = ?', [userId, timeZone]);
+            afterId = 0;
+        }
+
+        const { daily, hourly } = await aggregateMessages(connection, userId, timeZone, afterId, lastMessageId);
+        await addCounts(connection, 'sms_stats_daily', 'day, thread_key, type', userId, timeZone, daily);
+        await addCounts(connection, 'sms_stats_hourly', 'day, hour, type', userId, timeZone, hourly);
+
+        await connection.execute(`
+            UPDATE sms_stats_rollups
+            SET last_message_id = ?, message_count = ?, built_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND time_zone = ?
+        `, [lastMessageId, messageCount, userId, timeZone]);
+
+        await connection.commit();
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const sentToReceived = (sent, received) => (received > 0 ? Math.round((sent / received) * 100) / 100 : null);
+
+// Latest address and newest known contact name for each thread
+const describeContacts = async (userId, threadKeys) => {
+    if (threadKeys.length === 0) {
+        return new Map();
+    }
+
+    const [rows] = await pool.query(`
+        SELECT thread_key, address, body_hash, date, type, contact_name, key_version
+        FROM (
+            SELECT thread_key, address, body_hash, date, type, contact_name, key_version,
+                   ROW_NUMBER() OVER (PARTITION BY thread_key ORDER BY contact_name IS NULL, date DESC, id DESC) AS row_num
+            FROM sms_messages
+            WHERE user_id = ? AND thread_key IN (?)
+        ) named
+        WHERE row_num = 1
+    `, [userId, threadKeys]);
+
+    const keys = await getUserKeys(userId);
+    return new Map(rows.map(row => [row.thread_key, {
+        address: row.address,
+        contactName: decryptMessageField(keys, row, 'contact_name')
+    }]));
+};
+
+/**
+ * Messaging statistics for the user.
+ *
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - IANA time zone days and hours are counted in (default UTC)
+ * @param {string} [options.from] - first local day to include, YYYY-MM-DD
+ * @param {string} [options.to] - last local day to include, YYYY-MM-DD
+ * @param {string} [options.interval] - timeline granularity: day, week or month
+ * @param {number} [options.topContacts] - number of counterparts to rank
+ */
+const getMessageStats = async (userId, {
+    timeZone = 'UTC',
+    from = null,
+    to = null,
+    interval = 'day',
+    topContacts = DEFAULT_TOP_CONTACTS
+} = {}) => {
+    await refreshRollup(userId, timeZone);
+
+    const clauses = ['user_id = ?', 'time_zone = ?'];
+    const params = [userId, timeZone];
+    if (from) {
+        clauses.push('day >= ?');
+        params.push(from);
+    }
+    if (to) {
+        clauses.push('day <= ?');
+        params.push(to);
+    }
+    const where = clauses.join(' AND ');
+    const directionParams = [SMS_TYPES.sent, SMS_TYPES.inbox];
+
+    const [types] = await pool.execute(`
+        SELECT type, CAST(SUM(message_count) AS UNSIGNED) AS count
+        FROM sms_stats_daily
+        WHERE ${where}
+        GROUP BY type
+        ORDER BY type
+    `, params);
+
+    const [timeline] = await pool.execute(`
+        SELECT ${PERIOD_EXPRESSIONS[interval]} AS period,
+               CAST(SUM(message_count) AS UNSIGNED) AS total,
+               CAST(SUM(IF(type = ?, message_count, 0)) AS UNSIGNED) AS sent,
+               CAST(SUM(IF(type = ?, message_count, 0)) AS UNSIGNED) AS received
+        FROM sms_stats_daily
+        WHERE ${where}
+        GROUP BY period
+        ORDER BY period
+    `, [...directionParams, ...params]);
+
+    const [contacts] = await pool.execute(`
+        SELECT thread_key,
+               CAST(SUM(message_count) AS UNSIGNED) AS total,
+               CAST(SUM(IF(type = ?, message_count, 0)) AS UNSIGNED) AS sent,
+               CAST(SUM(IF(type = ?, message_count, 0)) AS UNSIGNED) AS received
+        FROM sms_stats_daily
+        WHERE ${where} AND thread_key <> ''
+        GROUP BY thread_key
+        ORDER BY total DESC, thread_key
+        LIMIT ${Math.min(Math.max(Number(topContacts) || DEFAULT_TOP_CONTACTS, 1), MAX_TOP_CONTACTS)}
+    `, [...directionParams, ...params]);
+
+    const [hours] = await pool.execute(`
+        SELECT hour, CAST(SUM(message_count) AS UNSIGNED) AS count
+        FROM sms_stats_hourly
+        WHERE ${where}
+        GROUP BY hour
+    `, params);
+
+    const byType = {};
+    let total = 0;
+    for (const row of types) {
+        byType[TYPE_NAMES[row.type] || String(row.type)] = row.count;
+        total += row.count;
+    }
+    const sent = byType.sent || 0;
+    const received = byType.inbox || 0;
+
+    const contactDetails = await describeContacts(userId, contacts.map(row => row.thread_key));
+
+    const hourCounts = new Map(hours.map(row => [row.hour, row.count]));
+    const hoursOfDay = Array.from({ length: 24 }, (_, hour) => ({ hour, count: hourCounts.get(hour) || 0 }));
+    const busiest = hoursOfDay.reduce((best, entry) => (entry.count > best.count ? entry : best));
+
+    return {
+        timeZone,
+        from,
+        to,
+        interval,
+        totals: {
+            total,
+            sent,
+            received,
+            sentToReceived: sentToReceived(sent, received),
+            byType
+        },
+        timeline,
+        topContacts: contacts.map(row => ({
+            threadKey: row.thread_key,
+            address: contactDetails.has(row.thread_key) ? contactDetails.get(row.thread_key).address : null,
+            contactName: contactDetails.has(row.thread_key) ? contactDetails.get(row.thread_key).contactName : null,
+            total: row.total,
+            sent: row.sent,
+            received: row.received,
+            sentToReceived: sentToReceived(row.sent, row.received)
+        })),
+        busiestHour: busiest.count > 0 ? busiest.hour : null,
+        hoursOfDay
+    };
+};
+
+/**
+ * Drop rollups that haven't been read for STATS_ROLLUP_RETENTION_DAYS; they
+ * are rebuilt on demand. Rows in sms_stats_daily/hourly go with the FK cascade.
+ *
+ * @returns {Promise<number>} number of dropped rollups
+ */
+const purgeStaleStatsRollups = async () => {
+    const [result] = await pool.execute(
+        'DELETE FROM sms_stats_rollups WHERE last_used_at < CURRENT_TIMESTAMP - INTERVAL ? DAY',
+        [STATS_ROLLUP_RETENTION_DAYS]
+    );
+    return result.affectedRows;
+};
+
+module.exports = {
+    STATS_INTERVALS,
+    MAX_TOP_CONTACTS,
+    normalizeTimeZone,
+    getMessageStats,
+    purgeStaleStatsRollups
+};
\ No newline at end of file
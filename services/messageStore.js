@@ -0,0 +1,301 @@
+const { pool } = require('../config/database');
+const { getThreadKey, toE164 } = require('../utils/phone');
+const { categorizeMessage } = require('../utils/categorizer');
+const { getUserKeys, encryptMessageFields } = require('./messageCrypto');
+const { getCompiledRules } = require('./messageCategories');
+
+// Rows per multi-row INSERT statement
+const INSERT_BATCH_SIZE = 500;
+
+// Messages without a read flag are treated as read so old backups don't flood unread counts
+const toReadFlag = (read) => {
+    if (read === undefined || read === null) {
+        return 1;
+    }
+    return read === true || read === 1 || read === '1' || read === 'true' ? 1 : 0;
+};
+
+// MySQL prefix lengths count characters, not UTF-16 code units
+const prefix = (value, length) => Array.from(String(value)).slice(0, length).join('');
+
+/**
+ * Mirror of the unique_sms_hash_per_user key: (user_id, address(20), body_hash, date, type),
+ * with the address compared case-insensitively like utf8mb4_general_ci.
+ */
+const dedupKey = ({ address, bodyHash, date, type }) => [
+    prefix(address, 20).toLowerCase(),
+    bodyHash,
+    String(date),
+    String(type)
+].join('|');
+
+// SQL form of the same key, for finding the row a message collides with (params from dedupParams)
+const DEDUP_CONDITION = 'user_id = ? AND LEFT(address, 20) = LEFT(?, 20) AND body_hash = ? AND date = ? AND type = ?';
+
+const dedupParams = (userId, { address, bodyHash, date, type }) => [userId, address, bodyHash, date, type];
+
+const describeMessage = (msg) => `${msg.address || 'unknown'} - ${(msg.body || '').substring(0, 50)}...`;
+
+const describeError = (error) => {
+    if (error.code === 'ER_DUP_ENTRY') {
+        return 'Duplicate entry conflict';
+    } else if (error.code === 'ER_DATA_TOO_LONG') {
+        return 'Data too long for field';
+    } else if (error.code === 'ER_BAD_NULL_ERROR') {
+        return 'Required field cannot be null';
+    }
+    return 'Processing failed';
+};
+
+const INSERT_COLUMNS = '(user_id, device_id, address, body, body_hash, date, type, contact_name, contact_name_hash, date_formatted, thread_key, address_e164, is_read, category, key_version, created_at, updated_at)';
+
+// Only fill in metadata on conflict; the message content itself is immutable.
+// is_read is only taken from the phone on insert; from then on it is the user's triage
+// state (see services/messageState), like is_starred, is_archived and labels.
+// contact_name carries its own key version, so it can be replaced without touching body.
+const ON_DUPLICATE = `
+    ON DUPLICATE KEY UPDATE
+        contact_name = COALESCE(VALUES(contact_name), contact_name),
+        contact_name_hash = COALESCE(VALUES(contact_name_hash), contact_name_hash),
+        date_formatted = COALESCE(VALUES(date_formatted), date_formatted),
+        category = COALESCE(category, VALUES(category)),
+        updated_at = CURRENT_TIMESTAMP
+`;
+
+const toRow = (userId, deviceId, keys, rules, msg) => {
+    const encrypted = encryptMessageFields(keys, msg);
+    return [
+        userId,
+        deviceId || null,
+        msg.address,
+        encrypted.body,
+        encrypted.bodyHash,
+        msg.date,
+        msg.type,
+        encrypted.contactName,
+        encrypted.contactNameHash,
+        msg.dateFormatted || null,
+        getThreadKey(msg.address),
+        toE164(msg.address),
+        toReadFlag(msg.read),
+        categorizeMessage(msg, rules),
+        encrypted.keyVersion,
+        new Date(),
+        new Date()
+    ];
+};
+
+// Look up stored rows that could collide with this batch, using idx_user_date
+const findExisting = async (connection, userId, messages) => {
+    const dates = [...new Set(messages.map(msg => String(msg.date)))];
+    const existing = new Map();
+
+    for (let i = 0; i < dates.length; i += INSERT_BATCH_SIZE) {
+        const [rows] = await connection.query(
+            'SELECT id, address, body_hash, date, type, contact_name_hash, date_formatted FROM sms_messages WHERE user_id = ? AND date IN (?)',
+            [userId, dates.slice(i, i + INSERT_BATCH_SIZE)]
+        );
+        for (const row of rows) {
+            existing.set(dedupKey({ ...row, bodyHash: row.body_hash }), row);
+        }
+    }
+
+    return existing;
+};
+
+const hasChanged = (stored, msg, contactNameHash) =>
+    (contactNameHash && contactNameHash !== stored.contact_name_hash) ||
+    (msg.dateFormatted && msg.dateFormatted !== stored.date_formatted);
+
+/**
+ * Write a chunk with one multi-row statement. If the statement fails, retry the
+ * rows one at a time so the error can be reported against the right message.
+ */
+const writeChunk = async (connection, userId, deviceId, keys, rules, chunk, result) => {
+    try {
+        await connection.query(
+            `INSERT INTO sms_messages ${INSERT_COLUMNS} VALUES ? ${ON_DUPLICATE}`,
+            [chunk.map(({ msg }) => toRow(userId, deviceId, keys, rules, msg))]
+        );
+        for (const { action } of chunk) {
+            result[action === 'insert' ? 'insertedCount' : 'updatedCount']++;
+        }
+    } catch (chunkError) {
+        if (!chunkError.sqlState) {
+            throw chunkError;
+        }
+
+        for (const { msg, index, action } of chunk) {
+            try {
+                await connection.query(
+                    `INSERT INTO sms_messages ${INSERT_COLUMNS} VALUES ? ${ON_DUPLICATE}`,
+                    [[toRow(userId, deviceId, keys, rules, msg)]]
+                );
+                result[action === 'insert' ? 'insertedCount' : 'updatedCount']++;
+            } catch (msgError) {
+                if (!msgError.sqlState) {
+                    throw msgError;
+                }
+                console.error(`Error processing message ${describeMessage(msg)}:`, msgError);
+                result.errors.push({
+                    index,
+                    message: describeMessage(msg),
+                    error: describeError(msgError),
+                    details: msgError.message
+                });
+            }
+        }
+    }
+};
+
+/**
+ * Insert new messages and refresh contact_name/date_formatted on existing ones.
+ * Runs in a single transaction with batched multi-row statements. body and
+ * contact_name are encrypted with the user's current data key, and new rows
+ * are categorized with the user's rules and the built-in categorizer.
+ *
+ * @param {number} userId
+ * @param {Array<object>} messages - client-shaped messages (address, body, date, type, contactName, dateFormatted, read)
+ * @param {object} [options]
+ * @param {number} [options.indexOffset] - added to each message's index in reported errors
+ * @param {Array<number>} [options.indexes] - explicit index to report for each message
+ * @param {object} [options.connection] - run inside the caller's transaction instead of opening one
+ * @param {number} [options.deviceId] - devices.id of the uploading device, recorded on new rows
+ * @param {boolean} [options.collectInsertedIds] - also return the ids of inserted rows as `insertedIds`
+ * @returns {Promise<{insertedCount: number, updatedCount: number, duplicateCount: number, errors: Array<object>, insertedIds?: Array<number>}>}
+ */
+const saveMessages = async (userId, messages, options = {}) => {
+    const indexOffset = options.indexOffset || 0;
+    const indexOf = (i) => (options.indexes ? options.indexes[i] : indexOffset + i);
+    const result = { insertedCount: 0, updatedCount: 0, duplicateCount: 0, errors: [] };
+    if (options.collectInsertedIds) {
+        result.insertedIds = [];
+    }
+
+    const valid = [];
+    messages.forEach((msg, i) => {
+        if (!msg || !msg.address || !msg.body || !msg.date || !msg.type) {
+            result.errors.push({
+                index: indexOf(i),
+                message: describeMessage(msg || {}),
+                error: 'Missing required fields (address, body, date, type)'
+            });
+            return;
+        }
+        valid.push({ msg, index: indexOf(i) });
+    });
+
+    if (valid.length === 0) {
+        return result;
+    }
+
+    // Fetched through the pool, never inside the transaction (see getUserKeys)
+    const keys = await getUserKeys(userId);
+    const rules = await getCompiledRules(userId);
+    const connection = options.connection || await pool.getConnection();
+    const ownsTransaction = !options.connection;
+
+    try {
+        if (ownsTransaction) {
+            await connection.beginTransaction();
+        }
+
+        const existing = await findExisting(connection, userId, valid.map(({ msg }) => msg));
+        const seen = new Set();
+        const pending = [];
+
+        for (const entry of valid) {
+            const key = dedupKey({ ...entry.msg, bodyHash: keys.hashBody(entry.msg.body) });
+
+            // Repeated within this upload
+            if (seen.has(key)) {
+                result.duplicateCount++;
+                continue;
+            }
+            seen.add(key);
+
+            const stored = existing.get(key);
+            if (!stored) {
+                pending.push({ ...entry, action: 'insert' });
+            } else if (hasChanged(stored, entry.msg, keys.hashContactName(entry.msg.contactName))) {
+                pending.push({ ...entry, action: 'update' });
+            } else {
+                result.duplicateCount++;
+            }
+        }
+
+        for (let i = 0; i < pending.length; i += INSERT_BATCH_SIZE) {
+            await writeChunk(connection, userId, options.deviceId, keys, rules, pending.slice(i, i + INSERT_BATCH_SIZE), result);
+        }
+
+        if (options.collectInsertedIds) {
+            // Rows that failed to insert simply aren't found
+            const inserted = pending.filter(({ action }) => action === 'insert').map(({ msg }) => msg);
+            const stored = inserted.length > 0 ? await findExisting(connection, userId, inserted) : new Map();
+            result.insertedIds = inserted
+                .map(msg => stored.get(dedupKey({ ...msg, bodyHash: keys.hashBody(msg.body) })))
+                .filter(Boolean)
+                .map(row => row.id);
+        }
+
+        if (ownsTransaction) {
+            await connection.commit();
+        }
+        return result;
+
+    } catch (error) {
+        if (ownsTransaction) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (ownsTransaction) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Turn a saveMessages result into the status code and response body used by the ingest endpoints.
+ */
+const buildIngestResponse = (totalMessages, result) => {
+    const { insertedCount, updatedCount, duplicateCount, errors } = result;
+    // Streaming imports only keep the first errors but count all of them
+    const erroredCount = result.erroredCount !== undefined ? result.erroredCount : errors.length;
+    const totalProcessed = insertedCount + updatedCount + duplicateCount;
+    const hasErrors = erroredCount > 0;
+
+    // 207 for partial success, 400 for complete failure
+    let statusCode = 200;
+    if (hasErrors) {
+        statusCode = totalProcessed > 0 ? 207 : 400;
+    }
+
+    return {
+        statusCode,
+        body: {
+            success: !hasErrors || totalProcessed > 0,
+            message: hasErrors
+                ? `Processed ${totalProcessed}/${totalMessages} messages with ${erroredCount} errors`
+                : 'All SMS messages processed successfully',
+            data: {
+                totalMessages,
+                insertedMessages: insertedCount,
+                updatedMessages: updatedCount,
+                duplicateMessages: duplicateCount,
+                processedMessages: totalProcessed,
+                erroredMessages: erroredCount,
+                ...(hasErrors && { errors })
+            }
+        }
+    };
+};
+
+module.exports = {
+    toReadFlag,
+    dedupKey,
+    DEDUP_CONDITION,
+    dedupParams,
+    saveMessages,
+    buildIngestResponse
+};
\ No newline at end of file
@@ -0,0 +1,517 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const busboy = require('busboy');
+const { pool } = require('../config/database');
+const { getGroupThreadKey, toE164 } = require('../utils/phone');
+const { categorizeMessage } = require('../utils/categorizer');
+const { getUserKeys, encryptMessageFields, decryptValue } = require('./messageCrypto');
+const { getCompiledRules } = require('./messageCategories');
+const { toReadFlag, DEDUP_CONDITION, dedupParams } = require('./messageStore');
+const { getAttachmentStorage } = require('./attachmentStorage');
+
+/**
+ * MMS messages: a sms_messages row with kind "mms", every participant in
+ * message_addresses (group MMS) and each media part in message_attachments.
+ * Attachment content is encrypted with the user's data key while it streams
+ * to the storage backend; only the metadata lives in MySQL.
+ */
+const MESSAGE_KINDS = {
+    sms: 'sms',
+    mms: 'mms'
+};
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 20 * 1024 * 1024;
+const MAX_GROUP_ADDRESSES = 50;
+const MAX_MESSAGE_FIELD_BYTES = 1024 * 1024;
+
+// Orphaned attachments removed per batch by purgeOrphanedAttachments
+const PURGE_BATCH_SIZE = 500;
+
+const MIME_TYPE = /^[a-z0-9][a-z0-9!#$&^_.+-]{0,63}\/[a-z0-9][a-z0-9!#$&^_.+-]{0,63}$/;
+
+const mmsError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+/**
+ * Validate the JSON `message` part of an upload. `address` is the
+ * counterpart shown for the message (the sender of a received MMS);
+ * `addresses` lists every participant of a group MMS.
+ *
+ * @throws {Error} with code INVALID_MMS
+ */
+const parseMmsMessage = (raw) => {
+    let msg;
+    try {
+        msg = JSON.parse(raw);
+    } catch {
+        throw mmsError('INVALID_MMS', 'The message field must be a JSON object');
+    }
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+        throw mmsError('INVALID_MMS', 'The message field must be a JSON object');
+    }
+
+    const listed = [msg.address, ...(Array.isArray(msg.addresses) ? msg.addresses : [])];
+    if (listed.some(address => !isOptionalString(address))) {
+        throw mmsError('INVALID_MMS', 'Addresses must be strings');
+    }
+    const addresses = [...new Set(listed.filter(Boolean).map(address => address.trim()).filter(Boolean))];
+
+    if (addresses.length === 0) {
+        throw mmsError('INVALID_MMS', 'An address or addresses is required');
+    }
+    if (addresses.length > MAX_GROUP_ADDRESSES) {
+        throw mmsError('INVALID_MMS', `A message can have at most ${MAX_GROUP_ADDRESSES} addresses`);
+    }
+    if (addresses.some(address => address.length > 255)) {
+        throw mmsError('INVALID_MMS', 'Addresses must be at most 255 characters');
+    }
+    if (!Number.isSafeInteger(Number(msg.date)) || Number(msg.date) < 0 || msg.date === '' || msg.date === null) {
+        throw mmsError('INVALID_MMS', 'Date must be a valid timestamp');
+    }
+    if (!Number.isSafeInteger(Number(msg.type)) || Number(msg.type) < 0 || msg.type === '' || msg.type === null) {
+        throw mmsError('INVALID_MMS', 'Type must be a valid integer');
+    }
+    if (!isOptionalString(msg.body) || !isOptionalString(msg.contactName) || !isOptionalString(msg.dateFormatted)) {
+        throw mmsError('INVALID_MMS', 'Body, contactName and dateFormatted must be strings');
+    }
+    if (msg.read !== undefined && msg.read !== null && typeof msg.read !== 'boolean') {
+        throw mmsError('INVALID_MMS', 'Read must be a boolean');
+    }
+
+    return {
+        address: addresses[0],
+        addresses,
+        body: msg.body || '',
+        date: Number(msg.date),
+        type: Number(msg.type),
+        contactName: msg.contactName || null,
+        dateFormatted: msg.dateFormatted || null,
+        read: msg.read
+    };
+};
+
+// Same dedup key as SMS ingest (unique_sms_hash_per_user)
+const findExistingMessage = async (userId, keys, msg) => {
+    const [rows] = await pool.execute(
+        `SELECT id FROM sms_messages WHERE ${DEDUP_CONDITION}`,
+        dedupParams(userId, { ...msg, bodyHash: keys.hashBody(msg.body) })
+    );
+    return rows.length > 0 ? rows[0].id : null;
+};
+
+// A file name is bound to the attachment's content, which has a unique storage key
+const fileNameContext = (storageKey) => `message_attachments.file_name:${storageKey}`;
+
+/**
+ * Encrypt one uploaded file into the storage backend while hashing and
+ * counting the plaintext.
+ *
+ * @throws {Error} with code ATTACHMENT_TOO_LARGE
+ */
+const storeAttachment = async (userId, keys, file, info, position) => {
+    const storage = getAttachmentStorage();
+    const storageKey = `${userId}/${crypto.randomUUID()}`;
+    const { cipher, iv, version } = keys.createEncryptStream(storageKey);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const meter = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        // Errors anywhere in the chain destroy the cipher, which fails the put
+        await storage.put(storageKey, pipeline(file, meter, cipher, () => {}));
+        if (file.truncated) {
+            throw mmsError('ATTACHMENT_TOO_LARGE', `Attachments must be at most ${MAX_ATTACHMENT_BYTES} bytes`);
+        }
+    } catch (error) {
+        await storage.remove(storageKey);
+        throw error;
+    }
+
+    const mimeType = String(info.mimeType || '').toLowerCase();
+    return {
+        position,
+        fileName: info.filename ? keys.encrypt(String(info.filename).slice(0, 255), fileNameContext(storageKey)) : null,
+        mimeType: MIME_TYPE.test(mimeType) ? mimeType : 'application/octet-stream',
+        size,
+        checksum: hash.digest('hex'),
+        storageBackend: storage.name,
+        storageKey,
+        keyVersion: version,
+        iv,
+        authTag: cipher.getAuthTag().toString('base64')
+    };
+};
+
+const removeStoredContent = async (attachments) => {
+    for (const { storageBackend, storageKey } of attachments) {
+        try {
+            await getAttachmentStorage(storageBackend).remove(storageKey);
+        } catch (error) {
+            console.error(`Could not remove attachment content ${storageKey}:`, error);
+        }
+    }
+};
+
+const insertMmsMessage = async (userId, deviceId, keys, msg, attachments) => {
+    const encrypted = encryptMessageFields(keys, msg);
+    const category = categorizeMessage(msg, await getCompiledRules(userId));
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(`
+            INSERT INTO sms_messages (user_id, device_id, address, body, body_hash, date, type, contact_name, contact_name_hash, date_formatted, thread_key, address_e164, is_read, category, key_version, kind)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            userId,
+            deviceId || null,
+            msg.address,
+            encrypted.body,
+            encrypted.bodyHash,
+            msg.date,
+            msg.type,
+            encrypted.contactName,
+            encrypted.contactNameHash,
+            msg.dateFormatted,
+            getGroupThreadKey(msg.addresses),
+            toE164(msg.address),
+            toReadFlag(msg.read),
+            category,
+            encrypted.keyVersion,
+            MESSAGE_KINDS.mms
+        ]);
+        const messageId = result.insertId;
+
+        await connection.query(
+            'INSERT INTO message_addresses (message_id, user_id, address, address_e164, position) VALUES ?',
+            [msg.addresses.map((address, position) => [messageId, userId, address, toE164(address), position])]
+        );
+
+        if (attachments.length > 0) {
+            await connection.query(`
+                INSERT INTO message_attachments
+                    (user_id, message_id, position, file_name, mime_type, size_bytes, checksum_sha256, storage_backend, storage_key, key_version, iv, auth_tag)
+                VALUES ?
+            `, [attachments.map(attachment => [
+                userId,
+                messageId,
+                attachment.position,
+                attachment.fileName,
+                attachment.mimeType,
+                attachment.size,
+                attachment.checksum,
+                attachment.storageBackend,
+                attachment.storageKey,
+                attachment.keyVersion,
+                attachment.iv,
+                attachment.authTag
+            ])]);
+        }
+
+        await connection.commit();
+        return messageId;
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Store an MMS uploaded as multipart/form-data: a `message` field (JSON, see
+ * parseMmsMessage) followed by up to MAX_ATTACHMENTS_PER_MESSAGE file parts.
+ * Files are streamed to storage one at a time and never buffered whole. A
+ * message that is already stored is returned as is and its files discarded.
+ *
+ * @returns {Promise<{messageId: number, isNew: boolean}>}
+ * @throws {Error} with code INVALID_MULTIPART, INVALID_MMS, TOO_MANY_ATTACHMENTS or ATTACHMENT_TOO_LARGE
+ */
+const receiveMmsUpload = async (userId, deviceId, req) => {
+    let parser;
+    try {
+        parser = busboy({
+            headers: req.headers,
+            defParamCharset: 'utf8',
+            limits: {
+                files: MAX_ATTACHMENTS_PER_MESSAGE,
+                fileSize: MAX_ATTACHMENT_BYTES,
+                fields: 10,
+                fieldSize: MAX_MESSAGE_FIELD_BYTES
+            }
+        });
+    } catch (error) {
+        throw mmsError('INVALID_MULTIPART', error.message);
+    }
+
+    // Fetched through the pool, never inside the transaction (see getUserKeys)
+    const keys = await getUserKeys(userId);
+    const stored = [];
+    let message = null;
+    let existingId = null;
+    let failure = null;
+
+    // Parts are handled strictly in order: the message first, then each file
+    let work = Promise.resolve();
+    const fail = (error) => {
+        failure = failure || error;
+    };
+
+    parser.on('field', (name, value, info) => {
+        if (name !== 'message') {
+            return;
+        }
+        work = work.then(async () => {
+            if (failure) {
+                return;
+            }
+            if (message) {
+                throw mmsError('INVALID_MMS', 'Only one message field is allowed');
+            }
+            if (info.valueTruncated) {
+                throw mmsError('INVALID_MMS', 'The message field is too large');
+            }
+            message = parseMmsMessage(value);
+            existingId = await findExistingMessage(userId, keys, message);
+        }).catch(fail);
+    });
+
+    parser.on('file', (name, file, info) => {
+        work = work.then(async () => {
+            // Failed uploads and duplicates still have to be read to the end
+            if (failure || existingId) {
+                file.resume();
+                return;
+            }
+            if (!message) {
+                throw mmsError('INVALID_MMS', 'The message field must come before the attachments');
+            }
+            stored.push(await storeAttachment(userId, keys, file, info, stored.length));
+        }).catch(error => {
+            fail(error);
+            file.resume();
+        });
+    });
+
+    parser.on('filesLimit', () => {
+        fail(mmsError('TOO_MANY_ATTACHMENTS', `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`));
+    });
+
+    try {
+        await new Promise((resolve, reject) => {
+            // Destroying the parser errors the file stream being stored, so the work chain settles
+            const abort = (error) => {
+                parser.destroy(error);
+                reject(error);
+            };
+            parser.on('close', resolve);
+            parser.on('error', error => abort(error.code ? error : mmsError('INVALID_MULTIPART', error.message)));
+            req.on('aborted', () => abort(mmsError('INVALID_MULTIPART', 'Upload was interrupted')));
+            req.on('error', error => abort(mmsError('INVALID_MULTIPART', error.message)));
+            req.pipe(parser);
+        });
+    } catch (error) {
+        fail(error);
+    }
+    await work;
+
+    if (!failure && !message) {
+        failure = mmsError('INVALID_MMS', 'The message field is required');
+    }
+    if (!failure && !existingId && message.body === '' && stored.length === 0) {
+        failure = mmsError('INVALID_MMS', 'An MMS needs a body or at least one attachment');
+    }
+    if (failure) {
+        await removeStoredContent(stored);
+        throw failure;
+    }
+
+    if (existingId) {
+        return { messageId: existingId, isNew: false };
+    }
+
+    try {
+        return { messageId: await insertMmsMessage(userId, deviceId, keys, message, stored), isNew: true };
+    } catch (error) {
+        await removeStoredContent(stored);
+
+        // The same message was uploaded concurrently
+        if (error.code === 'ER_DUP_ENTRY') {
+            const racedId = await findExistingMessage(userId, keys, message);
+            if (racedId) {
+                return { messageId: racedId, isNew: false };
+            }
+        }
+        throw error;
+    }
+};
+
+const ATTACHMENT_COLUMNS = 'id, message_id, position, file_name, mime_type, size_bytes, checksum_sha256, storage_key, key_version';
+
+const formatAttachment = (keys, row) => ({
+    id: row.id,
+    fileName: decryptValue(keys, row.file_name, row.key_version, fileNameContext(row.storage_key)),
+    mimeType: row.mime_type,
+    size: row.size_bytes,
+    checksum: row.checksum_sha256,
+    url: `/api/sms/attachments/${row.id}`
+});
+
+/**
+ * Add `addresses` (every participant) and `attachments` (metadata and
+ * download URL) to the MMS messages of a decrypted page. SMS messages are
+ * left untouched.
+ *
+ * @returns {Promise<Array<object>>} the same messages
+ */
+const attachMmsDetails = async (userId, keys, messages) => {
+    const mms = messages.filter(message => message.kind === MESSAGE_KINDS.mms);
+    if (mms.length === 0) {
+        return messages;
+    }
+    const ids = mms.map(message => message.id);
+
+    const [addresses] = await pool.query(
+        'SELECT message_id, address FROM message_addresses WHERE user_id = ? AND message_id IN (?) ORDER BY message_id, position',
+        [userId, ids]
+    );
+    const [attachments] = await pool.query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM message_attachments WHERE user_id = ? AND message_id IN (?) ORDER BY message_id, position`,
+        [userId, ids]
+    );
+
+    for (const message of mms) {
+        message.addresses = addresses.filter(row => row.message_id === message.id).map(row => row.address);
+        message.attachments = attachments
+            .filter(row => row.message_id === message.id)
+            .map(row => formatAttachment(keys, row));
+    }
+    return messages;
+};
+
+/**
+ * Metadata of every attachment of the user's stored messages, oldest message
+ * first, with the message it belongs to (for data takeout).
+ *
+ * @returns {Promise<Array<{id: number, messageId: number, position: number, fileName: string|null, mimeType: string, size: number, checksum: string}>>}
+ */
+const listUserAttachments = async (userId) => {
+    const [rows] = await pool.execute(`
+        SELECT a.id, a.message_id, a.position, a.file_name, a.mime_type, a.size_bytes, a.checksum_sha256, a.storage_key, a.key_version
+        FROM message_attachments a
+        JOIN sms_messages m ON m.id = a.message_id AND m.user_id = a.user_id
+        WHERE a.user_id = ?
+        ORDER BY a.message_id, a.position
+    `, [userId]);
+
+    const keys = await getUserKeys(userId);
+    return rows.map(row => {
+        const { url, ...attachment } = formatAttachment(keys, row);
+        return { id: row.id, messageId: row.message_id, position: row.position, ...attachment };
+    });
+};
+
+/**
+ * Decrypted content of one of the user's attachments. Attachments of
+ * deleted messages are not served even before the purge removes them.
+ *
+ * @returns {Promise<{stream: Readable, fileName: string|null, mimeType: string, size: number, checksum: string}>}
+ * @throws {Error} with code ATTACHMENT_NOT_FOUND
+ */
+const getAttachmentContent = async (userId, attachmentId) => {
+    const [rows] = await pool.execute(`
+        SELECT a.id, a.file_name, a.mime_type, a.size_bytes, a.checksum_sha256, a.storage_backend, a.storage_key,
+               a.key_version, a.iv, a.auth_tag
+        FROM message_attachments a
+        JOIN sms_messages m ON m.id = a.message_id AND m.user_id = a.user_id
+        WHERE a.id = ? AND a.user_id = ?
+    `, [attachmentId, userId]);
+
+    if (rows.length === 0) {
+        throw mmsError('ATTACHMENT_NOT_FOUND', 'Attachment not found');
+    }
+
+    const row = rows[0];
+    const keys = await getUserKeys(userId);
+    const decipher = keys.createDecryptStream(row.storage_key, row.key_version, row.iv, row.auth_tag);
+    const source = await getAttachmentStorage(row.storage_backend).get(row.storage_key);
+
+    return {
+        stream: pipeline(source, decipher, () => {}),
+        fileName: decryptValue(keys, row.file_name, row.key_version, fileNameContext(row.storage_key)),
+        mimeType: row.mime_type,
+        size: row.size_bytes,
+        checksum: row.checksum_sha256
+    };
+};
+
+// Remove the stored content of every attachment of the user (rows go with the user's FK cascade)
+const deleteUserAttachments = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT storage_backend, storage_key FROM message_attachments WHERE user_id = ?',
+        [userId]
+    );
+    await removeStoredContent(rows.map(row => ({ storageBackend: row.storage_backend, storageKey: row.storage_key })));
+};
+
+/**
+ * Remove attachments whose message has been deleted, content first.
+ *
+ * @returns {Promise<number>} number of removed attachments
+ */
+const purgeOrphanedAttachments = async () => {
+    let removed = 0;
+
+    for (;;) {
+        const [rows] = await pool.query(`
+            SELECT a.id, a.storage_backend, a.storage_key
+            FROM message_attachments a
+            LEFT JOIN sms_messages m ON m.id = a.message_id
+            WHERE m.id IS NULL
+            ORDER BY a.id
+            LIMIT ${PURGE_BATCH_SIZE}
+        `);
+        if (rows.length === 0) {
+            break;
+        }
+
+        for (const row of rows) {
+            await getAttachmentStorage(row.storage_backend).remove(row.storage_key);
+        }
+        await pool.query('DELETE FROM message_attachments WHERE id IN (?)', [rows.map(row => row.id)]);
+        removed += rows.length;
+
+        if (rows.length < PURGE_BATCH_SIZE) {
+            break;
+        }
+    }
+
+    return removed;
+};
+
+module.exports = {
+    MESSAGE_KINDS,
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    MAX_ATTACHMENT_BYTES,
+    receiveMmsUpload,
+    attachMmsDetails,
+    listUserAttachments,
+    getAttachmentContent,
+    deleteUserAttachments,
+    purgeOrphanedAttachments
+};
\ No newline at end of file
@@ -0,0 +1,224 @@
+const { EventEmitter } = require('events');
+const { pool } = require('../config/database');
+
+// How often the mysql backend looks for new events while something is subscribed
+const POLL_INTERVAL_MS = parseInt(process.env.PUBSUB_POLL_INTERVAL_MS, 10) || 1000;
+const POLL_BATCH_SIZE = 500;
+
+// Event ids are allocated on INSERT but rows only become visible on COMMIT, so a
+// poll can see id 12 before id 11. Ids skipped over are looked for again until
+// they have been missing this long; most never turn up (rolled-back inserts).
+const GAP_TIMEOUT_MS = parseInt(process.env.PUBSUB_GAP_TIMEOUT_MS, 10) || 10 * 1000;
+const MAX_PENDING_GAPS = 1000;
+
+// Events only need to outlive the poll interval; older rows are deleted by publishers
+const EVENT_TTL_SECONDS = 5 * 60;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// Handlers run detached from the publisher; one failing must not affect the others
+const dispatch = (handlers, message) => {
+    for (const handler of handlers) {
+        Promise.resolve()
+            .then(() => handler(message))
+            .catch(error => console.error('Pub/sub handler error:', error));
+    }
+};
+
+// Single process only: events never leave the server that published them
+const createMemoryPubSub = () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    return {
+        publish: async (channel, message) => {
+            dispatch(emitter.listeners(channel), message);
+        },
+
+        subscribe: async (channel, handler) => {
+            emitter.on(channel, handler);
+            return () => emitter.off(channel, handler);
+        }
+    };
+};
+
+/**
+ * Shared through the pubsub_events table: publishers insert a row and every
+ * process with subscribers polls for rows newer than the last one it saw,
+ * plus any ids it skipped that may still be committed (see GAP_TIMEOUT_MS).
+ * Delivery is best effort; clients fill gaps when they reconnect.
+ */
+const createMysqlPubSub = () => {
+    const subscriptions = new Map();
+    // Skipped event id -> when it was first found missing
+    const gaps = new Map();
+    let lastId = null;
+    let timer = null;
+    let polling = false;
+    let lastCleanup = 0;
+
+    const deliver = (row) => {
+        const handlers = subscriptions.get(row.channel);
+        if (handlers) {
+            dispatch([...handlers], JSON.parse(row.payload));
+        }
+    };
+
+    // Deliver events committed since the last poll under ids it skipped
+    const pollGaps = async () => {
+        const now = Date.now();
+        for (const [id, missingSince] of gaps) {
+            if (now - missingSince > GAP_TIMEOUT_MS) {
+                gaps.delete(id);
+            }
+        }
+        if (gaps.size === 0) {
+            return;
+        }
+
+        const [rows] = await pool.query(
+            'SELECT id, channel, payload FROM pubsub_events WHERE id IN (?) ORDER BY id',
+            [[...gaps.keys()]]
+        );
+        for (const row of rows) {
+            gaps.delete(Number(row.id));
+            deliver(row);
+        }
+    };
+
+    const poll = async () => {
+        if (polling) {
+            return;
+        }
+        polling = true;
+
+        try {
+            await pollGaps();
+            for (;;) {
+                const [rows] = await pool.execute(
+                    `SELECT id, channel, payload FROM pubsub_events WHERE id > ? ORDER BY id LIMIT ${POLL_BATCH_SIZE}`,
+                    [lastId]
+                );
+                for (const row of rows) {
+                    const id = Number(row.id);
+                    for (let missing = lastId + 1; missing < id && gaps.size < MAX_PENDING_GAPS; missing++) {
+                        gaps.set(missing, Date.now());
+                    }
+                    lastId = id;
+                    deliver(row);
+                }
+                if (rows.length < POLL_BATCH_SIZE) {
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Pub/sub poll failed:', error);
+        } finally {
+            polling = false;
+        }
+    };
+
+    // Start polling from the current end of the table so only new events are delivered
+    const start = async () => {
+        if (timer) {
+            return;
+        }
+        const [rows] = await pool.execute('SELECT COALESCE(MAX(id), 0) AS id FROM pubsub_events');
+        if (timer) {
+            return;
+        }
+        lastId = Number(rows[0].id);
+        gaps.clear();
+        timer = setInterval(poll, POLL_INTERVAL_MS);
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    const cleanup = async () => {
+        if (Date.now() - lastCleanup < CLEANUP_INTERVAL_MS) {
+            return;
+        }
+        lastCleanup = Date.now();
+        await pool.execute(
+            'DELETE FROM pubsub_events WHERE created_at < CURRENT_TIMESTAMP - INTERVAL ? SECOND',
+            [EVENT_TTL_SECONDS]
+        );
+    };
+
+    return {
+        publish: async (channel, message) => {
+            await pool.execute(
+                'INSERT INTO pubsub_events (channel, payload) VALUES (?, ?)',
+                [channel, JSON.stringify(message)]
+            );
+            await cleanup();
+        },
+
+        subscribe: async (channel, handler) => {
+            if (!subscriptions.has(channel)) {
+                subscriptions.set(channel, new Set());
+            }
+            subscriptions.get(channel).add(handler);
+
+            try {
+                await start();
+            } catch (error) {
+                subscriptions.get(channel).delete(handler);
+                throw error;
+            }
+
+            return () => {
+                const handlers = subscriptions.get(channel);
+                if (!handlers) {
+                    return;
+                }
+                handlers.delete(handler);
+                if (handlers.size === 0) {
+                    subscriptions.delete(channel);
+                }
+                if (subscriptions.size === 0) {
+                    stop();
+                }
+            };
+        }
+    };
+};
+
+/**
+ * Pub/sub backends selectable with PUBSUB_BACKEND. Use "mysql" when running
+ * more than one server process so events reach clients connected to any of
+ * them. A backend provides:
+ *   publish(channel, message) -> Promise
+ *   subscribe(channel, handler) -> Promise<unsubscribe function>
+ * Messages must be JSON-serializable.
+ */
+const backends = {
+    memory: createMemoryPubSub,
+    mysql: createMysqlPubSub
+};
+
+const registerPubSubBackend = (name, factory) => {
+    backends[name] = factory;
+};
+
+let instance = null;
+
+// The process-wide pub/sub, created on first use
+const getPubSub = () => {
+    if (!instance) {
+        const name = process.env.PUBSUB_BACKEND || 'memory';
+        if (!backends[name]) {
+            throw new Error(`Unknown pub/sub backend: ${name}`);
+        }
+        instance = backends[name]();
+    }
+    return instance;
+};
+
+module.exports = {
+    registerPubSubBackend,
+    getPubSub
+};
\ No newline at end of file
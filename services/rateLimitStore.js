@@ -0,0 +1,83 @@
+const { pool } = require('../config/database');
+
+/**
+ * express-rate-limit store backed by the rate_limits table, so every server
+ * instance counts against the same window.
+ *
+ * @param {string} prefix - namespaces the keys of one limiter
+ */
+const createMysqlStore = (prefix) => {
+    let windowMs = 60 * 1000;
+
+    const read = async (key) => {
+        const [rows] = await pool.execute(
+            'SELECT hits, reset_at FROM rate_limits WHERE rate_key = ?',
+            [prefix + key]
+        );
+        if (rows.length === 0) {
+            return undefined;
+        }
+        return { totalHits: rows[0].hits, resetTime: new Date(rows[0].reset_at) };
+    };
+
+    return {
+        prefix,
+        localKeys: false,
+
+        init: (options) => {
+            windowMs = options.windowMs;
+        },
+
+        get: read,
+
+        // Start a new window when the stored one has expired, otherwise count the hit
+        increment: async (key) => {
+            await pool.execute(`
+                INSERT INTO rate_limits (rate_key, hits, reset_at)
+                VALUES (?, 1, ?)
+                ON DUPLICATE KEY UPDATE
+                    hits = IF(reset_at <= CURRENT_TIMESTAMP(3), 1, hits + 1),
+                    reset_at = IF(reset_at <= CURRENT_TIMESTAMP(3), VALUES(reset_at), reset_at)
+            `, [prefix + key, new Date(Date.now() + windowMs)]);
+
+            return read(key);
+        },
+
+        decrement: async (key) => {
+            await pool.execute(
+                'UPDATE rate_limits SET hits = GREATEST(hits - 1, 0) WHERE rate_key = ?',
+                [prefix + key]
+            );
+        },
+
+        resetKey: async (key) => {
+            await pool.execute('DELETE FROM rate_limits WHERE rate_key = ?', [prefix + key]);
+        }
+    };
+};
+
+/**
+ * Limiter stores selectable with RATE_LIMIT_STORE. "memory" returns undefined
+ * so express-rate-limit falls back to its per-process MemoryStore.
+ */
+const stores = {
+    memory: () => undefined,
+    mysql: createMysqlStore
+};
+
+const registerRateLimitStore = (name, factory) => {
+    stores[name] = factory;
+};
+
+const createRateLimitStore = (prefix) => {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[name]) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return stores[name](prefix);
+};
+
+module.exports = {
+    registerRateLimitStore,
+    createRateLimitStore
+};
\ No newline at end of file
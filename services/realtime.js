@@ -0,0 +1,42 @@
+const { getPubSub } = require('./pubsub');
+
+const REALTIME_EVENTS = {
+    messageCreated: 'message.created'
+};
+
+// Message ids per published event, keeping rows of the mysql backend small
+const IDS_PER_EVENT = 500;
+
+const userChannel = (userId) => `user:${userId}`;
+
+/**
+ * Tell the user's connected clients about newly stored messages. Only ids are
+ * published; each subscriber loads and decrypts the messages itself.
+ *
+ * @param {number} userId
+ * @param {Array<number>} messageIds
+ */
+const publishMessagesCreated = async (userId, messageIds) => {
+    for (let i = 0; i < messageIds.length; i += IDS_PER_EVENT) {
+        await getPubSub().publish(userChannel(userId), {
+            event: REALTIME_EVENTS.messageCreated,
+            messageIds: messageIds.slice(i, i + IDS_PER_EVENT)
+        });
+    }
+};
+
+/**
+ * Receive the user's events, from any server process when a shared backend is
+ * configured.
+ *
+ * @param {number} userId
+ * @param {function({event: string, messageIds: Array<number>})} handler
+ * @returns {Promise<Function>} unsubscribe
+ */
+const subscribeToUserEvents = (userId, handler) => getPubSub().subscribe(userChannel(userId), handler);
+
+module.exports = {
+    REALTIME_EVENTS,
+    publishMessagesCreated,
+    subscribeToUserEvents
+};
\ No newline at end of file
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+const sessionError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user.id, email: user.email, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const issueTokens = (user, sessionId, refreshToken, expiresAt) => ({
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    tokenType: 'Bearer',
+    accessTokenExpiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshTokenExpiresAt: expiresAt
+});
+
+/**
+ * Open a session for a freshly authenticated user. Only the hash of the
+ * refresh token is stored.
+ *
+ * @param {{id: number, email: string}} user
+ * @param {object} [options]
+ * @param {string} [options.deviceInfo] - free-form client description, e.g. the User-Agent
+ * @param {number} [options.deviceId] - devices.id of the registered device
+ * @returns {Promise<object>} access token, refresh token and expiry details
+ */
+const createSession = async (user, { deviceInfo, deviceId } = {}) => {
+    const refreshToken = generateRefreshToken();
+    const expiresAt = refreshExpiry();
+
+    const [result] = await pool.execute(
+        'INSERT INTO user_sessions (user_id, device_id, token_hash, device_info, expires_at, last_used_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+        [user.id, deviceId || null, hashToken(refreshToken), deviceInfo || null, expiresAt]
+    );
+
+    return {
+        sessionId: result.insertId,
+        ...issueTokens(user, result.insertId, refreshToken, expiresAt)
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The old refresh
+ * token stops working; presenting it again is treated as theft and the whole
+ * session is revoked.
+ *
+ * @throws {Error} with code INVALID_REFRESH_TOKEN, REFRESH_TOKEN_REUSED or SESSION_EXPIRED
+ */
+const rotateSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [sessions] = await connection.execute(`
+            SELECT s.id, s.user_id, s.device_id, s.token_hash, s.expires_at, s.revoked_at, u.email
+            FROM user_sessions s
+            JOIN users u ON u.id = s.user_id
+            WHERE s.token_hash = ? OR s.previous_token_hash = ?
+            FOR UPDATE
+        `, [tokenHash, tokenHash]);
+
+        const session = sessions[0];
+        if (!session || session.revoked_at) {
+            throw sessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+        }
+
+        if (session.token_hash !== tokenHash) {
+            await connection.execute(
+                'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [session.id]
+            );
+            await connection.commit();
+            throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used; session revoked');
+        }
+
+        if (session.expires_at && new Date(session.expires_at) <= new Date()) {
+            throw sessionError('SESSION_EXPIRED', 'Session expired');
+        }
+
+        const newRefreshToken = generateRefreshToken();
+        const expiresAt = refreshExpiry();
+        await connection.execute(`
+            UPDATE user_sessions
+            SET previous_token_hash = token_hash, token_hash = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [hashToken(newRefreshToken), expiresAt, session.id]);
+
+        if (session.device_id) {
+            await connection.execute(
+                'UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [session.device_id]
+            );
+        }
+
+        await connection.commit();
+
+        const user = { id: session.user_id, email: session.email };
+        return {
+            sessionId: session.id,
+            ...issueTokens(user, session.id, newRefreshToken, expiresAt)
+        };
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const revokeSession = async (userId, sessionId) => {
+    const [result] = await pool.execute(
+        'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [sessionId, userId]
+    );
+    return result.affectedRows;
+};
+
+const revokeAllSessions = async (userId) => {
+    const [result] = await pool.execute(
+        'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
+    return result.affectedRows;
+};
+
+// Sign out everywhere except the session making the request
+const revokeOtherSessions = async (userId, keepSessionId) => {
+    const [result] = await pool.execute(
+        'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id <> ? AND revoked_at IS NULL',
+        [userId, keepSessionId]
+    );
+    return result.affectedRows;
+};
+
+module.exports = {
+    hashToken,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeOtherSessions
+};
\ No newline at end of file
@@ -0,0 +1,207 @@
+const zlib = require('zlib');
+const sax = require('sax');
+const { readLines } = require('../utils/ndjson');
+const { saveMessages } = require('./messageStore');
+
+// Messages saved per transaction while streaming
+const STREAM_BATCH_SIZE = 500;
+
+// Individual errors kept for the response; the rest are only counted
+const MAX_REPORTED_ERRORS = 1000;
+
+// Backups store MMS attachments as base64 `data` attributes on <part>, often far
+// beyond sax's MAX_BUFFER_LENGTH. Inside <mms> attributes may grow to this size;
+// the content is discarded, but sax still has to hold one attribute at a time.
+const MAX_MMS_ATTRIBUTE_LENGTH = 64 * 1024 * 1024;
+
+const isGzipped = (req) =>
+    /\bgzip\b/i.test(req.headers['content-encoding'] || '') || req.is('application/gzip') === 'application/gzip';
+
+const decodeBody = (req) => (isGzipped(req) ? req.pipe(zlib.createGunzip()) : req);
+
+/**
+ * Collect parsed messages and save them STREAM_BATCH_SIZE at a time,
+ * accumulating a saveMessages-shaped result across batches. `onInserted` is
+ * called with the ids inserted by each batch as soon as it is committed.
+ */
+const createBatchWriter = (userId, deviceId, onInserted) => {
+    const result = {
+        insertedCount: 0,
+        updatedCount: 0,
+        duplicateCount: 0,
+        erroredCount: 0,
+        errors: []
+    };
+    let batch = [];
+    let indexes = [];
+
+    const recordError = (error) => {
+        result.erroredCount++;
+        if (result.errors.length < MAX_REPORTED_ERRORS) {
+            result.errors.push(error);
+        }
+    };
+
+    const flush = async () => {
+        if (batch.length === 0) {
+            return;
+        }
+        const saved = await saveMessages(userId, batch, { indexes, deviceId, collectInsertedIds: Boolean(onInserted) });
+        batch = [];
+        indexes = [];
+
+        result.insertedCount += saved.insertedCount;
+        result.updatedCount += saved.updatedCount;
+        result.duplicateCount += saved.duplicateCount;
+        saved.errors.forEach(recordError);
+
+        if (onInserted && saved.insertedIds.length > 0) {
+            onInserted(saved.insertedIds);
+        }
+    };
+
+    return {
+        result,
+        recordError,
+        flush,
+        isFull: () => batch.length >= STREAM_BATCH_SIZE,
+        add: (msg, index) => {
+            batch.push(msg);
+            indexes.push(index);
+        }
+    };
+};
+
+/**
+ * Read newline-delimited JSON messages from the request (optionally gzip
+ * compressed) and save them in batches as they arrive. Each line is one
+ * message in the same shape POST /api/sms/messages accepts; blank lines are
+ * ignored. Error indexes are zero-based line numbers.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.onInserted] - called with the ids inserted by each saved batch
+ * @returns {Promise<{totalMessages: number, result: object}>}
+ */
+const importNdjsonStream = async (userId, req, { onInserted } = {}) => {
+    const writer = createBatchWriter(userId, req.deviceId, onInserted);
+    let lineNumber = 0;
+    let totalMessages = 0;
+
+    for await (const line of readLines(decodeBody(req))) {
+        const index = lineNumber++;
+        if (!line.trim()) {
+            continue;
+        }
+        totalMessages++;
+
+        let msg;
+        try {
+            msg = JSON.parse(line);
+        } catch (parseError) {
+            writer.recordError({ index, message: line.substring(0, 50), error: 'Invalid JSON', details: parseError.message });
+            continue;
+        }
+
+        writer.add(msg, index);
+        if (writer.isFull()) {
+            await writer.flush();
+        }
+    }
+
+    await writer.flush();
+
+    return { totalMessages, result: writer.result };
+};
+
+// Map an SMS Backup & Restore <sms> element to the client message shape
+const fromBackupSms = (attributes) => ({
+    address: attributes.address,
+    body: attributes.body,
+    date: attributes.date,
+    type: attributes.type,
+    contactName: attributes.contact_name && attributes.contact_name !== '(Unknown)' ? attributes.contact_name : null,
+    dateFormatted: attributes.readable_date || null,
+    read: attributes.read !== undefined ? attributes.read === '1' : undefined
+});
+
+/**
+ * Import an Android "SMS Backup & Restore" XML file (optionally gzip
+ * compressed), saving <sms> elements in batches as they are parsed.
+ * <mms> elements are not supported and are skipped, however large their
+ * attachment parts (up to MAX_MMS_ATTRIBUTE_LENGTH). Error indexes are the
+ * zero-based position of the <sms> element in the file.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.onInserted] - called with the ids inserted by each saved batch
+ * @returns {Promise<{totalMessages: number, skippedElements: number, result: object}>}
+ */
+const importBackupXmlStream = async (userId, req, { onInserted } = {}) => {
+    const writer = createBatchWriter(userId, req.deviceId, onInserted);
+    const parser = sax.parser(true, { trim: false, normalize: false });
+    let totalMessages = 0;
+    let skippedElements = 0;
+    let mmsDepth = 0;
+    let parseError = null;
+
+    // sax checks its buffers against MAX_BUFFER_LENGTH whenever the parser passes
+    // bufferCheckPosition; inside <mms> that check is held off and the attribute
+    // being read is limited to MAX_MMS_ATTRIBUTE_LENGTH below instead
+    parser.onopentag = (node) => {
+        if (node.name === 'sms') {
+            writer.add(fromBackupSms(node.attributes), totalMessages++);
+        } else if (node.name === 'mms') {
+            if (mmsDepth++ === 0) {
+                skippedElements++;
+                parser.bufferCheckPosition = Infinity;
+            }
+        }
+    };
+    parser.onclosetag = (name) => {
+        if (name === 'mms' && mmsDepth > 0 && --mmsDepth === 0) {
+            parser.bufferCheckPosition = parser.position;
+        }
+    };
+    parser.onerror = (error) => {
+        parseError = error;
+    };
+
+    const source = decodeBody(req);
+    source.setEncoding('utf8');
+
+    // Feed the parser one chunk at a time and save between chunks to bound memory
+    for await (const chunk of source) {
+        parser.write(chunk);
+        if (!parseError && mmsDepth > 0 && parser.attribValue.length > MAX_MMS_ATTRIBUTE_LENGTH) {
+            parseError = new Error(`MMS attribute longer than ${MAX_MMS_ATTRIBUTE_LENGTH} characters`);
+        }
+        if (parseError) {
+            break;
+        }
+        if (writer.isFull()) {
+            await writer.flush();
+        }
+    }
+
+    if (!parseError) {
+        parser.close();
+    }
+
+    if (parseError) {
+        const error = new Error(`Invalid XML: ${parseError.message.split('\n')[0]}`);
+        error.code = 'INVALID_XML';
+        // Keep what was saved before the malformed part so the client can report it
+        await writer.flush();
+        error.totalMessages = totalMessages;
+        error.result = writer.result;
+        throw error;
+    }
+
+    await writer.flush();
+
+    return { totalMessages, skippedElements, result: writer.result };
+};
+
+module.exports = {
+    importNdjsonStream,
+    importBackupXmlStream
+};
\ No newline at end of file
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { saveMessages } = require('./messageStore');
+
+const generateSyncToken = () => crypto.randomBytes(24).toString('hex');
+
+const formatDeviceState = (row) => ({
+    deviceId: row.device_id,
+    syncToken: row.sync_token,
+    lastMessageDate: row.last_message_date,
+    lastSyncedAt: row.last_synced_at
+});
+
+/**
+ * Newest stored message date for the user plus the watermark of every device
+ * that has synced.
+ */
+const getSyncState = async (userId, deviceId) => {
+    const params = [userId];
+    let deviceClause = '';
+    if (deviceId) {
+        deviceClause = 'AND device_id = ?';
+        params.push(deviceId);
+    }
+
+    const [devices] = await pool.execute(`
+        SELECT device_id, sync_token, last_message_date, last_synced_at
+        FROM sync_state
+        WHERE user_id = ? ${deviceClause}
+        ORDER BY last_synced_at DESC
+    `, params);
+
+    // Served from idx_user_date
+    const [latest] = await pool.execute(
+        'SELECT MAX(date) AS latest_date FROM sms_messages WHERE user_id = ?',
+        [userId]
+    );
+
+    return {
+        latestMessageDate: latest[0].latest_date,
+        devices: devices.map(formatDeviceState)
+    };
+};
+
+/**
+ * Apply a delta upload from one device.
+ *
+ * The client sends back the token from its previous sync; a mismatch means
+ * another upload from the same device got there first, so the client must
+ * re-read the state. Messages older than the device watermark are skipped.
+ * The watermark never advances past a message that failed to save.
+ *
+ * `deviceId` is the client's sync identifier; `sourceDeviceId` is the
+ * registered devices.id recorded on inserted rows. `result.insertedIds` lists
+ * the rows this upload added.
+ *
+ * @throws {Error} with code 'SYNC_TOKEN_MISMATCH' and the current `state`
+ */
+const applySync = async (userId, { deviceId, syncToken, messages, sourceDeviceId }) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.execute(
+            'SELECT device_id, sync_token, last_message_date, last_synced_at FROM sync_state WHERE user_id = ? AND device_id = ? FOR UPDATE',
+            [userId, deviceId]
+        );
+        const current = rows[0];
+
+        if ((current && current.sync_token !== syncToken) || (!current && syncToken)) {
+            const error = new Error('Sync token does not match the latest sync for this device');
+            error.code = 'SYNC_TOKEN_MISMATCH';
+            error.state = current ? formatDeviceState(current) : null;
+            throw error;
+        }
+
+        const watermark = current ? Number(current.last_message_date) : null;
+        const delta = [];
+        const originalIndexes = [];
+        messages.forEach((msg, i) => {
+            if (watermark === null || Number(msg.date) >= watermark) {
+                delta.push(msg);
+                originalIndexes.push(i);
+            }
+        });
+
+        // Errors are reported against the client's original positions
+        const result = await saveMessages(userId, delta, { connection, indexes: originalIndexes, deviceId: sourceDeviceId, collectInsertedIds: true });
+        const failed = new Set(result.errors.map(error => error.index));
+
+        let newWatermark = watermark || 0;
+        let firstFailedDate = Infinity;
+        delta.forEach((msg, i) => {
+            const date = Number(msg.date);
+            if (failed.has(originalIndexes[i])) {
+                firstFailedDate = Math.min(firstFailedDate, date);
+            } else {
+                newWatermark = Math.max(newWatermark, date);
+            }
+        });
+        if (firstFailedDate !== Infinity) {
+            newWatermark = Math.max(watermark || 0, Math.min(newWatermark, firstFailedDate - 1));
+        }
+
+        const newToken = generateSyncToken();
+        await connection.execute(`
+            INSERT INTO sync_state (user_id, device_id, sync_token, last_message_date, last_synced_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON DUPLICATE KEY UPDATE
+                sync_token = VALUES(sync_token),
+                last_message_date = VALUES(last_message_date),
+                last_synced_at = CURRENT_TIMESTAMP
+        `, [userId, deviceId, newToken, newWatermark]);
+
+        await connection.commit();
+
+        return {
+            result,
+            sync: {
+                deviceId,
+                syncToken: newToken,
+                previousMessageDate: watermark,
+                lastMessageDate: newWatermark,
+                receivedMessages: messages.length,
+                acceptedMessages: delta.length,
+                skippedMessages: messages.length - delta.length
+            }
+        };
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = {
+    getSyncState,
+    applySync
+};
\ No newline at end of file
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { hashToken } = require('./sessions');
+const { getUserKeys, decryptValue } = require('./messageCrypto');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const ISSUER = process.env.TOTP_ISSUER || 'SMS Reader';
+
+// Secrets are encrypted with the user's data key; totp_key_version NULL means plaintext
+const SECRET_CONTEXT = 'users.totp_secret';
+
+// Recovery codes look like "a1b2c-3d4e5"; compare them without the dash or case
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCode = () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+const getTwoFactorState = async (userId, connection = pool) => {
+    const [users] = await connection.execute(
+        'SELECT id, email, totp_secret, totp_key_version, totp_enabled_at, totp_last_used_step FROM users WHERE id = ?',
+        [userId]
+    );
+    return users[0] || null;
+};
+
+/**
+ * Start enrollment: store a new secret (not yet active) and return it with
+ * the otpauth:// URI for QR codes. Calling it again replaces the pending secret.
+ */
+const beginEnrollment = async (user) => {
+    const secret = generateSecret();
+    const keys = await getUserKeys(user.id);
+    await pool.execute(
+        'UPDATE users SET totp_secret = ?, totp_key_version = ?, totp_last_used_step = NULL WHERE id = ? AND totp_enabled_at IS NULL',
+        [keys.encrypt(secret, SECRET_CONTEXT), keys.version, user.id]
+    );
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email, ISSUER)
+    };
+};
+
+/**
+ * Replace the user's recovery codes. The plain codes are returned once and
+ * only their hashes are kept.
+ */
+const regenerateRecoveryCodes = async (userId, connection = pool) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await connection.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    await connection.query(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ?',
+        [codes.map(code => [userId, hashToken(normalizeRecoveryCode(code))])]
+    );
+
+    return codes;
+};
+
+/**
+ * Check a TOTP code for the user and remember its time step so it can't be
+ * used twice.
+ */
+const verifyTotp = async (userId, code) => {
+    const state = await getTwoFactorState(userId);
+    if (!state || !state.totp_secret) {
+        return false;
+    }
+
+    const keys = await getUserKeys(userId);
+    const secret = decryptValue(keys, state.totp_secret, state.totp_key_version, SECRET_CONTEXT);
+    const step = verifyCode(secret, code, {
+        lastUsedStep: state.totp_last_used_step !== null ? Number(state.totp_last_used_step) : null
+    });
+    if (step === null) {
+        return false;
+    }
+
+    // Guard against a concurrent request using the same code
+    const [result] = await pool.execute(
+        'UPDATE users SET totp_last_used_step = ? WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)',
+        [step, userId, step]
+    );
+    return result.affectedRows === 1;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+    const [result] = await pool.execute(
+        'UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+    return result.affectedRows === 1;
+};
+
+// Accept either an authenticator code or an unused recovery code
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    if (code) {
+        return verifyTotp(userId, code);
+    }
+    if (recoveryCode) {
+        return consumeRecoveryCode(userId, recoveryCode);
+    }
+    return false;
+};
+
+/**
+ * Turn on 2FA once the user proves their authenticator works.
+ *
+ * @returns {Promise<string[]|null>} fresh recovery codes, or null if the code was wrong
+ */
+const enableTwoFactor = async (userId, code) => {
+    if (!(await verifyTotp(userId, code))) {
+        return null;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.execute(
+            'UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [userId]
+        );
+        const codes = await regenerateRecoveryCodes(userId, connection);
+        await connection.commit();
+        return codes;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const disableTwoFactor = async (userId) => {
+    await pool.execute(
+        'UPDATE users SET totp_secret = NULL, totp_key_version = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL WHERE id = ?',
+        [userId]
+    );
+    await pool.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+};
+
+/**
+ * Encrypt a secret stored in plaintext before secrets were encrypted.
+ *
+ * @returns {Promise<boolean>} whether there was one to encrypt
+ */
+const encryptStoredSecret = async (userId) => {
+    const state = await getTwoFactorState(userId);
+    if (!state || !state.totp_secret || state.totp_key_version !== null) {
+        return false;
+    }
+
+    const keys = await getUserKeys(userId);
+    const [result] = await pool.execute(
+        'UPDATE users SET totp_secret = ?, totp_key_version = ? WHERE id = ? AND totp_secret = ? AND totp_key_version IS NULL',
+        [keys.encrypt(state.totp_secret, SECRET_CONTEXT), keys.version, userId, state.totp_secret]
+    );
+    return result.affectedRows === 1;
+};
+
+const countRemainingRecoveryCodes = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    return rows[0].remaining;
+};
+
+/**
+ * Short-lived token proving the password step of a login succeeded. It has no
+ * sessionId, so authenticateToken never accepts it as an access token.
+ */
+const signChallengeToken = (userId) => jwt.sign(
+    { userId, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+// Returns the user ID, or null if the token is invalid or expired
+const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === '2fa_challenge' ? decoded.userId : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    getTwoFactorState,
+    beginEnrollment,
+    enableTwoFactor,
+    disableTwoFactor,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    encryptStoredSecret,
+    countRemainingRecoveryCodes,
+    signChallengeToken,
+    verifyChallengeToken
+};
\ No newline at end of file
@@ -0,0 +1,621 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+// undici's own fetch, so deliveries can go through the Agent below
+const { Agent, fetch } = require('undici');
+const { pool } = require('../config/database');
+const { getThreadKey } = require('../utils/phone');
+const { getUserKeys, decryptMessage } = require('./messageCrypto');
+const { CONTACT_COLUMNS, joinContacts } = require('./contacts');
+
+/**
+ * Webhook subscriptions and their delivery worker.
+ *
+ * New messages are queued as rows in webhook_deliveries (payload encrypted
+ * with the owner's data key) and POSTed by a worker that polls the table, so
+ * deliveries survive restarts and can run on several servers at once: each
+ * batch is claimed with a short lease before it is sent.
+ *
+ * Every request carries `X-Webhook-Signature: t=<unix seconds>,v1=<hex>`,
+ * the HMAC-SHA256 of "<t>.<raw body>" keyed with the webhook's secret.
+ */
+const WEBHOOK_EVENTS = {
+    messageCreated: 'message.created'
+};
+
+const DELIVERY_STATUS = {
+    pending: 'pending',
+    succeeded: 'succeeded',
+    failed: 'failed'
+};
+
+const MAX_WEBHOOKS_PER_USER = 10;
+
+// Retries back off exponentially from 30s, capped at 6h: 8 attempts span about 1h
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// A claimed batch is retried by any worker once its lease runs out (e.g. the server died mid-send)
+const CLAIM_LEASE_SECONDS = 120;
+const WORKER_BATCH_SIZE = 20;
+const WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS, 10) || 5000;
+
+// Rows per multi-row INSERT when queueing deliveries
+const QUEUE_BATCH_SIZE = 500;
+
+// Finished deliveries (and their attempt log) are kept this long for inspection and replay
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+const PURGE_BATCH_SIZE = 5000;
+
+// Local development only: allow http:// and private network targets
+const ALLOW_INSECURE_URLS = process.env.WEBHOOK_ALLOW_INSECURE_URLS === 'true';
+
+const webhookError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const blockedAddressError = () => webhookError('INVALID_WEBHOOK_URL', 'Webhook URL must point to a public address');
+
+/**
+ * dns.lookup for outgoing deliveries that fails if any address it resolves is
+ * blocked. The connection uses exactly the addresses checked here, so a host
+ * that answers differently on a second lookup (DNS rebinding) can't slip past
+ * assertDeliverableUrl.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!ALLOW_INSECURE_URLS && addresses.some(entry => isBlockedAddress(entry.address))) {
+            callback(blockedAddressError());
+            return;
+        }
+        callback(null, address, family);
+    });
+};
+
+// Deliveries connect only to addresses that lookupPublicAddress accepted
+const deliveryAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Reject URLs that would let a user make the server call into its own
+ * network, with a clear error when a webhook is saved and before each
+ * delivery. IP literals are only checked here (they need no lookup); host
+ * names are checked again on connect by lookupPublicAddress.
+ *
+ * @throws {Error} with code INVALID_WEBHOOK_URL
+ */
+const assertDeliverableUrl = async (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw webhookError('INVALID_WEBHOOK_URL', 'Webhook URL is not a valid URL');
+    }
+
+    if (url.protocol !== 'https:' && !(ALLOW_INSECURE_URLS && url.protocol === 'http:')) {
+        throw webhookError('INVALID_WEBHOOK_URL', 'Webhook URL must use https');
+    }
+    if (url.username || url.password) {
+        throw webhookError('INVALID_WEBHOOK_URL', 'Webhook URL must not contain credentials');
+    }
+    if (ALLOW_INSECURE_URLS) {
+        return url;
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch {
+        throw webhookError('INVALID_WEBHOOK_URL', `Webhook host ${host} could not be resolved`);
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw blockedAddressError();
+    }
+
+    return url;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const signPayload = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// A queued payload only decrypts as the delivery of that message to that webhook
+const payloadContext = (webhookId, messageId) => `webhook_deliveries.payload:${webhookId}:${messageId}`;
+
+const WEBHOOK_COLUMNS = 'id, url, filter_address, filter_type, filter_keyword, filter_category, is_active, created_at, updated_at';
+
+const formatWebhook = (row) => ({
+    id: row.id,
+    url: row.url,
+    filters: {
+        address: row.filter_address,
+        type: row.filter_type,
+        keyword: row.filter_keyword,
+        category: row.filter_category
+    },
+    active: row.is_active === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const listWebhooks = async (userId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE user_id = ? ORDER BY id`,
+        [userId]
+    );
+    return rows.map(formatWebhook);
+};
+
+const getWebhook = async (userId, webhookId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ? AND user_id = ?`,
+        [webhookId, userId]
+    );
+    return rows.length > 0 ? formatWebhook(rows[0]) : null;
+};
+
+// Address filters match any formatting of the number, like conversations do
+const filterColumns = (filters = {}) => [
+    filters.address ? getThreadKey(filters.address) : null,
+    filters.type !== undefined && filters.type !== null ? filters.type : null,
+    filters.keyword || null,
+    filters.category || null
+];
+
+/**
+ * Subscribe a URL to the user's new messages. The signing secret is
+ * generated unless one is given, and only returned here and by rotateSecret.
+ *
+ * @param {number} userId
+ * @param {{url: string, secret?: string, filters?: {address?: string, type?: number, keyword?: string, category?: string}, active?: boolean}} webhook
+ * @throws {Error} with code WEBHOOK_LIMIT or INVALID_WEBHOOK_URL
+ */
+const createWebhook = async (userId, { url, secret, filters, active = true }) => {
+    const [counts] = await pool.execute('SELECT COUNT(*) AS count FROM webhooks WHERE user_id = ?', [userId]);
+    if (counts[0].count >= MAX_WEBHOOKS_PER_USER) {
+        throw webhookError('WEBHOOK_LIMIT', `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+    }
+    await assertDeliverableUrl(url);
+
+    const keys = await getUserKeys(userId);
+    const signingSecret = secret || generateSecret();
+    const [result] = await pool.execute(`
+        INSERT INTO webhooks (user_id, url, secret, filter_address, filter_type, filter_keyword, filter_category, is_active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [userId, url, keys.encrypt(signingSecret, 'webhooks.secret'), ...filterColumns(filters), active ? 1 : 0]);
+
+    return { ...(await getWebhook(userId, result.insertId)), secret: signingSecret };
+};
+
+/**
+ * Replace a webhook's URL, filters and active flag (the secret is kept).
+ * Returns null if the user has no such webhook.
+ *
+ * @throws {Error} with code INVALID_WEBHOOK_URL
+ */
+const updateWebhook = async (userId, webhookId, { url, filters, active = true }) => {
+    await assertDeliverableUrl(url);
+
+    const [result] = await pool.execute(`
+        UPDATE webhooks
+        SET url = ?, filter_address = ?, filter_type = ?, filter_keyword = ?, filter_category = ?, is_active = ?
+        WHERE id = ? AND user_id = ?
+    `, [url, ...filterColumns(filters), active ? 1 : 0, webhookId, userId]);
+
+    return result.affectedRows > 0 ? getWebhook(userId, webhookId) : null;
+};
+
+// New secret for a webhook; returns null if the user has no such webhook
+const rotateSecret = async (userId, webhookId) => {
+    const keys = await getUserKeys(userId);
+    const secret = generateSecret();
+    const [result] = await pool.execute(
+        'UPDATE webhooks SET secret = ? WHERE id = ? AND user_id = ?',
+        [keys.encrypt(secret, 'webhooks.secret'), webhookId, userId]
+    );
+    return result.affectedRows > 0 ? { ...(await getWebhook(userId, webhookId)), secret } : null;
+};
+
+// Deliveries and their log go with the FK cascade
+const deleteWebhook = async (userId, webhookId) => {
+    const [result] = await pool.execute('DELETE FROM webhooks WHERE id = ? AND user_id = ?', [webhookId, userId]);
+    return result.affectedRows;
+};
+
+const matchesFilters = (webhook, message) =>
+    (!webhook.filter_address || getThreadKey(message.address) === webhook.filter_address) &&
+    (webhook.filter_type === null || Number(message.type) === webhook.filter_type) &&
+    (!webhook.filter_category || message.category === webhook.filter_category) &&
+    (!webhook.filter_keyword || String(message.body || '').toLowerCase().includes(webhook.filter_keyword.toLowerCase()));
+
+let workerRunning = false;
+let workerTimer = null;
+
+/**
+ * Queue `message.created` deliveries for newly inserted messages, for every
+ * active webhook whose filters match. Call after the messages are committed.
+ *
+ * @param {number} userId
+ * @param {Array<number>} messageIds - ids of the inserted sms_messages rows
+ * @returns {Promise<number>} number of queued deliveries
+ */
+const queueMessagesCreated = async (userId, messageIds) => {
+    if (messageIds.length === 0) {
+        return 0;
+    }
+
+    const [webhooks] = await pool.execute(
+        'SELECT id, filter_address, filter_type, filter_keyword, filter_category FROM webhooks WHERE user_id = ? AND is_active = 1',
+        [userId]
+    );
+    if (webhooks.length === 0) {
+        return 0;
+    }
+
+    const keys = await getUserKeys(userId);
+    const [rows] = await pool.query(`
+        SELECT id, device_id, address, body, body_hash, date, type, contact_name, date_formatted, is_read, category, key_version, ${CONTACT_COLUMNS}
+        FROM sms_messages ${joinContacts()}
+        WHERE user_id = ? AND id IN (?)
+        ORDER BY date, id
+    `, [userId, messageIds]);
+    const messages = rows.map(row => decryptMessage(keys, row));
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+        for (const message of messages) {
+            if (matchesFilters(webhook, message)) {
+                deliveries.push([
+                    webhook.id,
+                    userId,
+                    WEBHOOK_EVENTS.messageCreated,
+                    message.id,
+                    keys.encrypt(JSON.stringify({ message }), payloadContext(webhook.id, message.id)),
+                    DELIVERY_STATUS.pending
+                ]);
+            }
+        }
+    }
+
+    for (let i = 0; i < deliveries.length; i += QUEUE_BATCH_SIZE) {
+        await pool.query(
+            'INSERT INTO webhook_deliveries (webhook_id, user_id, event, message_id, payload, status) VALUES ?',
+            [deliveries.slice(i, i + QUEUE_BATCH_SIZE)]
+        );
+    }
+
+    if (deliveries.length > 0) {
+        setImmediate(runWebhookWorker);
+    }
+    return deliveries.length;
+};
+
+const retryDelaySeconds = (attemptCount) => {
+    const delay = Math.min(RETRY_BASE_SECONDS * 2 ** (attemptCount - 1), MAX_RETRY_SECONDS);
+    // ±20% jitter so a receiver coming back up isn't hit by every retry at once
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const describeDeliveryError = (error) => {
+    if (error.code === 'INVALID_WEBHOOK_URL') {
+        return error.message;
+    }
+    if (error.cause && error.cause.code === 'INVALID_WEBHOOK_URL') {
+        return error.cause.message;
+    }
+    if (error.name === 'TimeoutError') {
+        return `No response within ${DELIVERY_TIMEOUT_MS / 1000}s`;
+    }
+    const cause = error.cause && (error.cause.code || error.cause.message);
+    return String(cause || error.message || 'Request failed').slice(0, 255);
+};
+
+// POST one claimed delivery and record the attempt and the delivery's next state
+const attemptDelivery = async (delivery, claimToken) => {
+    let statusCode = null;
+    let error = null;
+    const started = Date.now();
+
+    if (!delivery.is_active) {
+        error = 'Webhook is disabled';
+    } else {
+        try {
+            const keys = await getUserKeys(delivery.user_id);
+            const body = JSON.stringify({
+                id: delivery.id,
+                event: delivery.event,
+                createdAt: new Date(delivery.created_at).toISOString(),
+                data: JSON.parse(keys.decrypt(delivery.payload, payloadContext(delivery.webhook_id, delivery.message_id)))
+            });
+            const timestamp = Math.floor(Date.now() / 1000);
+            const url = await assertDeliverableUrl(delivery.url);
+
+            // Redirects aren't followed: they could point anywhere, including the internal network
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'SMS-Reader-Webhooks/1.0',
+                    'X-Webhook-Id': String(delivery.id),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(keys.decrypt(delivery.secret, 'webhooks.secret'), timestamp, body)}`
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+                dispatcher: deliveryAgent
+            });
+            statusCode = response.status;
+            if (response.body) {
+                await response.body.cancel();
+            }
+            if (statusCode < 200 || statusCode >= 300) {
+                error = `Receiver responded with HTTP ${statusCode}`;
+            }
+        } catch (requestError) {
+            error = describeDeliveryError(requestError);
+        }
+    }
+
+    await pool.execute(
+        'INSERT INTO webhook_delivery_attempts (delivery_id, status_code, error, duration_ms) VALUES (?, ?, ?, ?)',
+        [delivery.id, statusCode, error, Date.now() - started]
+    );
+
+    const attemptCount = delivery.attempt_count + 1;
+    if (!error) {
+        await pool.execute(`
+            UPDATE webhook_deliveries
+            SET status = ?, attempt_count = ?, last_status_code = ?, last_error = NULL,
+                next_attempt_at = NULL, claim_token = NULL, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND claim_token = ?
+        `, [DELIVERY_STATUS.succeeded, attemptCount, statusCode, delivery.id, claimToken]);
+    } else if (attemptCount >= MAX_DELIVERY_ATTEMPTS || !delivery.is_active) {
+        await pool.execute(`
+            UPDATE webhook_deliveries
+            SET status = ?, attempt_count = ?, last_status_code = ?, last_error = ?,
+                next_attempt_at = NULL, claim_token = NULL, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND claim_token = ?
+        `, [DELIVERY_STATUS.failed, attemptCount, statusCode, error, delivery.id, claimToken]);
+    } else {
+        await pool.execute(`
+            UPDATE webhook_deliveries
+            SET attempt_count = ?, last_status_code = ?, last_error = ?,
+                next_attempt_at = CURRENT_TIMESTAMP(3) + INTERVAL ? SECOND, claim_token = NULL
+            WHERE id = ? AND claim_token = ?
+        `, [attemptCount, statusCode, error, retryDelaySeconds(attemptCount), delivery.id, claimToken]);
+    }
+};
+
+/**
+ * Claim and send one batch of due deliveries.
+ *
+ * @returns {Promise<number>} number of deliveries attempted
+ */
+const processDueDeliveries = async () => {
+    const claimToken = crypto.randomUUID();
+    const [claimed] = await pool.execute(`
+        UPDATE webhook_deliveries
+        SET claim_token = ?, next_attempt_at = CURRENT_TIMESTAMP(3) + INTERVAL ${CLAIM_LEASE_SECONDS} SECOND
+        WHERE status = ? AND next_attempt_at <= CURRENT_TIMESTAMP(3)
+        ORDER BY next_attempt_at
+        LIMIT ${WORKER_BATCH_SIZE}
+    `, [claimToken, DELIVERY_STATUS.pending]);
+    if (claimed.affectedRows === 0) {
+        return 0;
+    }
+
+    const [deliveries] = await pool.execute(`
+        SELECT d.id, d.webhook_id, d.user_id, d.event, d.message_id, d.payload, d.attempt_count, d.created_at, w.url, w.secret, w.is_active
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.claim_token = ?
+        ORDER BY d.id
+    `, [claimToken]);
+
+    for (const delivery of deliveries) {
+        try {
+            await attemptDelivery(delivery, claimToken);
+        } catch (error) {
+            // Left claimed; it is retried when the lease runs out
+            console.error(`Webhook delivery ${delivery.id} could not be processed:`, error);
+        }
+    }
+    return deliveries.length;
+};
+
+// Drain everything that is due; overlapping runs in one process are skipped
+const runWebhookWorker = async () => {
+    if (workerRunning) {
+        return;
+    }
+    workerRunning = true;
+    try {
+        while ((await processDueDeliveries()) === WORKER_BATCH_SIZE) {
+            // keep going while full batches come back
+        }
+    } catch (error) {
+        console.error('Webhook worker failed:', error);
+    } finally {
+        workerRunning = false;
+    }
+};
+
+// Poll for due deliveries (retries, and deliveries queued by other servers). Call once at startup.
+const startWebhookWorker = () => {
+    if (!workerTimer) {
+        workerTimer = setInterval(runWebhookWorker, WORKER_INTERVAL_MS);
+        workerTimer.unref();
+    }
+};
+
+const DELIVERY_COLUMNS = 'id, event, message_id, status, attempt_count, next_attempt_at, last_status_code, last_error, created_at, completed_at';
+
+const formatDelivery = (row) => ({
+    id: row.id,
+    event: row.event,
+    messageId: row.message_id,
+    status: row.status,
+    attemptCount: row.attempt_count,
+    nextAttemptAt: row.status === DELIVERY_STATUS.pending ? row.next_attempt_at : null,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+});
+
+/**
+ * A webhook's deliveries, newest first. Page with `beforeId` (the last id of
+ * the previous page).
+ *
+ * @returns {Promise<{deliveries: Array<object>, hasMore: boolean}>}
+ */
+const listDeliveries = async (userId, webhookId, { status, limit, beforeId }) => {
+    const clauses = ['webhook_id = ?', 'user_id = ?'];
+    const params = [webhookId, userId];
+    if (status) {
+        clauses.push('status = ?');
+        params.push(status);
+    }
+    if (beforeId) {
+        clauses.push('id < ?');
+        params.push(beforeId);
+    }
+
+    const [rows] = await pool.execute(`
+        SELECT ${DELIVERY_COLUMNS}
+        FROM webhook_deliveries
+        WHERE ${clauses.join(' AND ')}
+        ORDER BY id DESC
+        LIMIT ${limit + 1}
+    `, params);
+
+    return {
+        deliveries: rows.slice(0, limit).map(formatDelivery),
+        hasMore: rows.length > limit
+    };
+};
+
+// One delivery with its attempt log, or null
+const getDelivery = async (userId, webhookId, deliveryId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = ? AND webhook_id = ? AND user_id = ?`,
+        [deliveryId, webhookId, userId]
+    );
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const [attempts] = await pool.execute(
+        'SELECT status_code, error, duration_ms, created_at FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY id',
+        [deliveryId]
+    );
+    return {
+        ...formatDelivery(rows[0]),
+        attempts: attempts.map(attempt => ({
+            statusCode: attempt.status_code,
+            error: attempt.error,
+            durationMs: attempt.duration_ms,
+            createdAt: attempt.created_at
+        }))
+    };
+};
+
+// Send failed deliveries again with a fresh set of attempts; `deliveryId` limits it to one
+const requeueFailed = async (userId, webhookId, deliveryId = null) => {
+    const [result] = await pool.execute(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempt_count = 0, next_attempt_at = CURRENT_TIMESTAMP(3), completed_at = NULL
+        WHERE webhook_id = ? AND user_id = ? AND status = ? ${deliveryId ? 'AND id = ?' : ''}
+    `, [DELIVERY_STATUS.pending, webhookId, userId, DELIVERY_STATUS.failed, ...(deliveryId ? [deliveryId] : [])]);
+
+    if (result.affectedRows > 0) {
+        setImmediate(runWebhookWorker);
+    }
+    return result.affectedRows;
+};
+
+/**
+ * Replay one failed delivery.
+ *
+ * @throws {Error} with code DELIVERY_NOT_FOUND or DELIVERY_NOT_FAILED
+ */
+const replayDelivery = async (userId, webhookId, deliveryId) => {
+    const delivery = await getDelivery(userId, webhookId, deliveryId);
+    if (!delivery) {
+        throw webhookError('DELIVERY_NOT_FOUND', 'Webhook delivery not found');
+    }
+    if (delivery.status !== DELIVERY_STATUS.failed || (await requeueFailed(userId, webhookId, deliveryId)) === 0) {
+        throw webhookError('DELIVERY_NOT_FAILED', 'Only failed deliveries can be replayed');
+    }
+    return getDelivery(userId, webhookId, deliveryId);
+};
+
+// Replay every failed delivery of a webhook; returns how many were queued
+const replayFailedDeliveries = (userId, webhookId) => requeueFailed(userId, webhookId);
+
+/**
+ * Delete finished deliveries older than DELIVERY_RETENTION_DAYS.
+ *
+ * @returns {Promise<number>} number of deleted deliveries
+ */
+const purgeOldWebhookDeliveries = async () => {
+    let deleted = 0;
+
+    for (;;) {
+        const [result] = await pool.execute(`
+            DELETE FROM webhook_deliveries
+            WHERE status <> ? AND created_at < CURRENT_TIMESTAMP - INTERVAL ? DAY
+            LIMIT ${PURGE_BATCH_SIZE}
+        `, [DELIVERY_STATUS.pending, DELIVERY_RETENTION_DAYS]);
+        deleted += result.affectedRows;
+
+        if (result.affectedRows < PURGE_BATCH_SIZE) {
+            return deleted;
+        }
+    }
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUS,
+    MAX_WEBHOOKS_PER_USER,
+    assertDeliverableUrl,
+    lookupPublicAddress,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    rotateSecret,
+    deleteWebhook,
+    queueMessagesCreated,
+    startWebhookWorker,
+    listDeliveries,
+    getDelivery,
+    replayDelivery,
+    replayFailedDeliveries,
+    purgeOldWebhookDeliveries
+};
\ No newline at end of file
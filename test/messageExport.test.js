@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough, Readable } = require('stream');
+const sax = require('sax');
+
+// Two stored messages: an SMS and a picture MMS to a group, already decrypted
+const rows = [
+    { id: 1, address: '+15550001', body: 'Hi & bye', date: 1700000000000, type: 1, contact_name: 'Ann', date_formatted: null, is_read: 1, is_starred: 0, is_archived: 0, category: null, kind: 'sms' },
+    { id: 2, address: '+15550001', body: 'Look', date: 1700000000500, type: 1, contact_name: null, date_formatted: null, is_read: 0, is_starred: 0, is_archived: 0, category: null, kind: 'mms' }
+];
+const image = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+
+require.cache[require.resolve('../config/database')] = {
+    exports: {
+        pool: {
+            execute: async (sql) => (sql.includes('COUNT(*)') ? [[{ count: rows.length }]] : [rows.map(row => ({ ...row }))])
+        }
+    }
+};
+require.cache[require.resolve('../services/messageCrypto')] = {
+    exports: {
+        getUserKeys: async () => ({}),
+        decryptMessage: (keys, row) => row
+    }
+};
+require.cache[require.resolve('../services/mms')] = {
+    exports: {
+        MESSAGE_KINDS: { sms: 'sms', mms: 'mms' },
+        attachMmsDetails: async (userId, keys, messages) => {
+            for (const message of messages.filter(m => m.kind === 'mms')) {
+                message.addresses = ['+15550001', '+15550002'];
+                message.attachments = [{ id: 7, fileName: 'cat.jpg', mimeType: 'image/jpeg' }];
+            }
+            return messages;
+        },
+        // Chunks that don't line up with base64's 3-byte groups
+        getAttachmentContent: async () => ({
+            stream: Readable.from([image.subarray(0, 100), image.subarray(100, 101), image.subarray(101)])
+        })
+    }
+};
+
+const { exportMessages } = require('../services/messageExport');
+
+const exportXml = async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const written = await exportMessages(1, {}, 'xml', output);
+    return { written, xml: Buffer.concat(chunks).toString('utf8') };
+};
+
+// Elements of the document with their attributes, in document order
+const parseElements = (xml) => {
+    const elements = [];
+    const parser = sax.parser(true);
+    parser.onopentag = (node) => elements.push({ name: node.name, attributes: node.attributes });
+    parser.onerror = (error) => {
+        throw error;
+    };
+    parser.write(xml).close();
+    return elements;
+};
+
+describe('exportMessages (xml)', () => {
+    it('writes SMS as <sms> and MMS as <mms> with parts and addresses', async () => {
+        const { written, xml } = await exportXml();
+        const elements = parseElements(xml);
+
+        assert.equal(written, 2);
+        assert.equal(elements[0].attributes.count, '2');
+        assert.deepEqual(elements.map(element => element.name), [
+            'smses', 'sms', 'mms', 'parts', 'part', 'part', 'addrs', 'addr', 'addr'
+        ]);
+
+        const sms = elements[1].attributes;
+        assert.equal(sms.body, 'Hi & bye');
+        assert.equal(sms.contact_name, 'Ann');
+
+        const mms = elements[2].attributes;
+        assert.equal(mms.address, '+15550001~+15550002');
+        assert.equal(mms.msg_box, '1');
+        assert.equal(mms.m_type, '132');
+        assert.equal(mms.read, '0');
+        assert.equal(mms.text_only, '0');
+    });
+
+    it('embeds the text and the attachment content of MMS parts', async () => {
+        const elements = parseElements((await exportXml()).xml);
+        const [text, media] = elements.filter(element => element.name === 'part').map(element => element.attributes);
+
+        assert.equal(text.ct, 'text/plain');
+        assert.equal(text.text, 'Look');
+        assert.equal(media.ct, 'image/jpeg');
+        assert.equal(media.cl, 'cat.jpg');
+        assert.deepEqual(Buffer.from(media.data, 'base64'), image);
+    });
+
+    it('marks the first address of a received MMS as its sender', async () => {
+        const elements = parseElements((await exportXml()).xml);
+        const addresses = elements.filter(element => element.name === 'addr').map(element => element.attributes);
+
+        assert.deepEqual(addresses.map(address => [address.address, address.type]), [
+            ['+15550001', '137'],
+            ['+15550002', '151']
+        ]);
+    });
+});
\ No newline at end of file
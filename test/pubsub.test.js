@@ -0,0 +1,64 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+
+process.env.PUBSUB_BACKEND = 'mysql';
+process.env.PUBSUB_POLL_INTERVAL_MS = '5';
+
+// pubsub_events rows visible to the pollers, i.e. committed
+let committed = [];
+
+const byId = (a, b) => a.id - b.id;
+
+require.cache[require.resolve('../config/database')] = {
+    exports: {
+        pool: {
+            execute: async (sql, params) => {
+                if (sql.includes('MAX(id)')) {
+                    return [[{ id: committed.reduce((max, row) => Math.max(max, row.id), 0) }]];
+                }
+                if (sql.includes('WHERE id > ?')) {
+                    return [committed.filter(row => row.id > params[0]).sort(byId)];
+                }
+                return [[]];
+            },
+            query: async (sql, [ids]) => [committed.filter(row => ids.includes(row.id)).sort(byId)]
+        }
+    }
+};
+
+const { getPubSub } = require('../services/pubsub');
+
+const commit = (id, message) => committed.push({ id, channel: 'user:1', payload: JSON.stringify(message) });
+
+describe('mysql pub/sub', () => {
+    beforeEach(() => {
+        committed = [];
+    });
+
+    it('delivers events committed after a later id was already polled', async (t) => {
+        const received = [];
+        const unsubscribe = await getPubSub().subscribe('user:1', message => received.push(message.n));
+        t.after(unsubscribe);
+
+        commit(2, { n: 2 });
+        await sleep(30);
+        assert.deepEqual(received, [2]);
+
+        commit(1, { n: 1 });
+        commit(3, { n: 3 });
+        await sleep(30);
+        assert.deepEqual(received, [2, 1, 3]);
+    });
+
+    it('only delivers events newer than the subscription', async (t) => {
+        commit(1, { n: 1 });
+        const received = [];
+        const unsubscribe = await getPubSub().subscribe('user:1', message => received.push(message.n));
+        t.after(unsubscribe);
+
+        commit(2, { n: 2 });
+        await sleep(30);
+        assert.deepEqual(received, [2]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,180 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+// saveMessages needs MySQL and the user's keys; record what would be saved instead
+const saved = [];
+require.cache[require.resolve('../services/messageStore')] = {
+    exports: {
+        saveMessages: async (userId, messages, { indexes, collectInsertedIds }) => {
+            saved.push(...messages);
+            return {
+                insertedCount: messages.length,
+                updatedCount: 0,
+                duplicateCount: 0,
+                errors: [],
+                ...(collectInsertedIds && { insertedIds: indexes.map(index => index + 1) })
+            };
+        }
+    }
+};
+
+const { importNdjsonStream, importBackupXmlStream } = require('../services/streamImport');
+
+// Just enough of an Express request: a body stream with headers that hands out
+// one chunk per read, like a socket
+const fakeRequest = (chunks, headers = {}) => {
+    const pending = chunks.map(chunk => Buffer.from(chunk));
+    const req = new Readable({
+        read() {
+            this.push(pending.length > 0 ? pending.shift() : null);
+        }
+    });
+    req.headers = headers;
+    req.deviceId = null;
+    req.is = (type) => (headers['content-type'] === type ? type : false);
+    return req;
+};
+
+// Split a string into chunks the size of network reads
+const chunked = (text, size = 16 * 1024) =>
+    Array.from({ length: Math.ceil(text.length / size) }, (_, i) => text.slice(i * size, (i + 1) * size));
+
+const backupSms = (i) =>
+    `<sms protocol="0" address="+1555000${i}" date="${1700000000000 + i}" type="1" subject="null" body="Message ${i} &amp; more" ` +
+    `toa="null" sc_toa="null" service_center="null" read="${i % 2}" status="-1" locked="0" date_sent="0" ` +
+    `readable_date="Nov 14, 2023 10:13:20 PM" contact_name="${i === 0 ? '(Unknown)' : `Contact ${i}`}" />`;
+
+// A picture message as SMS Backup & Restore writes it: the image is a base64 attribute
+const backupMms = (imageBytes) =>
+    '<mms date="1700000000500" rr="null" sub="null" ct_t="application/vnd.wap.multipart.related" read_status="null" ' +
+    'seen="1" msg_box="1" address="+15550001~+15550002" sub_cs="null" resp_st="null" retr_st="null" d_tm="null" ' +
+    'text_only="0" exp="null" locked="0" m_id="null" st="null" retr_txt_cs="null" retr_txt="null" creator="null" ' +
+    'date_sent="0" read="1" m_size="null" rpt_a="null" ct_cls="null" pri="null" sub_id="1" tr_id="null" resp_txt="null" ' +
+    'ct_l="null" m_cls="null" d_rpt="null" v="18" _id="1" m_type="132" readable_date="Nov 14, 2023 10:13:20 PM" contact_name="Group">' +
+    '<parts>' +
+    '<part seq="-1" ct="application/smil" name="null" chset="null" cd="null" fn="null" cid="&lt;smil&gt;" cl="smil.xml" ' +
+    'ctt_s="null" ctt_t="null" text="&lt;smil&gt;&lt;body&gt;&lt;/body&gt;&lt;/smil&gt;" />' +
+    '<part seq="0" ct="image/jpeg" name="IMG_0001.jpg" chset="null" cd="null" fn="null" cid="&lt;0&gt;" cl="IMG_0001.jpg" ' +
+    `ctt_s="null" ctt_t="null" text="null" data="${Buffer.alloc(imageBytes, 0xab).toString('base64')}" />` +
+    '<part seq="0" ct="text/plain" name="null" chset="106" cd="null" fn="null" cid="&lt;text&gt;" cl="text.txt" ' +
+    'ctt_s="null" ctt_t="null" text="Look at this" />' +
+    '</parts>' +
+    '<addrs>' +
+    '<addr address="+15550001" type="137" charset="106" />' +
+    '<addr address="+15550002" type="151" charset="106" />' +
+    '</addrs>' +
+    '</mms>';
+
+const backupFile = (elements) =>
+    "<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>\n" +
+    `<smses count="${elements.length}" backup_set="b1" backup_date="1700000001000" type="full">\n` +
+    `${elements.map(element => `  ${element}\n`).join('')}</smses>\n`;
+
+describe('importNdjsonStream', () => {
+    beforeEach(() => {
+        saved.length = 0;
+    });
+
+    it('saves one message per line and skips blank lines', async () => {
+        const lines = [
+            JSON.stringify({ address: '+15550001', body: 'one', date: 1, type: 1 }),
+            '',
+            JSON.stringify({ address: '+15550002', body: 'two', date: 2, type: 2 })
+        ];
+        const { totalMessages, result } = await importNdjsonStream(1, fakeRequest(chunked(`${lines.join('\r\n')}\n`, 7)));
+
+        assert.equal(totalMessages, 2);
+        assert.equal(result.insertedCount, 2);
+        assert.deepEqual(saved.map(msg => msg.body), ['one', 'two']);
+    });
+
+    it('reports invalid JSON by line number and keeps going', async () => {
+        const body = `{"address":"+1","body":"ok","date":1,"type":1}\n{not json\n{"address":"+1","body":"ok 2","date":2,"type":1}\n`;
+        const { totalMessages, result } = await importNdjsonStream(1, fakeRequest([body]));
+
+        assert.equal(totalMessages, 3);
+        assert.equal(result.erroredCount, 1);
+        assert.equal(result.errors[0].index, 1);
+        assert.equal(result.errors[0].error, 'Invalid JSON');
+        assert.equal(saved.length, 2);
+    });
+
+    it('reads gzip-compressed bodies', async () => {
+        const body = zlib.gzipSync(`${JSON.stringify({ address: '+1', body: 'zipped', date: 1, type: 1 })}\n`);
+        const { result } = await importNdjsonStream(1, fakeRequest([body], { 'content-encoding': 'gzip' }));
+
+        assert.equal(result.insertedCount, 1);
+        assert.equal(saved[0].body, 'zipped');
+    });
+
+    it('announces the ids inserted by each batch', async () => {
+        const announced = [];
+        await importNdjsonStream(1, fakeRequest([`${JSON.stringify({ address: '+1', body: 'x', date: 1, type: 1 })}\n`]), {
+            onInserted: ids => announced.push(...ids)
+        });
+
+        assert.deepEqual(announced, [1]);
+    });
+});
+
+describe('importBackupXmlStream', () => {
+    beforeEach(() => {
+        saved.length = 0;
+    });
+
+    it('maps <sms> elements to messages', async () => {
+        const xml = backupFile([backupSms(0), backupSms(1)]);
+        const { totalMessages, skippedElements, result } = await importBackupXmlStream(1, fakeRequest(chunked(xml, 100)));
+
+        assert.equal(totalMessages, 2);
+        assert.equal(skippedElements, 0);
+        assert.equal(result.insertedCount, 2);
+        assert.deepEqual(saved[0], {
+            address: '+15550000',
+            body: 'Message 0 & more',
+            date: '1700000000000',
+            type: '1',
+            contactName: null,
+            dateFormatted: 'Nov 14, 2023 10:13:20 PM',
+            read: false
+        });
+        assert.equal(saved[1].contactName, 'Contact 1');
+        assert.equal(saved[1].read, true);
+    });
+
+    it('skips MMS with attachments larger than the sax buffer and keeps the messages after them', async () => {
+        // 1 MB image -> ~1.4 MB data attribute, well over sax's 64 KB MAX_BUFFER_LENGTH
+        const xml = backupFile([backupSms(0), backupMms(1024 * 1024), backupSms(1), backupMms(200 * 1024), backupSms(2)]);
+        const { totalMessages, skippedElements, result } = await importBackupXmlStream(1, fakeRequest(chunked(xml)));
+
+        assert.equal(totalMessages, 3);
+        assert.equal(skippedElements, 2);
+        assert.equal(result.insertedCount, 3);
+        assert.deepEqual(saved.map(msg => msg.address), ['+15550000', '+15550001', '+15550002']);
+    });
+
+    it('still limits attribute length outside MMS', async () => {
+        const huge = `<sms address="+1" date="1" type="1" body="${'x'.repeat(100 * 1024)}" />`;
+        const xml = backupFile([backupSms(0), backupMms(100 * 1024), huge]);
+
+        await assert.rejects(importBackupXmlStream(1, fakeRequest(chunked(xml))), (error) => {
+            assert.equal(error.code, 'INVALID_XML');
+            assert.match(error.message, /Max buffer length exceeded/);
+            assert.equal(error.totalMessages, 1);
+            assert.equal(error.result.insertedCount, 1);
+            return true;
+        });
+    });
+
+    it('rejects malformed XML and reports what was saved before it', async () => {
+        const xml = `${backupFile([backupSms(0)]).replace('</smses>\n', '')}<parts></smses>`;
+
+        await assert.rejects(importBackupXmlStream(1, fakeRequest([xml])), (error) => {
+            assert.equal(error.code, 'INVALID_XML');
+            assert.equal(error.result.insertedCount, 1);
+            return true;
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+
+const { createTarWriter } = require('../utils/tar');
+
+const BLOCK_SIZE = 512;
+
+// Write an archive with `build(tar)` and return its bytes
+const buildArchive = async (build) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const tar = createTarWriter(output);
+    await build(tar);
+    await tar.close();
+    return Buffer.concat(chunks);
+};
+
+const field = (block, offset, length) => block.toString('ascii', offset, offset + length).replace(/\0.*$/s, '');
+
+// Files of a ustar archive, checking each header's checksum and the end marker
+const readArchive = (archive) => {
+    assert.equal(archive.length % BLOCK_SIZE, 0);
+    const files = [];
+    let offset = 0;
+
+    for (;;) {
+        const block = archive.subarray(offset, offset + BLOCK_SIZE);
+        if (block.every(byte => byte === 0)) {
+            assert.ok(archive.subarray(offset + BLOCK_SIZE, offset + 2 * BLOCK_SIZE).every(byte => byte === 0));
+            assert.equal(archive.length, offset + 2 * BLOCK_SIZE);
+            return files;
+        }
+
+        let checksum = 0;
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            checksum += i >= 148 && i < 156 ? 0x20 : block[i];
+        }
+        assert.equal(parseInt(field(block, 148, 8), 8), checksum);
+        assert.equal(field(block, 257, 6), 'ustar');
+        assert.equal(field(block, 156, 1), '0');
+
+        const size = parseInt(field(block, 124, 12), 8);
+        const start = offset + BLOCK_SIZE;
+        files.push({ name: field(block, 0, 100), data: archive.subarray(start, start + size) });
+        offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+};
+
+describe('createTarWriter', () => {
+    it('writes buffers, strings and empty files as ustar entries', async () => {
+        const binary = Buffer.from(Array.from({ length: 1300 }, (_, i) => i % 256));
+        const archive = await buildArchive(async (tar) => {
+            await tar.addBuffer('messages.json', '{"messages":[]}');
+            await tar.addBuffer('attachments/1-cat.jpg', binary);
+            await tar.addBuffer('empty.txt', '');
+        });
+
+        assert.deepEqual(readArchive(archive), [
+            { name: 'messages.json', data: Buffer.from('{"messages":[]}') },
+            { name: 'attachments/1-cat.jpg', data: binary },
+            { name: 'empty.txt', data: Buffer.alloc(0) }
+        ]);
+    });
+
+    it('copies files from disk', async (t) => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tar-test-'));
+        t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+        const file = path.join(dir, 'export.json');
+        await fs.promises.writeFile(file, 'x'.repeat(BLOCK_SIZE));
+
+        const archive = await buildArchive(tar => tar.addFile('messages.json', file));
+
+        assert.deepEqual(readArchive(archive), [{ name: 'messages.json', data: Buffer.from('x'.repeat(BLOCK_SIZE)) }]);
+    });
+
+    it('copies streams of the announced size', async () => {
+        const archive = await buildArchive(tar => tar.addStream('a.bin', 5, Readable.from([Buffer.from('ab'), Buffer.from('cde')])));
+
+        assert.deepEqual(readArchive(archive), [{ name: 'a.bin', data: Buffer.from('abcde') }]);
+    });
+
+    it('fails when a stream is shorter or longer than announced', async () => {
+        await assert.rejects(
+            buildArchive(tar => tar.addStream('a.bin', 5, Readable.from([Buffer.from('abc')]))),
+            /a\.bin is shorter than its 5 bytes/
+        );
+        await assert.rejects(
+            buildArchive(tar => tar.addStream('a.bin', 2, Readable.from([Buffer.from('abc')]))),
+            /a\.bin is longer than its 2 bytes/
+        );
+    });
+});
\ No newline at end of file
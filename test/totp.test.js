@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecret, generateCode, currentStep, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+// The RFC 6238 SHA-1 key "12345678901234567890", base32-encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B (SHA-1), last six of the eight digits
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+];
+
+describe('generateCode', () => {
+    it('matches the RFC 6238 test vectors', () => {
+        for (const [seconds, code] of RFC_VECTORS) {
+            assert.equal(generateCode(RFC_SECRET, currentStep(seconds * 1000)), code, `T = ${seconds}`);
+        }
+    });
+
+    it('accepts lower-case and padded secrets', () => {
+        assert.equal(generateCode(`${RFC_SECRET.toLowerCase()}====`, 1), generateCode(RFC_SECRET, 1));
+    });
+
+    it('rejects secrets that are not base32', () => {
+        assert.throws(() => generateCode('NOT-BASE32!', 1), /Invalid base32 character/);
+    });
+});
+
+describe('verifyCode', () => {
+    const now = 1111111111 * 1000;
+    const step = currentStep(now);
+
+    it('returns the time step of a current code', () => {
+        assert.equal(verifyCode(RFC_SECRET, '050471', { now }), step);
+        assert.equal(verifyCode(RFC_SECRET, '050 471', { now }), step);
+    });
+
+    it('allows one step of clock drift either side by default', () => {
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now }), null);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now, window: 2 }), step + 2);
+    });
+
+    it('rejects codes of steps already used', () => {
+        assert.equal(verifyCode(RFC_SECRET, '050471', { now, lastUsedStep: step }), null);
+        assert.equal(verifyCode(RFC_SECRET, '050471', { now, lastUsedStep: step - 1 }), step);
+    });
+
+    it('rejects malformed codes', () => {
+        for (const code of [null, '', '05047', '0504711', '05047a']) {
+            assert.equal(verifyCode(RFC_SECRET, code, { now }), null, `code ${code}`);
+        }
+    });
+});
+
+describe('generateSecret', () => {
+    it('returns 160 random bits in base32', () => {
+        const secret = generateSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(generateSecret(), secret);
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    it('labels the account with the issuer and states the parameters', () => {
+        assert.equal(
+            buildOtpauthUri(RFC_SECRET, 'ann@example.com', 'SMS Sync'),
+            `otpauth://totp/SMS%20Sync%3Aann%40example.com?secret=${RFC_SECRET}&issuer=SMS%20Sync&algorithm=SHA1&digits=6&period=30`
+        );
+    });
+});
\ No newline at end of file
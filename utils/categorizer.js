@@ -0,0 +1,108 @@
+/**
+ * Rule-based message categories. User rules are checked first (see
+ * services/categoryRules); the built-in rules below only look at incoming
+ * messages, since anything the user sent or drafted is personal.
+ */
+const CATEGORIES = {
+    otp: 'otp',
+    banking: 'banking',
+    delivery: 'delivery',
+    promo: 'promo',
+    personal: 'personal',
+    other: 'other'
+};
+
+// Android Telephony.Sms inbox type (SMS_TYPES.inbox; utils/messageFilters depends on this module)
+const INBOX_TYPE = 1;
+
+// Categories are short slugs so user-defined ones can sit next to the built-ins
+const CATEGORY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Short codes ("72975") and alphanumeric sender IDs ("HDFCBK", "VM-AMAZON") are never a person
+const SHORT_CODE = /^\d{3,6}$/;
+
+const OTP_KEYWORDS = /\b(otp|one[- ]?time (?:pass(?:word|code)?|code|pin)|verification code|security code|login code|confirmation code|auth(?:entication|orization)? code|passcode|2fa)\b/i;
+const OTP_CODE = /(?:^|[^\d])(?:[A-Z]-)?\d{4,8}(?:[^\d]|$)/;
+const OTP_PHRASE = /\b(?:code|pin)\s*(?:is|:)\s*[A-Z]?-?\d{4,8}\b/i;
+
+const CURRENCY_AMOUNT = /(?:[$€£₹¥]|\b(?:usd|eur|gbp|inr|rs\.?|aed|cad|aud)\s?)\s?\d[\d,]*(?:\.\d{1,2})?|\b\d[\d,]*(?:\.\d{1,2})?\s?(?:usd|eur|gbp|inr|aed|cad|aud)\b/i;
+const BANKING_KEYWORDS = /\b(debited|credited|a\/c|acct|account|balance|bal|transaction|txn|card (?:ending|no)|withdrawn|withdrawal|deposit(?:ed)?|upi|neft|imps|rtgs|transfer(?:red)?|statement|emi|loan|payment (?:of|received|due))\b/i;
+
+const DELIVERY_KEYWORDS = /\b(out for delivery|delivered|delivery|shipped|shipment|dispatched|in transit|tracking|track your|parcel|package|courier|order (?:#|no\.?|number)?\s?[\w-]*\d)/i;
+
+const PROMO_KEYWORDS = /\b(sale|offer|discount|deal|deals|coupon|promo|voucher|cashback|limited time|buy now|shop now|hurry|exclusive|subscribe|unsubscribe|opt[- ]out|reply stop|txt stop|text stop)\b|\d+\s?% off\b/i;
+const LINK = /\bhttps?:\/\/|\bwww\.|\b[a-z0-9-]+\.(?:com|in|co|ly|io|me)\/\S+/i;
+
+const isNormalizedCategory = (value) => CATEGORY_PATTERN.test(String(value || ''));
+
+// An address with letters in it is a sender ID rather than a phone number
+const isAlphanumericSender = (address) => /[a-z]/i.test(String(address || '')) && !String(address).includes('@');
+
+const isShortCode = (address) => SHORT_CODE.test(String(address || '').replace(/[\s-]/g, ''));
+
+const isOtp = (body) => (OTP_KEYWORDS.test(body) && OTP_CODE.test(body)) || OTP_PHRASE.test(body);
+
+const hasCurrencyAmount = (body) => CURRENCY_AMOUNT.test(body);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a user rule into a predicate over a message. `senderPattern`
+ * matches the whole address case-insensitively, with `*` as a wildcard;
+ * `bodyContains` is a case-insensitive substring. Both must match when both
+ * are set. Rules are plain patterns rather than regexes so users can't submit
+ * something catastrophically slow.
+ */
+const compileRule = (rule) => {
+    const sender = rule.senderPattern
+        ? new RegExp(`^${rule.senderPattern.split('*').map(escapeRegExp).join('.*')}$`, 'i')
+        : null;
+    const needle = rule.bodyContains ? rule.bodyContains.toLowerCase() : null;
+
+    return (msg) => (!sender || sender.test(String(msg.address || '').trim())) &&
+        (!needle || String(msg.body || '').toLowerCase().includes(needle));
+};
+
+/**
+ * Categorize a client-shaped message ({address, body, type}).
+ *
+ * @param {object} msg
+ * @param {Array<{category: string, matches: Function}>} [rules] - compiled user rules, highest priority first
+ * @returns {string} category slug
+ */
+const categorizeMessage = (msg, rules = []) => {
+    const userRule = rules.find(rule => rule.matches(msg));
+    if (userRule) {
+        return userRule.category;
+    }
+
+    if (Number(msg.type) !== INBOX_TYPE) {
+        return CATEGORIES.personal;
+    }
+
+    const body = String(msg.body || '');
+    const automated = isAlphanumericSender(msg.address) || isShortCode(msg.address);
+
+    if (isOtp(body)) {
+        return CATEGORIES.otp;
+    }
+    if (hasCurrencyAmount(body) && BANKING_KEYWORDS.test(body)) {
+        return CATEGORIES.banking;
+    }
+    if (automated && DELIVERY_KEYWORDS.test(body)) {
+        return CATEGORIES.delivery;
+    }
+    if (PROMO_KEYWORDS.test(body) || (automated && LINK.test(body))) {
+        return CATEGORIES.promo;
+    }
+
+    return automated ? CATEGORIES.other : CATEGORIES.personal;
+};
+
+module.exports = {
+    CATEGORIES,
+    isNormalizedCategory,
+    isAlphanumericSender,
+    compileRule,
+    categorizeMessage
+};
\ No newline at end of file
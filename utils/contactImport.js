@@ -0,0 +1,181 @@
+/**
+ * Parsers for bulk contact imports. Both return entries shaped like
+ * `{ name, numbers: [{ number, label }] }`; numbers are left as written and
+ * normalized by the contacts service.
+ */
+
+// vCard TYPE values that say nothing about which number it is
+const IGNORED_TEL_TYPES = new Set(['voice', 'pref', 'internet', 'text', 'msg']);
+
+const unescapeVCardValue = (value) => value.replace(/\\([;,\\nN])/g, (match, char) => (char.toLowerCase() === 'n' ? ' ' : char));
+
+// "TEL;TYPE=CELL,VOICE" (vCard 3/4), "TEL;CELL;VOICE" (2.1) and "TEL;TYPE=\"cell\"" all give "cell"
+const telLabel = (params) => {
+    const types = params
+        .flatMap(param => {
+            const [key, value] = param.includes('=') ? param.split('=', 2) : ['TYPE', param];
+            return key.trim().toUpperCase() === 'TYPE' ? value.replace(/"/g, '').split(',') : [];
+        })
+        .map(type => type.trim().toLowerCase())
+        .filter(type => type && !IGNORED_TEL_TYPES.has(type));
+    return types[0] || null;
+};
+
+/**
+ * Parse one or more vCards (2.1, 3.0 or 4.0). The display name is FN,
+ * falling back to the structured N property.
+ *
+ * @param {string} text
+ * @returns {Array<{name: string, numbers: Array<{number: string, label: string|null}>}>}
+ */
+const parseVCards = (text) => {
+    // Folded lines continue with a leading space or tab
+    const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const entries = [];
+    let card = null;
+
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator < 0) {
+            continue;
+        }
+        // Drop the optional group prefix ("item1.TEL")
+        const [property, ...params] = line.slice(0, separator).split(';');
+        const name = property.replace(/^[^.]*\./, '').trim().toUpperCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+            card = { fn: null, n: null, numbers: [] };
+        } else if (!card) {
+            continue;
+        } else if (name === 'END' && value.toUpperCase() === 'VCARD') {
+            const fullName = card.fn || card.n;
+            if (fullName) {
+                entries.push({ name: fullName, numbers: card.numbers });
+            }
+            card = null;
+        } else if (name === 'FN') {
+            card.fn = unescapeVCardValue(value).trim() || null;
+        } else if (name === 'N') {
+            // N is family;given;additional;prefix;suffix
+            const [family = '', given = '', additional = '', prefix = '', suffix = ''] = value.split(/(?<!\\);/).map(unescapeVCardValue);
+            card.n = [prefix, given, additional, family, suffix].map(part => part.trim()).filter(Boolean).join(' ') || null;
+        } else if (name === 'TEL') {
+            const number = value.replace(/^tel:/i, '').trim();
+            if (number) {
+                card.numbers.push({ number, label: telLabel(params) });
+            }
+        }
+    }
+
+    return entries;
+};
+
+// RFC 4180 rows: quoted fields may contain commas, doubled quotes and newlines
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const NAME_HEADERS = ['name', 'full name', 'display name'];
+
+/**
+ * Parse a CSV export with a header row. The name comes from a "Name" /
+ * "Full Name" / "Display Name" column, or "First Name" + "Last Name". Every
+ * column whose header mentions phone, mobile or number holds numbers; Google
+ * Contacts style "Phone 1 - Value" columns take their label from the
+ * matching "Phone 1 - Label" (or "- Type") column, and may list several
+ * numbers separated by ":::".
+ *
+ * @param {string} text
+ * @returns {Array<{name: string, numbers: Array<{number: string, label: string|null}>}>}
+ * @throws {Error} with code INVALID_CSV when the header has no name or phone column
+ */
+const parseContactsCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(text);
+    const headers = (header || []).map(cell => cell.trim().toLowerCase());
+
+    const nameColumn = headers.findIndex(cell => NAME_HEADERS.includes(cell));
+    const firstNameColumn = headers.findIndex(cell => cell === 'first name' || cell === 'given name');
+    const lastNameColumn = headers.findIndex(cell => cell === 'last name' || cell === 'family name');
+
+    const phoneColumns = headers
+        .map((cell, index) => ({ cell, index }))
+        .filter(({ cell }) => /phone|mobile|number/.test(cell) && !/label|type/.test(cell))
+        .map(({ cell, index }) => {
+            const base = cell.replace(/\s*-\s*value$/, '');
+            const labelColumn = headers.findIndex(other => other === `${base} - label` || other === `${base} - type`);
+            return { index, labelColumn, defaultLabel: base === cell && /mobile/.test(cell) ? 'mobile' : null };
+        });
+
+    if ((nameColumn < 0 && firstNameColumn < 0 && lastNameColumn < 0) || phoneColumns.length === 0) {
+        const error = new Error('CSV header must have a name column and at least one phone column');
+        error.code = 'INVALID_CSV';
+        throw error;
+    }
+
+    const cell = (row, index) => (index >= 0 && row[index] ? row[index].trim() : '');
+    const entries = [];
+
+    for (const row of rows) {
+        const name = cell(row, nameColumn) ||
+            [cell(row, firstNameColumn), cell(row, lastNameColumn)].filter(Boolean).join(' ');
+        if (!name) {
+            continue;
+        }
+
+        const numbers = [];
+        for (const { index, labelColumn, defaultLabel } of phoneColumns) {
+            const label = cell(row, labelColumn).replace(/^\*\s*/, '') || defaultLabel;
+            for (const number of cell(row, index).split(':::').map(part => part.trim()).filter(Boolean)) {
+                numbers.push({ number, label });
+            }
+        }
+        entries.push({ name, numbers });
+    }
+
+    return entries;
+};
+
+module.exports = {
+    parseVCards,
+    parseContactsCsv
+};
\ No newline at end of file
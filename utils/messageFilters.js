@@ -0,0 +1,178 @@
+const { query } = require('express-validator');
+const { isNormalizedCategory } = require('./categorizer');
+
+// Android Telephony.Sms message types
+const SMS_TYPES = {
+    inbox: 1,
+    sent: 2,
+    draft: 3
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Accept either the Android type name ("inbox") or its numeric value ("1")
+const parseType = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    if (SMS_TYPES[normalized] !== undefined) {
+        return SMS_TYPES[normalized];
+    }
+    return /^\d+$/.test(normalized) ? parseInt(normalized, 10) : null;
+};
+
+// "true"/"1" or "false"/"0" from a query string; anything else means no filter
+const parseFlag = (value) => {
+    const normalized = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+    if (normalized === 'true' || normalized === '1') {
+        return 1;
+    }
+    if (normalized === 'false' || normalized === '0') {
+        return 0;
+    }
+    return null;
+};
+
+// Escape LIKE wildcards so user input is matched literally
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Cursors are opaque to the client: base64url of "<date>:<id>" for the last
+ * row of the previous page.
+ */
+const encodeCursor = (row) => Buffer.from(`${row.date}:${row.id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    const match = /^(\d+):(\d+)$/.exec(decoded);
+    if (!match) {
+        return null;
+    }
+    return { date: Number(match[1]), id: Number(match[2]) };
+};
+
+// Query-string validation shared by the read endpoints
+const messageFilterValidation = [
+    query('address').optional().trim().notEmpty().withMessage('Address filter cannot be empty'),
+    query('type').optional().custom(value => parseType(value) !== null)
+        .withMessage('Type must be inbox, sent, draft or a numeric type'),
+    query('contactName').optional().trim().notEmpty().withMessage('Contact name filter cannot be empty'),
+    query('contactId').optional().isInt({ min: 1 }).withMessage('Contact ID must be a positive integer'),
+    query('category').optional().trim().toLowerCase().custom(isNormalizedCategory)
+        .withMessage('Category must be a category name such as otp, banking, promo or personal'),
+    query('deviceId').optional().isInt({ min: 1 }).withMessage('Device ID must be a positive integer'),
+    query('read').optional().isBoolean().withMessage('Read must be true or false'),
+    query('starred').optional().isBoolean().withMessage('Starred must be true or false'),
+    query('archived').optional().isBoolean().withMessage('Archived must be true or false'),
+    query('labelId').optional().isInt({ min: 1 }).withMessage('Label ID must be a positive integer'),
+    query('from').optional().isInt({ min: 0 }).withMessage('From must be a valid timestamp'),
+    query('to').optional().isInt({ min: 0 }).withMessage('To must be a valid timestamp')
+];
+
+const paginationValidation = [
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('cursor').optional().custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid pagination cursor')
+];
+
+/**
+ * Build the WHERE clause for sms_messages from the request query.
+ * Conditions always lead with user_id so MySQL can use the
+ * idx_user_date / idx_user_address / idx_user_type indexes.
+ *
+ * contact_name is encrypted, so the contactName filter is an exact
+ * (case-insensitive) match on contact_name_hash, or on the name_hash of the
+ * contact owning the number, and needs the user's keys. contactId matches
+ * every number of one contact. read, starred and archived take true or
+ * false; labelId matches messages carrying that label.
+ */
+const buildMessageFilters = (userId, filters = {}, keys = null) => {
+    const clauses = ['user_id = ?'];
+    const params = [userId];
+
+    if (filters.address) {
+        clauses.push('address = ?');
+        params.push(String(filters.address).trim());
+    }
+
+    const type = parseType(filters.type);
+    if (type !== null) {
+        clauses.push('type = ?');
+        params.push(type);
+    }
+
+    if (filters.contactName) {
+        if (!keys) {
+            throw new Error('The contactName filter needs the user\'s keys');
+        }
+        const nameHash = keys.hashContactName(filters.contactName);
+        clauses.push(`(contact_name_hash = ? OR address_e164 IN (
+            SELECT cn.e164 FROM contact_numbers cn JOIN contacts c ON c.id = cn.contact_id
+            WHERE cn.user_id = ? AND c.name_hash = ?
+        ))`);
+        params.push(nameHash, userId, nameHash);
+    }
+
+    if (filters.contactId) {
+        clauses.push('address_e164 IN (SELECT e164 FROM contact_numbers WHERE user_id = ? AND contact_id = ?)');
+        params.push(userId, Number(filters.contactId));
+    }
+
+    if (filters.category) {
+        clauses.push('category = ?');
+        params.push(String(filters.category).trim().toLowerCase());
+    }
+
+    if (filters.deviceId) {
+        clauses.push('device_id = ?');
+        params.push(Number(filters.deviceId));
+    }
+
+    for (const [filter, column] of [['read', 'is_read'], ['starred', 'is_starred'], ['archived', 'is_archived']]) {
+        const flag = parseFlag(filters[filter]);
+        if (flag !== null) {
+            clauses.push(`${column} = ?`);
+            params.push(flag);
+        }
+    }
+
+    if (filters.labelId) {
+        clauses.push('id IN (SELECT message_id FROM message_label_assignments WHERE user_id = ? AND label_id = ?)');
+        params.push(userId, Number(filters.labelId));
+    }
+
+    if (filters.from !== undefined && filters.from !== '') {
+        clauses.push('date >= ?');
+        params.push(Number(filters.from));
+    }
+
+    if (filters.to !== undefined && filters.to !== '') {
+        clauses.push('date <= ?');
+        params.push(Number(filters.to));
+    }
+
+    return { clauses, params };
+};
+
+const getPageSize = (limit) => {
+    const parsed = parseInt(limit, 10);
+    if (Number.isNaN(parsed) || parsed < 1) {
+        return DEFAULT_PAGE_SIZE;
+    }
+    return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+module.exports = {
+    SMS_TYPES,
+    parseType,
+    escapeLike,
+    encodeCursor,
+    decodeCursor,
+    messageFilterValidation,
+    paginationValidation,
+    buildMessageFilters,
+    getPageSize
+};
\ No newline at end of file
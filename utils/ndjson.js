@@ -0,0 +1,37 @@
+// Longest single line accepted before the stream is rejected
+const MAX_LINE_LENGTH = 1024 * 1024;
+
+/**
+ * Yield the lines of a text stream one at a time. Iterating the source with
+ * for-await pulls chunks on demand, so only one chunk plus one partial line
+ * is held in memory.
+ */
+async function* readLines(stream) {
+    let buffered = '';
+
+    stream.setEncoding('utf8');
+    for await (const chunk of stream) {
+        buffered += chunk;
+
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+            yield buffered.slice(0, newline).replace(/\r$/, '');
+            buffered = buffered.slice(newline + 1);
+        }
+
+        if (buffered.length > MAX_LINE_LENGTH) {
+            const error = new Error(`Line exceeds ${MAX_LINE_LENGTH} characters`);
+            error.code = 'LINE_TOO_LONG';
+            throw error;
+        }
+    }
+
+    if (buffered.length > 0) {
+        yield buffered.replace(/\r$/, '');
+    }
+}
+
+module.exports = {
+    MAX_LINE_LENGTH,
+    readLines
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// Number of trailing digits used to match phone numbers, ignoring country
+// prefixes and formatting ("+1 (555) 123-4567" and "555-123-4567" match)
+const THREAD_KEY_DIGITS = 10;
+
+/**
+ * Derive the conversation key for an address. Phone numbers collapse to their
+ * trailing digits; alphanumeric sender IDs ("BANK-ALERT") are lowercased.
+ */
+const getThreadKey = (address) => {
+    const trimmed = String(address || '').trim();
+    const digits = trimmed.replace(/\D/g, '');
+
+    // Treat the address as a phone number only if it contains no letters
+    if (digits.length > 0 && !/[a-z]/i.test(trimmed)) {
+        return digits.slice(-THREAD_KEY_DIGITS);
+    }
+
+    return trimmed.toLowerCase().slice(0, 50);
+};
+
+const GROUP_THREAD_PREFIX = 'group:';
+
+/**
+ * Conversation key for a message with several participants (group MMS): the
+ * participants' thread keys, sorted and hashed, so every message of the group
+ * lands in the same thread whatever order the phone lists them in. A single
+ * distinct participant gets its ordinary thread key.
+ */
+const getGroupThreadKey = (addresses) => {
+    const keys = [...new Set(addresses.map(getThreadKey))].sort();
+    if (keys.length === 1) {
+        return keys[0];
+    }
+    return `${GROUP_THREAD_PREFIX}${crypto.createHash('sha256').update(keys.join(',')).digest('hex').slice(0, 40)}`;
+};
+
+const isGroupThreadKey = (threadKey) => String(threadKey).startsWith(GROUP_THREAD_PREFIX);
+
+// Calling code assumed for numbers stored without one, e.g. "1" or "44"
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+
+/**
+ * Normalize a phone number to E.164 ("+15551234567"). Numbers without an
+ * international prefix ("+" or "00") are read as national numbers of
+ * `countryCode`, dropping a leading trunk "0". Returns null for sender IDs,
+ * short codes and anything else that can't be a full number.
+ *
+ * @param {string} address
+ * @param {string} [countryCode] - defaults to DEFAULT_COUNTRY_CODE
+ * @returns {string|null}
+ */
+const toE164 = (address, countryCode = DEFAULT_COUNTRY_CODE) => {
+    const trimmed = String(address || '').trim();
+    if (!/^\+?[\d\s().\/-]+$/.test(trimmed)) {
+        return null;
+    }
+
+    let digits = trimmed.replace(/\D/g, '');
+    if (trimmed.startsWith('+')) {
+        // Already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (!countryCode) {
+        return null;
+    } else if (!(countryCode === '1' && digits.length === 11 && digits.startsWith('1'))) {
+        // North American numbers are often written with their leading 1 already
+        digits = countryCode + digits.replace(/^0/, '');
+    }
+
+    return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+};
+
+module.exports = {
+    getThreadKey,
+    getGroupThreadKey,
+    isGroupThreadKey,
+    toE164
+};
\ No newline at end of file
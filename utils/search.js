@@ -0,0 +1,132 @@
+// Search operator characters are ignored rather than matched literally
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+
+// Shorter words match almost every message, so they are dropped from queries
+const MIN_TERM_LENGTH = 3;
+
+const SNIPPET_RADIUS = 60;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a user query into quoted phrases and individual terms,
+ * e.g. `"running late" dinner` -> { phrases: ['running late'], terms: ['dinner'] }
+ */
+const parseSearchQuery = (input) => {
+    const phrases = [];
+    const rest = String(input || '').replace(/"([^"]*)"/g, (match, phrase) => {
+        const cleaned = phrase.replace(BOOLEAN_OPERATORS, ' ').replace(/\s+/g, ' ').trim();
+        if (cleaned) {
+            phrases.push(cleaned);
+        }
+        return ' ';
+    });
+
+    const terms = rest
+        .replace(BOOLEAN_OPERATORS, ' ')
+        .split(/\s+/)
+        .filter(term => term.length >= MIN_TERM_LENGTH);
+
+    return { phrases, terms };
+};
+
+const hasCriteria = ({ phrases, terms }) => phrases.length > 0 || terms.length > 0;
+
+// Phrases match anywhere (whitespace-insensitive), terms at the start of a word
+const phrasePattern = (phrase, flags) => new RegExp(phrase.split(' ').map(escapeRegExp).join('\\s+'), flags);
+const termPattern = (term, flags) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, flags);
+
+// Weights for relevance: a phrase hit says more than a single word, and a hit
+// in the contact name more than one in the body
+const PHRASE_WEIGHT = 3;
+const TERM_WEIGHT = 1;
+const CONTACT_NAME_WEIGHT = 2;
+
+/**
+ * Build a predicate over decrypted text: every phrase must appear and every
+ * term must start a word, all case-insensitively. Message content is
+ * encrypted at rest, so matching happens here instead of in MySQL.
+ */
+const createMatcher = ({ phrases, terms }) => {
+    const patterns = [
+        ...phrases.map(phrase => phrasePattern(phrase, 'iu')),
+        ...terms.map(term => termPattern(term, 'iu'))
+    ];
+    return (...texts) => {
+        const text = texts.filter(Boolean).join('\n');
+        return patterns.every(pattern => pattern.test(text));
+    };
+};
+
+/**
+ * Build a relevance score for a matched message, standing in for the
+ * full-text relevance MySQL can't compute over encrypted content: weighted
+ * phrase and term occurrences, with body hits damped by the body's length so
+ * a long message doesn't outrank a short one just by being long.
+ */
+const createScorer = ({ phrases, terms }) => {
+    const weighted = [
+        ...phrases.map(phrase => ({ pattern: phrasePattern(phrase, 'giu'), weight: PHRASE_WEIGHT })),
+        ...terms.map(term => ({ pattern: termPattern(term, 'giu'), weight: TERM_WEIGHT }))
+    ];
+    const hits = (text) => (text
+        ? weighted.reduce((total, { pattern, weight }) => total + weight * (text.match(pattern) || []).length, 0)
+        : 0);
+
+    return (body, contactName) => {
+        const words = body ? body.split(/\s+/).filter(Boolean).length : 0;
+        const score = hits(body) / Math.sqrt(Math.max(words, 1)) + CONTACT_NAME_WEIGHT * hits(contactName);
+        return Math.round(score * 10000) / 10000;
+    };
+};
+
+/**
+ * Cut a window of text around the first match and wrap every match in <mark>.
+ * The surrounding text is HTML-escaped so the snippet is safe to render.
+ */
+const buildSnippet = (text, { phrases, terms }, radius = SNIPPET_RADIUS) => {
+    if (!text) {
+        return null;
+    }
+
+    const needles = [...phrases, ...terms].filter(Boolean).map(escapeRegExp);
+    if (needles.length === 0) {
+        return escapeHtml(text.slice(0, radius * 2));
+    }
+
+    // Terms are prefix matches, so highlight the rest of the word as well
+    const pattern = new RegExp(`(${needles.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    const first = pattern.exec(text);
+    pattern.lastIndex = 0;
+
+    const center = first ? first.index : 0;
+    const start = Math.max(0, center - radius);
+    const end = Math.min(text.length, center + radius * 2);
+    const window = text.slice(start, end);
+
+    let snippet = '';
+    let position = 0;
+    for (const match of window.matchAll(pattern)) {
+        snippet += escapeHtml(window.slice(position, match.index));
+        snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+        position = match.index + match[0].length;
+    }
+    snippet += escapeHtml(window.slice(position));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+    parseSearchQuery,
+    hasCriteria,
+    createMatcher,
+    createScorer,
+    buildSnippet
+};
\ No newline at end of file
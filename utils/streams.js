@@ -0,0 +1,32 @@
+// Respect backpressure so a slow consumer never makes us buffer everything.
+// Rejects if the stream is closed (e.g. the client disconnects) while we wait.
+const write = (stream, chunk) => new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+        return reject(new Error('Output stream closed'));
+    }
+    if (stream.write(chunk)) {
+        return resolve();
+    }
+
+    const onDrain = () => {
+        stream.off('close', onClose);
+        resolve();
+    };
+    const onClose = () => {
+        stream.off('drain', onDrain);
+        reject(new Error('Output stream closed'));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+});
+
+// End a writable stream and wait until everything has been flushed
+const finish = (stream) => new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+});
+
+module.exports = {
+    write,
+    finish
+};
\ No newline at end of file
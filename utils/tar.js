@@ -0,0 +1,86 @@
+const fs = require('fs');
+const { write } = require('./streams');
+
+const BLOCK_SIZE = 512;
+
+const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+// POSIX ustar header for a regular file
+const header = (name, size, mtime) => {
+    const block = Buffer.alloc(BLOCK_SIZE);
+    block.write(name, 0, 100, 'utf8');
+    block.write(octal(0o644, 8), 100, 'ascii');
+    block.write(octal(0, 8), 108, 'ascii');
+    block.write(octal(0, 8), 116, 'ascii');
+    block.write(octal(size, 12), 124, 'ascii');
+    block.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 'ascii');
+    block.write(' '.repeat(8), 148, 'ascii');
+    block.write('0', 156, 'ascii');
+    block.write('ustar\0', 257, 'ascii');
+    block.write('00', 263, 'ascii');
+
+    let checksum = 0;
+    for (const byte of block) {
+        checksum += byte;
+    }
+    block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 'ascii');
+
+    return block;
+};
+
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+/**
+ * Minimal tar writer for archives we generate ourselves: relative file names
+ * under 100 bytes, regular files only. Pipe `output` through gzip for .tar.gz.
+ */
+const createTarWriter = (output) => {
+    const mtime = new Date();
+
+    return {
+        addBuffer: async (name, data) => {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+            await write(output, header(name, buffer.length, mtime));
+            await write(output, buffer);
+            await write(output, padding(buffer.length));
+        },
+
+        // Copy a file from disk without loading it into memory
+        addFile: async (name, path) => {
+            const { size } = await fs.promises.stat(path);
+            await write(output, header(name, size, mtime));
+            for await (const chunk of fs.createReadStream(path)) {
+                await write(output, chunk);
+            }
+            await write(output, padding(size));
+        },
+
+        /**
+         * Copy a stream whose length is known up front (tar headers come first).
+         * Fails if the stream doesn't produce exactly `size` bytes.
+         */
+        addStream: async (name, size, stream) => {
+            await write(output, header(name, size, mtime));
+            let copied = 0;
+            for await (const chunk of stream) {
+                copied += chunk.length;
+                if (copied > size) {
+                    break;
+                }
+                await write(output, chunk);
+            }
+            if (copied !== size) {
+                stream.destroy();
+                throw new Error(`${name} is ${copied > size ? 'longer' : 'shorter'} than its ${size} bytes`);
+            }
+            await write(output, padding(size));
+        },
+
+        // Two empty blocks mark the end of the archive
+        close: () => write(output, Buffer.alloc(BLOCK_SIZE * 2))
+    };
+};
+
+module.exports = {
+    createTarWriter
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults used by Google Authenticator and friends
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// RFC 4226 HOTP for one time step
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current step and `window` steps either side to
+ * allow for clock drift. Steps at or before `lastUsedStep` are rejected so a
+ * code can't be replayed.
+ *
+ * @returns {number|null} the matching time step, or null
+ */
+const verifyCode = (secret, code, { window = 1, lastUsedStep = null, now = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+        return null;
+    }
+
+    const step = currentStep(now);
+    for (let candidate = step - window; candidate <= step + window; candidate++) {
+        if (lastUsedStep !== null && candidate <= lastUsedStep) {
+            continue;
+        }
+        const expected = generateCode(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+
+    return null;
+};
+
+const buildOtpauthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    currentStep,
+    verifyCode,
+    buildOtpauthUri
+};
\ No newline at end of file